@@ -0,0 +1,65 @@
+// Service worker: keeps the app shell available offline so wall tablets and
+// phones can still open the dashboard. Supabase requests are never cached
+// here; the app keeps the last readings and device state in IndexedDB itself.
+
+const CACHE = 'esp32-dashboard-shell-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+// Build assets referenced by index.html (hashed file names, so cache-first is safe)
+const assetUrls = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    const index = await cache.match('/');
+    await cache.addAll(assetUrls(await index.text()));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// Network first so deploys and config changes show up; the cached copy when offline
+const networkFirst = async (request, cacheKey) => {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(cacheKey, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Every route is the single-page app, served from the cached index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+  } else if (url.pathname === '/config.json') {
+    event.respondWith(networkFirst(request, request));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -1,735 +1,395 @@
 import React, { useState, useEffect } from 'react';
-import { supabase } from './supabaseClient';
-import DatePicker from 'react-datepicker';
-import 'react-datepicker/dist/react-datepicker.css';
-import {
-  ResponsiveContainer,
-  AreaChart,
-  Area,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip,
-  Legend,
-  ReferenceLine,
-} from 'recharts';
-import { Sun, Moon, Calendar, Thermometer, Clock, Power, Sliders, RefreshCw } from 'lucide-react';
+import { useParams } from 'react-router-dom';
+import Header from './components/Header';
+import ControlPanel from './components/ControlPanel';
+import RelayCard from './components/RelayCard';
+import TemperatureCards from './components/TemperatureCards';
+import TemperatureChart from './components/TemperatureChart';
+import RelayActivity from './components/RelayActivity';
+import DataTable from './components/DataTable';
+import OfflineNotice from './components/OfflineNotice';
+import ThresholdSettings from './components/ThresholdSettings';
+import AlarmBanner from './components/AlarmBanner';
+import AlarmRules from './components/AlarmRules';
+import AlarmLog from './components/AlarmLog';
+import ScheduleEditor from './components/ScheduleEditor';
+import CalibrationEditor from './components/CalibrationEditor';
+import RelayCommandLog from './components/RelayCommandLog';
+import StatisticsPanel from './components/StatisticsPanel';
+import QueuedCommands from './components/QueuedCommands';
+import useSensorData from './hooks/useSensorData';
+import useRelays from './hooks/useRelays';
+import useSystemSettings from './hooks/useSystemSettings';
+import useAlarms from './hooks/useAlarms';
+import useSchedules from './hooks/useSchedules';
+import useRelayHistory from './hooks/useRelayHistory';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useCommandQueue from './hooks/useCommandQueue';
+import useToast from './hooks/useToast';
+import useAuth from './hooks/useAuth';
+import { can } from './utils/roles';
+import { rangeMean } from './utils/statistics';
+import { getLastSeen, getConnectivity } from './utils/devices';
+import { RANGE_PRESETS, liveWindowStart } from './utils/range';
+import { DEFAULT_TIMEZONE, resolveSchedule, nextScheduleChange } from './utils/schedules';
+import { combineRealtimeStatus } from './utils/realtime';
+
+// Drag selections shorter than this are treated as clicks, not zooms
+const MIN_ZOOM_MS = 60 * 1000;
 
 const App = () => {
+  const { deviceId } = useParams();
+  const { role } = useAuth();
+  const canControl = can(role, 'control');
+  const canConfigure = can(role, 'configure');
+
   // State management
-  const [data, setData] = useState([]);
   const [startDate, setStartDate] = useState(null);
   const [endDate, setEndDate] = useState(null);
-  const [darkMode, setDarkMode] = useState(false);
-  const [relay1On, setRelay1On] = useState(false);
-  const [relay2On, setRelay2On] = useState(false);
-  const [lastUpdate, setLastUpdate] = useState('N/A');
-  const [automaticMode, setAutomaticMode] = useState(true);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  // Fetch initial data
+  const [activePreset, setActivePreset] = useState(null);
+  const [zoomHistory, setZoomHistory] = useState([]);
+  const [compareEnabled, setCompareEnabled] = useState(false);
+  const [selectedReading, setSelectedReading] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [showThresholdSettings, setShowThresholdSettings] = useState(false);
+  const [showAlarmRules, setShowAlarmRules] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [showCalibrations, setShowCalibrations] = useState(false);
+  const { isOnline, offlineSince } = useOnlineStatus();
+  const { commands: queuedCommands, queueCommand, removeCommand: removeQueuedCommand } = useCommandQueue(deviceId);
+  const toast = useToast();
+
+  const settings = useSystemSettings(deviceId, { canControl, isOnline, queuedCommands, queueCommand });
+  const { device, automaticMode, thresholds, connectivitySettings, dataQuality } = settings;
+  const sensorData = useSensorData(deviceId, { startDate, endDate, dataQuality, compareEnabled });
+  const { data, filteredData, sensorIds, latestBySensor } = sensorData;
+
+  // Alarm rules are only evaluated once the live readings are in
+  const alarmReadings = sensorData.isSyncLoading ? null : data;
+  const { rules: alarmRules, activeAlarms, acknowledge, saveRule, deleteRule } = useAlarms(deviceId, alarmReadings);
+  const { schedules, realtimeStatus: schedulesStatus, saveSchedule, deleteSchedule } = useSchedules(deviceId);
+
+  // Re-evaluate connectivity as time passes, even when no data arrives
   useEffect(() => {
-    const fetchAllData = async () => {
-      setIsLoading(true);
-      try {
-        // Get the last 24 hours of data
-        const twentyFourHoursAgo = new Date();
-        twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
-        
-        // Fetch sensor data
-        const { data: sensorData, error: sensorError } = await supabase
-          .from('sensor_data')
-          .select('*')
-          .gte('inserted_at', twentyFourHoursAgo.toISOString())
-          .order('inserted_at', { ascending: true });
-
-        if (sensorError) throw sensorError;
-        if (sensorData) setData(sensorData);
-
-        // Fetch relay states
-        const { data: relay1Data, error: relay1Error } = await supabase
-          .from('relay_control')
-          .select('state')
-          .eq('id', 1)
-          .single();
-
-        if (!relay1Error && relay1Data) setRelay1On(relay1Data.state);
-
-        const { data: relay2Data, error: relay2Error } = await supabase
-          .from('relay_control')
-          .select('state')
-          .eq('id', 2)
-          .single();
-
-        if (!relay2Error && relay2Data) setRelay2On(relay2Data.state);
-
-        // Fetch system mode
-        const { data: modeData, error: modeError } = await supabase
-          .from('system_settings')
-          .select('automatic_mode')
-          .eq('id', 1)
-          .single();
-
-        if (!modeError && modeData) setAutomaticMode(modeData.automatic_mode);
-
-        setLastUpdate(new Date().toLocaleTimeString());
-        setError(null);
-      } catch (err) {
-        console.error('Initialization error:', err);
-        setError('Failed to load initial data. Please refresh the page.');
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    fetchAllData();
+    const interval = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(interval);
   }, []);
 
-  // Realtime subscription setup
-  useEffect(() => {
-    const channel = supabase
-      .channel('realtime-data')
-      .on(
-        'postgres_changes',
-        {
-          event: 'INSERT',
-          schema: 'public',
-          table: 'sensor_data',
-        },
-        (payload) => {
-          setData(prev => {
-            const twentyFourHoursAgo = new Date();
-            twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
-            const newData = [...prev, payload.new]
-              .filter(item => new Date(item.inserted_at) >= twentyFourHoursAgo)
-              .sort((a, b) => new Date(a.inserted_at) - new Date(b.inserted_at));
-            return newData;
-          });
-          setLastUpdate(new Date().toLocaleTimeString());
-        }
-      )
-      .on(
-        'postgres_changes',
-        {
-          event: 'UPDATE',
-          schema: 'public',
-          table: 'relay_control',
-        },
-        (payload) => {
-          if (payload.new.id === 1) setRelay1On(payload.new.state);
-          if (payload.new.id === 2) setRelay2On(payload.new.state);
-        }
-      )
-      .on(
-        'postgres_changes',
-        {
-          event: 'UPDATE',
-          schema: 'public',
-          table: 'system_settings',
-        },
-        (payload) => {
-          if (payload.new.id === 1) setAutomaticMode(payload.new.automatic_mode);
-        }
-      )
-      .subscribe();
-
-    return () => {
-      supabase.removeChannel(channel);
-    };
-  }, []);
+  // Connectivity comes from the device's own timestamps, never the browser clock
+  const lastSeen = getLastSeen(data[data.length - 1]?.inserted_at, device?.last_seen_at);
+  const connectivity = getConnectivity(lastSeen, connectivitySettings, now);
+  const isStale = connectivity === 'offline';
+
+  // Programs the device is following right now; a mode program overrides the mode setting
+  const timeZone = device?.timezone || DEFAULT_TIMEZONE;
+  const modeProgram = resolveSchedule(schedules, 'mode', null, now, timeZone);
+  const nextModeChange = nextScheduleChange(schedules, 'mode', null, now, timeZone);
+  const effectiveAutomaticMode = modeProgram ? modeProgram.state : automaticMode;
+  const relayProgram = (relay) => resolveSchedule(schedules, 'relay', relay.id, now, timeZone);
+  const controlAutomaticMode = modeProgram ? modeProgram.state : settings.plannedAutomaticMode;
+  // Whether the device is reachable cannot be told while the browser is offline
+  const isDeviceUnreachable = isStale && isOnline;
+
+  const relayControl = useRelays(deviceId, {
+    now,
+    canControl,
+    isOnline,
+    automaticMode: controlAutomaticMode,
+    modeProgram,
+    isDeviceUnreachable,
+    relayProgram,
+    queuedCommands,
+    queueCommand,
+  });
+  const { relays } = relayControl;
+  const relayHistory = useRelayHistory(deviceId, relays.map(relay => relay.id), startDate, endDate);
+  const { events: relayEvents } = relayHistory;
+
+  const isLoading = settings.isLoading || relayControl.isLoading;
+  const error = settings.error || relayControl.error || sensorData.error;
+  const realtimeStatus = combineRealtimeStatus(
+    settings.realtimeStatus,
+    relayControl.realtimeStatus,
+    relayHistory.realtimeStatus,
+    schedulesStatus,
+    sensorData.realtimeStatus
+  );
+  const cachedAt = sensorData.cachedAt || settings.cachedAt || relayControl.cachedAt;
+  const isShowingCache = !isOnline || Boolean(cachedAt);
+  // Where the cached data ends while offline
+  const cacheEndsAt = isShowingCache && data.length > 0 ? new Date(data[data.length - 1].inserted_at).getTime() : null;
+
+  const selectPreset = (preset) => {
+    setActivePreset(preset.key);
+    setStartDate(new Date(Date.now() - preset.ms));
+    setEndDate(null);
+  };
 
-  // Polling fallback mechanism
-  useEffect(() => {
-    const pollData = async () => {
-      try {
-        const twentyFourHoursAgo = new Date();
-        twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
+  // Zoom the whole dashboard to [from, to], remembering the range to go back to
+  const zoomTo = (from, to) => {
+    const [zoomStart, zoomEnd] = from < to ? [from, to] : [to, from];
+    if (zoomEnd - zoomStart < MIN_ZOOM_MS) return;
+    setZoomHistory(prev => [...prev, { startDate, endDate, activePreset }]);
+    setActivePreset(null);
+    setStartDate(new Date(zoomStart));
+    setEndDate(new Date(zoomEnd));
+  };
 
-        // Check for new sensor data
-        const { data: latestData } = await supabase
-          .from('sensor_data')
-          .select('inserted_at')
-          .order('inserted_at', { ascending: false })
-          .limit(1);
+  const zoomOut = () => {
+    const previous = zoomHistory[zoomHistory.length - 1];
+    if (!previous) return;
+    setZoomHistory(prev => prev.slice(0, -1));
+    setActivePreset(previous.activePreset);
+    setStartDate(previous.startDate);
+    setEndDate(previous.endDate);
+  };
 
-        if (latestData && latestData.length > 0) {
-          const lastTimestamp = new Date(latestData[0].inserted_at).getTime();
-          const currentLatest = data.length > 0 
-            ? new Date(data[data.length - 1].inserted_at).getTime() 
-            : 0;
+  const refresh = () => {
+    sensorData.reload();
+    // Re-run the ranged query too, sliding preset ranges up to now
+    const preset = RANGE_PRESETS.find(item => item.key === activePreset);
+    if (preset) selectPreset(preset);
+    else if (sensorData.isHistory) sensorData.loadHistory();
+  };
 
-          if (lastTimestamp > currentLatest) {
-            const { data: newData } = await supabase
-              .from('sensor_data')
-              .select('*')
-              .gte('inserted_at', twentyFourHoursAgo.toISOString())
-              .order('inserted_at', { ascending: true });
-            
-            if (newData) setData(newData);
-          }
+  // Temperature a relay is controlled by: its own sensor_id if set, else the first sensor
+  const getRelayTemp = (relay) => {
+    const sensorId = relay.sensor_id ?? sensorIds[0];
+    return latestBySensor[sensorId]?.temperature ?? null;
+  };
+  const rangeLabel = activePreset
+    ? RANGE_PRESETS.find(preset => preset.key === activePreset).label
+    : startDate || endDate ? 'selected range' : '24h';
+
+  // Sends the commands queued while offline in the order they were made,
+  // stopping at the first failure so the rest stay queued
+  const replayQueuedCommands = async () => {
+    for (const command of queuedCommands) {
+      try {
+        if (command.type === 'mode') {
+          await settings.setSystemMode(command.automatic_mode, command.reason);
+        } else {
+          const relay = relays.find(item => item.id === command.relay_id);
+          if (relay && relay.state !== command.state) await relayControl.sendCommand(relay, command.state, command.reason);
         }
-
-        // Check relay states
-        const { data: relay1Data } = await supabase
-          .from('relay_control')
-          .select('state')
-          .eq('id', 1)
-          .single();
-        
-        if (relay1Data) setRelay1On(relay1Data.state);
-
-        const { data: relay2Data } = await supabase
-          .from('relay_control')
-          .select('state')
-          .eq('id', 2)
-          .single();
-        
-        if (relay2Data) setRelay2On(relay2Data.state);
-
-        setLastUpdate(new Date().toLocaleTimeString());
+        await removeQueuedCommand(command.id);
       } catch (err) {
-        console.error('Polling error:', err);
+        console.error('Error replaying queued command:', err);
+        toast.error('Failed to send a queued command; the remaining commands are still queued');
+        return;
       }
-    };
-
-    const interval = setInterval(pollData, 15000);
-    return () => clearInterval(interval);
-  }, [data]);
-
-  // Data filtering and calculations
-  const getFilteredData = () => {
-    if (!startDate && !endDate) return data;
-    
-    return data.filter(item => {
-      const itemDate = new Date(item.inserted_at);
-      return (!startDate || itemDate >= startDate) && 
-             (!endDate || itemDate <= endDate);
-    });
-  };
-
-  const filteredData = getFilteredData();
-  const latestReading = filteredData[filteredData.length - 1];
-  const currentTemp = latestReading?.temperature || null;
-  const avgTemp = filteredData.length > 0 
-    ? (filteredData.reduce((sum, item) => sum + item.temperature, 0) / filteredData.length).toFixed(1)
-    : '--';
-
-  // Control functions
-  const toggleRelay = async (relayId) => {
-    if (automaticMode) {
-      alert('Please switch to manual mode to control relays');
-      return;
-    }
-
-    const currentState = relayId === 1 ? relay1On : relay2On;
-    const newState = !currentState;
-
-    try {
-      const { error } = await supabase
-        .from('relay_control')
-        .update({ state: newState })
-        .eq('id', relayId);
-
-      if (error) throw error;
-
-      if (relayId === 1) setRelay1On(newState);
-      else setRelay2On(newState);
-    } catch (err) {
-      console.error('Error toggling relay:', err);
-      alert('Failed to update relay state');
-    }
-  };
-
-  const toggleMode = async () => {
-    const newMode = !automaticMode;
-    try {
-      const { error } = await supabase
-        .from('system_settings')
-        .update({ automatic_mode: newMode })
-        .eq('id', 1);
-
-      if (error) throw error;
-
-      setAutomaticMode(newMode);
-    } catch (err) {
-      console.error('Error changing mode:', err);
-      alert('Failed to change system mode');
     }
+    toast.success(`Sent ${queuedCommands.length} queued command${queuedCommands.length !== 1 ? 's' : ''}`);
   };
 
-  // UI Components
-  const renderHeader = () => (
-    <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 shadow-sm sticky top-0 z-10">
-      <div className="container mx-auto px-4 py-3 flex justify-between items-center">
-        <div className="flex items-center">
-          <button
-            onClick={() => setDarkMode(!darkMode)}
-            className={`p-2 rounded-full transition-colors ${
-              darkMode 
-                ? 'bg-gray-700 hover:bg-gray-600 text-yellow-300' 
-                : 'bg-gray-100 hover:bg-gray-200 text-indigo-600'
-            }`}
-          >
-            {darkMode ? <Sun size={20} /> : <Moon size={20} />}
-          </button>
-          <h1 className="ml-4 text-lg font-semibold">PT100 Temperature Monitor</h1>
-        </div>
-        
-        <div className="flex items-center space-x-4">
-          <div className="flex items-center space-x-2">
-            <Calendar size={16} className={darkMode ? 'text-gray-300' : 'text-gray-500'} />
-            <DatePicker
-              selected={startDate}
-              onChange={date => setStartDate(date)}
-              selectsStart
-              startDate={startDate}
-              endDate={endDate}
-              placeholderText="Start date"
-              className={`border rounded px-3 py-1.5 text-sm ${
-                darkMode 
-                  ? 'bg-gray-800 text-gray-200 border-gray-700' 
-                  : 'bg-white border-gray-300'
-              }`}
-            />
-            <span className="text-xs">to</span>
-            <DatePicker
-              selected={endDate}
-              onChange={date => setEndDate(date)}
-              selectsEnd
-              startDate={startDate}
-              endDate={endDate}
-              minDate={startDate}
-              placeholderText="End date"
-              className={`border rounded px-3 py-1.5 text-sm ${
-                darkMode 
-                  ? 'bg-gray-800 text-gray-200 border-gray-700' 
-                  : 'bg-white border-gray-300'
-              }`}
-            />
-            {(startDate || endDate) && (
-              <button 
-                onClick={() => {
-                  setStartDate(null);
-                  setEndDate(null);
-                }}
-                className={`px-2 py-1 rounded text-xs ${
-                  darkMode 
-                    ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' 
-                    : 'bg-gray-100 hover:bg-gray-200 text-gray-800'
-                }`}
-              >
-                Clear
-              </button>
-            )}
-          </div>
-        </div>
-      </div>
-    </header>
-  );
-
-  const renderControlPanel = () => (
-    <div className="mb-6 p-4 rounded-lg bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700">
-      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4">
-        <div className="flex items-center mb-4 md:mb-0">
-          <Sliders size={20} className={darkMode ? 'text-blue-300' : 'text-blue-600'} />
-          <span className="ml-2 text-lg font-medium">System Mode:</span>
-          <span className={`ml-2 px-3 py-1 rounded text-sm font-medium ${
-            automaticMode 
-              ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300' 
-              : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
-          }`}>
-            {automaticMode ? 'AUTOMATIC' : 'MANUAL'}
-          </span>
-          <button 
-            onClick={toggleMode}
-            className={`ml-4 px-3 py-1.5 rounded text-sm ${
-              darkMode 
-                ? 'bg-blue-600 hover:bg-blue-700 text-white' 
-                : 'bg-blue-500 hover:bg-blue-600 text-white'
-            }`}
-          >
-            Switch Mode
-          </button>
-        </div>
-        
-        <div className="flex items-center">
-          <Clock size={20} className={darkMode ? 'text-blue-300' : 'text-blue-600'} />
-          <span className="ml-2 font-medium">Last update: {lastUpdate}</span>
-          <button 
-            onClick={async () => {
-              setIsLoading(true);
-              try {
-                const twentyFourHoursAgo = new Date();
-                twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
-                
-                const { data: newData } = await supabase
-                  .from('sensor_data')
-                  .select('*')
-                  .gte('inserted_at', twentyFourHoursAgo.toISOString())
-                  .order('inserted_at', { ascending: true });
-                
-                if (newData) setData(newData);
-                setLastUpdate(new Date().toLocaleTimeString());
-              } catch (err) {
-                console.error('Refresh error:', err);
-              } finally {
-                setIsLoading(false);
-              }
-            }}
-            className={`ml-4 p-2 rounded-full ${
-              darkMode 
-                ? 'bg-gray-700 hover:bg-gray-600 text-blue-300' 
-                : 'bg-gray-100 hover:bg-gray-200 text-blue-600'
-            }`}
-          >
-            <RefreshCw size={18} />
-          </button>
-        </div>
-      </div>
-      
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
-        {/* Relay 1 Card */}
-        <div className={`p-4 rounded-lg border ${
-          relay1On 
-            ? 'bg-green-50 border-green-200 dark:bg-green-900/20 dark:border-green-800' 
-            : 'bg-gray-50 border-gray-200 dark:bg-gray-800 dark:border-gray-700'
-        }`}>
-          <div className="flex justify-between items-center">
-            <div>
-              <h3 className="font-medium">Relay 1 (0°C to 10°C)</h3>
-              <p className="text-sm mt-1">
-                {relay1On 
-                  ? automaticMode 
-                    ? 'ON (Automatic)' 
-                    : 'ON (Manual)'
-                  : automaticMode 
-                    ? 'OFF (Automatic)' 
-                    : 'OFF (Manual)'}
-              </p>
-              {currentTemp !== null && currentTemp >= 0 && currentTemp <= 10 && (
-                <p className="text-sm mt-1 text-green-600 dark:text-green-400">
-                  Current temp: {currentTemp.toFixed(1)}°C (in range)
-                </p>
-              )}
-            </div>
-            <div className="flex items-center">
-              <Power size={20} className={relay1On ? 'text-green-500' : darkMode ? 'text-gray-400' : 'text-gray-500'} />
-              <button
-                onClick={() => toggleRelay(1)}
-                disabled={automaticMode}
-                className={`ml-2 relative inline-flex items-center h-5 rounded-full w-9 transition-colors ${
-                  automaticMode ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
-                } ${relay1On ? 'bg-green-500' : darkMode ? 'bg-gray-600' : 'bg-gray-300'}`}
-              >
-                <span className={`inline-block w-4 h-4 transform transition-transform rounded-full bg-white ${
-                  relay1On ? 'translate-x-4' : 'translate-x-1'
-                }`} />
-              </button>
-            </div>
-          </div>
-        </div>
-        
-        {/* Relay 2 Card */}
-        <div className={`p-4 rounded-lg border ${
-          relay2On 
-            ? 'bg-green-50 border-green-200 dark:bg-green-900/20 dark:border-green-800' 
-            : 'bg-gray-50 border-gray-200 dark:bg-gray-800 dark:border-gray-700'
-        }`}>
-          <div className="flex justify-between items-center">
-            <div>
-              <h3 className="font-medium">Relay 2 (11°C to 20°C)</h3>
-              <p className="text-sm mt-1">
-                {relay2On 
-                  ? automaticMode 
-                    ? 'ON (Automatic)' 
-                    : 'ON (Manual)'
-                  : automaticMode 
-                    ? 'OFF (Automatic)' 
-                    : 'OFF (Manual)'}
-              </p>
-              {currentTemp !== null && currentTemp >= 11 && currentTemp <= 20 && (
-                <p className="text-sm mt-1 text-green-600 dark:text-green-400">
-                  Current temp: {currentTemp.toFixed(1)}°C (in range)
-                </p>
-              )}
-            </div>
-            <div className="flex items-center">
-              <Power size={20} className={relay2On ? 'text-green-500' : darkMode ? 'text-gray-400' : 'text-gray-500'} />
-              <button
-                onClick={() => toggleRelay(2)}
-                disabled={automaticMode}
-                className={`ml-2 relative inline-flex items-center h-5 rounded-full w-9 transition-colors ${
-                  automaticMode ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
-                } ${relay2On ? 'bg-green-500' : darkMode ? 'bg-gray-600' : 'bg-gray-300'}`}
-              >
-                <span className={`inline-block w-4 h-4 transform transition-transform rounded-full bg-white ${
-                  relay2On ? 'translate-x-4' : 'translate-x-1'
-                }`} />
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-
-  const renderTemperatureCards = () => (
-    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
-      <div className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 relative overflow-hidden">
-        <div className="absolute top-0 right-0 w-16 h-16 -mt-6 -mr-6 rounded-full bg-pink-100 opacity-60 dark:opacity-10"></div>
-        <div className="flex items-center justify-between mb-2">
-          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">Current Temperature</h3>
-          <Thermometer size={18} className="text-pink-500" />
-        </div>
-        <p className="text-2xl font-bold text-pink-600 dark:text-pink-400">
-          {currentTemp !== null ? `${currentTemp.toFixed(1)}°C` : '--'}
-        </p>
-        <p className="mt-2 text-sm">
-          {currentTemp !== null && currentTemp >= 0 && currentTemp <= 10 && 'In Relay 1 range (0-10°C)'}
-          {currentTemp !== null && currentTemp >= 11 && currentTemp <= 20 && 'In Relay 2 range (11-20°C)'}
-          {currentTemp !== null && (currentTemp < 0 || currentTemp > 20) && 'Outside control ranges'}
-        </p>
-      </div>
-      
-      <div className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 relative overflow-hidden">
-        <div className="absolute top-0 right-0 w-16 h-16 -mt-6 -mr-6 rounded-full bg-green-100 opacity-60 dark:opacity-10"></div>
-        <div className="flex items-center justify-between mb-2">
-          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">Avg Temp (24h)</h3>
-          <Thermometer size={18} className="text-green-500" />
-        </div>
-        <p className="text-2xl font-bold text-green-600 dark:text-green-400">{avgTemp}°C</p>
-      </div>
-      
-      <div className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 relative overflow-hidden">
-        <div className="absolute top-0 right-0 w-16 h-16 -mt-6 -mr-6 rounded-full bg-blue-100 opacity-60 dark:opacity-10"></div>
-        <div className="flex items-center justify-between mb-2">
-          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">Control Ranges</h3>
-          <Sliders size={18} className="text-blue-500" />
-        </div>
-        <div className="space-y-2 mt-1">
-          <div className="flex items-center">
-            <div className={`w-3 h-3 rounded-full ${relay1On ? 'bg-green-500' : 'bg-gray-400'} mr-2`}></div>
-            <span className="text-sm">Relay 1: 0°C to 10°C</span>
-          </div>
-          <div className="flex items-center">
-            <div className={`w-3 h-3 rounded-full ${relay2On ? 'bg-green-500' : 'bg-gray-400'} mr-2`}></div>
-            <span className="text-sm">Relay 2: 11°C to 20°C</span>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-
-  const renderChart = () => (
-    <div className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
-      <h2 className="text-lg font-medium mb-4">Temperature Trends</h2>
-      
-      {filteredData.length === 0 ? (
-        <div className="h-96 flex items-center justify-center text-gray-500 dark:text-gray-400">
-          {isLoading ? 'Loading data...' : 'No temperature data available'}
-        </div>
-      ) : (
-        <div className="h-96">
-          <ResponsiveContainer width="100%" height="100%">
-            <AreaChart
-              data={filteredData}
-              margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
-            >
-              <defs>
-                <linearGradient id="tempGradient" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor={darkMode ? "#6366f1" : "#818cf8"} stopOpacity={0.8} />
-                  <stop offset="95%" stopColor={darkMode ? "#6366f1" : "#818cf8"} stopOpacity={0.2} />
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
-              <XAxis 
-                dataKey="inserted_at" 
-                tick={{ fill: darkMode ? "#9ca3af" : "#4b5563" }}
-                tickFormatter={timestamp => {
-                  const date = new Date(timestamp);
-                  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-                }}
-                interval="preserveStartEnd"
-                minTickGap={60}
-              />
-              <YAxis 
-                tick={{ fill: darkMode ? "#9ca3af" : "#4b5563" }}
-                domain={['auto', 'auto']}
-                label={{ 
-                  value: 'Temperature (°C)', 
-                  angle: -90, 
-                  position: 'insideLeft',
-                  style: { fill: darkMode ? "#9ca3af" : "#4b5563" }
-                }}
-              />
-              <Tooltip 
-                formatter={(value) => [`${value.toFixed(1)}°C`, 'Temperature']}
-                labelFormatter={(timestamp) => {
-                  const date = new Date(timestamp);
-                  return date.toLocaleString();
-                }}
-                contentStyle={{ 
-                  backgroundColor: darkMode ? "#1f2937" : "#ffffff",
-                  border: `1px solid ${darkMode ? "#374151" : "#e5e7eb"}`,
-                  color: darkMode ? "#f3f4f6" : "#1f2937"
-                }}
-              />
-              <Legend />
-              
-              {/* Temperature range reference lines */}
-              <ReferenceLine y={0} stroke="#10b981" strokeDasharray="3 3" label={{ 
-                value: 'Relay 1 Min', 
-                position: 'insideTopLeft',
-                fill: darkMode ? "#d1fae5" : "#047857",
-                fontSize: 10 
-              }} />
-              <ReferenceLine y={10} stroke="#10b981" strokeDasharray="3 3" label={{ 
-                value: 'Relay 1 Max', 
-                position: 'insideTopLeft',
-                fill: darkMode ? "#d1fae5" : "#047857",
-                fontSize: 10 
-              }} />
-              <ReferenceLine y={11} stroke="#3b82f6" strokeDasharray="3 3" label={{ 
-                value: 'Relay 2 Min', 
-                position: 'insideTopLeft',
-                fill: darkMode ? "#bfdbfe" : "#1e40af",
-                fontSize: 10 
-              }} />
-              <ReferenceLine y={20} stroke="#3b82f6" strokeDasharray="3 3" label={{ 
-                value: 'Relay 2 Max', 
-                position: 'insideTopLeft',
-                fill: darkMode ? "#bfdbfe" : "#1e40af",
-                fontSize: 10 
-              }} />
-              
-              <Area 
-                type="monotone" 
-                dataKey="temperature" 
-                stroke={darkMode ? "#818cf8" : "#4f46e5"} 
-                fillOpacity={1} 
-                fill="url(#tempGradient)" 
-                name="Temperature"
-              />
-            </AreaChart>
-          </ResponsiveContainer>
-        </div>
-      )}
-      
-      <div className="mt-4 text-sm text-gray-500 dark:text-gray-400">
-        {filteredData.length > 0 && (
-          <p>
-            Showing {filteredData.length} data point{filteredData.length !== 1 ? 's' : ''} from {
-              new Date(filteredData[0].inserted_at).toLocaleString()
-            } to {
-              new Date(filteredData[filteredData.length - 1].inserted_at).toLocaleString()
-            }
-          </p>
-        )}
-      </div>
-    </div>
-  );
-
-  const renderDataTable = () => (
-    <div className="mt-6 p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
-      <details>
-        <summary className="cursor-pointer text-lg font-medium focus:outline-none">
-          Raw Temperature Data
-        </summary>
-        <div className="mt-4 overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
-            <thead>
-              <tr>
-                <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Time</th>
-                <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Temperature (°C)</th>
-                <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Control Status</th>
-              </tr>
-            </thead>
-            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredData.slice(-20).reverse().map((item, index) => (
-                <tr key={index} className={index % 2 === 0 ? 'bg-gray-50 dark:bg-gray-900/50' : ''}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
-                    {new Date(item.inserted_at).toLocaleString()}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`text-sm font-medium ${
-                      item.temperature >= 0 && item.temperature <= 10
-                        ? 'text-green-600 dark:text-green-400'
-                        : item.temperature >= 11 && item.temperature <= 20
-                          ? 'text-blue-600 dark:text-blue-400'
-                          : 'text-gray-800 dark:text-gray-200'
-                    }`}>
-                      {item.temperature.toFixed(1)}°C
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    {item.temperature >= 0 && item.temperature <= 10 && (
-                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300">
-                        Relay 1 Range (0-10°C)
-                      </span>
-                    )}
-                    {item.temperature >= 11 && item.temperature <= 20 && (
-                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300">
-                        Relay 2 Range (11-20°C)
-                      </span>
-                    )}
-                    {(item.temperature < 0 || item.temperature > 20) && (
-                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">
-                        Outside Control Range
-                      </span>
-                    )}
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-          {filteredData.length > 20 && (
-            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
-              Showing only the last 20 records. {filteredData.length - 20} more record(s) available.
-            </p>
-          )}
-        </div>
-      </details>
-    </div>
-  );
-
-  const renderFooter = () => (
-    <footer className="mt-8 py-4 border-t border-gray-200 dark:border-gray-700">
-      <div className="container mx-auto px-4 text-center text-sm text-gray-500 dark:text-gray-400">
-        <p>PT100 Temperature Monitoring System &copy; {new Date().getFullYear()}</p>
-        <p className="mt-1">Built with React and Supabase</p>
-      </div>
-    </footer>
-  );
-
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-100 transition-colors duration-300">
-      {renderHeader()}
-      
+      <Header
+        device={device}
+        deviceId={deviceId}
+        activePreset={activePreset}
+        startDate={startDate}
+        endDate={endDate}
+        onSelectPreset={selectPreset}
+        onStartDateChange={date => {
+          setActivePreset(null);
+          setStartDate(date);
+        }}
+        onEndDateChange={date => {
+          setActivePreset(null);
+          setEndDate(date);
+        }}
+        onClearRange={() => {
+          setActivePreset(null);
+          setStartDate(null);
+          setEndDate(null);
+        }}
+      />
+
       <main className="container mx-auto px-4 py-6">
+        <AlarmBanner alarms={activeAlarms} onAcknowledge={canControl ? acknowledge : null} />
+        {isShowingCache && (
+          <OfflineNotice
+            offlineSince={offlineSince}
+            cachedAt={cachedAt}
+            lastSeen={lastSeen}
+            isQueueing={canControl && !isOnline}
+          />
+        )}
+        <QueuedCommands
+          commands={queuedCommands}
+          relays={relays}
+          isOnline={isOnline}
+          onReplay={replayQueuedCommands}
+          onDiscard={removeQueuedCommand}
+        />
+
         {error && (
           <div className="mb-4 p-4 bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-lg text-red-700 dark:text-red-300">
             {error}
           </div>
         )}
-        
+
         {isLoading ? (
           <div className="flex justify-center items-center h-64">
             <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
           </div>
         ) : (
           <>
-            {renderControlPanel()}
-            {renderTemperatureCards()}
-            {renderChart()}
-            {renderDataTable()}
+            <ControlPanel
+              isAutomatic={effectiveAutomaticMode}
+              automaticMode={automaticMode}
+              modeProgram={modeProgram}
+              queuedMode={settings.queuedMode}
+              nextModeChange={nextModeChange}
+              relays={relays}
+              lastSeen={lastSeen}
+              now={now}
+              connectivity={connectivity}
+              realtimeStatus={realtimeStatus}
+              isRefreshing={sensorData.isSyncLoading}
+              canControl={canControl}
+              canConfigure={canConfigure}
+              onToggleMode={settings.toggleMode}
+              onToggleSchedules={() => setShowSchedules(!showSchedules)}
+              onToggleAlarmRules={() => setShowAlarmRules(!showAlarmRules)}
+              onToggleCalibrations={() => setShowCalibrations(!showCalibrations)}
+              onRefresh={refresh}
+            >
+              {relays.map(relay => (
+                <RelayCard
+                  key={relay.id}
+                  relay={relay}
+                  relays={relays}
+                  threshold={thresholds[relay.id]}
+                  temperature={getRelayTemp(relay)}
+                  program={relayProgram(relay)}
+                  nextChange={nextScheduleChange(schedules, 'relay', relay.id, now, timeZone)}
+                  queuedState={relayControl.queuedRelayState(relay)}
+                  isAutomatic={effectiveAutomaticMode}
+                  isControlLocked={controlAutomaticMode}
+                  isDeviceUnreachable={isDeviceUnreachable}
+                  isStale={isStale}
+                  lastSeen={lastSeen}
+                  now={now}
+                  canControl={canControl}
+                  onToggle={relayControl.toggleRelay}
+                />
+              ))}
+            </ControlPanel>
+            {canConfigure && showThresholdSettings && (
+              <ThresholdSettings
+                thresholds={thresholds}
+                connectivity={connectivitySettings}
+                dataQuality={dataQuality}
+                relayIds={relays.map(relay => relay.id)}
+                onSave={settings.saveThresholds}
+                onClose={() => setShowThresholdSettings(false)}
+              />
+            )}
+            {canControl && showSchedules && (
+              <ScheduleEditor
+                schedules={schedules}
+                relays={relays}
+                timeZone={timeZone}
+                onSave={saveSchedule}
+                onDelete={deleteSchedule}
+                onClose={() => setShowSchedules(false)}
+              />
+            )}
+            {canConfigure && showAlarmRules && (
+              <AlarmRules
+                rules={alarmRules}
+                sensorIds={sensorIds}
+                onSave={saveRule}
+                onDelete={deleteRule}
+                onClose={() => setShowAlarmRules(false)}
+              />
+            )}
+            {canConfigure && showCalibrations && (
+              <CalibrationEditor
+                calibrations={sensorData.calibrations}
+                sensorIds={sensorIds}
+                onSave={sensorData.saveCalibration}
+                onDelete={sensorData.deleteCalibration}
+                onClose={() => setShowCalibrations(false)}
+              />
+            )}
+            <TemperatureCards
+              sensorIds={sensorIds}
+              latestBySensor={latestBySensor}
+              meanTemp={rangeMean(sensorData.cleanData)}
+              rangeLabel={rangeLabel}
+              relays={relays}
+              thresholds={thresholds}
+              isStale={isStale}
+              lastSeen={lastSeen}
+              canConfigure={canConfigure}
+              onEditThresholds={() => setShowThresholdSettings(!showThresholdSettings)}
+            />
+            <TemperatureChart
+              readings={sensorData.qualityData}
+              comparisonRows={sensorData.comparisonRows}
+              flaggedReadings={sensorData.flaggedReadings}
+              sensorIds={sensorIds}
+              relays={relays}
+              relayEvents={relayEvents}
+              thresholds={thresholds}
+              dataQuality={dataQuality}
+              bucketSeconds={sensorData.bucketSeconds}
+              selectedReading={selectedReading}
+              cacheEndsAt={cacheEndsAt}
+              isLoading={sensorData.isLoading}
+              isStale={isStale && !sensorData.isHistory}
+              lastSeen={lastSeen}
+              compareEnabled={compareEnabled}
+              isComparisonLoading={sensorData.isComparisonLoading}
+              onToggleCompare={() => setCompareEnabled(!compareEnabled)}
+              canZoomOut={zoomHistory.length > 0}
+              onZoom={zoomTo}
+              onZoomOut={zoomOut}
+            />
+            <StatisticsPanel
+              rows={sensorData.cleanData}
+              sensorIds={sensorIds}
+              thresholds={thresholds}
+              relays={relays}
+              isBucketed={Boolean(sensorData.bucketSeconds)}
+            />
+            <RelayActivity
+              relays={relays}
+              relayEvents={relayEvents}
+              rangeStart={startDate || liveWindowStart()}
+              rangeEnd={endDate || new Date()}
+            />
+            <DataTable
+              deviceId={deviceId}
+              startDate={startDate}
+              endDate={endDate}
+              readings={filteredData}
+              thresholds={thresholds}
+              relays={relays}
+              sensorIds={sensorIds}
+              calibrations={sensorData.calibrations}
+              dataQuality={dataQuality}
+              qualityFlags={sensorData.qualityFlags}
+              selectedReading={selectedReading}
+              onSelectReading={setSelectedReading}
+            />
+            <AlarmLog deviceId={deviceId} rules={alarmRules} />
+            <RelayCommandLog deviceId={deviceId} relays={relays} />
           </>
         )}
       </main>
-      
-      {renderFooter()}
+
+      <footer className="mt-8 py-4 border-t border-gray-200 dark:border-gray-700">
+        <div className="container mx-auto px-4 text-center text-sm text-gray-500 dark:text-gray-400">
+          <p>PT100 Temperature Monitoring System &copy; {new Date().getFullYear()}</p>
+          <p className="mt-1">Built with React and Supabase</p>
+        </div>
+      </footer>
     </div>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
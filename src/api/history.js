@@ -0,0 +1,145 @@
+import { supabase } from '../supabaseClient';
+import { DEFAULT_SENSOR_ID } from '../utils/sensors';
+
+// PostgREST caps a single response at 1000 rows by default
+const PAGE_SIZE = 1000;
+
+// Fetch every sensor_data row for a device in [start, end], one page at a time
+export const fetchSensorHistory = async (deviceId, start, end) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('sensor_data')
+      .select('*')
+      .eq('device_id', deviceId);
+
+    if (start) query = query.gte('inserted_at', start.toISOString());
+    if (end) query = query.lte('inserted_at', end.toISOString());
+
+    const { data, error } = await query
+      .order('inserted_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Relay state changes in [start, end], plus the last change before start for
+// each relay so the state at the start of the range is known
+export const fetchRelayEvents = async (deviceId, relayIds, start, end) => {
+  const initial = start
+    ? await Promise.all(relayIds.map(async relayId => {
+      const { data, error } = await supabase
+        .from('relay_events')
+        .select('*')
+        .eq('relay_id', relayId)
+        .lt('changed_at', start.toISOString())
+        .order('changed_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data[0];
+    }))
+    : [];
+
+  const events = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('relay_events')
+      .select('*')
+      .eq('device_id', deviceId);
+
+    if (start) query = query.gte('changed_at', start.toISOString());
+    if (end) query = query.lte('changed_at', end.toISOString());
+
+    const { data, error } = await query
+      .order('changed_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    events.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return [...initial.filter(Boolean), ...events];
+};
+
+// Down-sampled min/avg/max per sensor and bucket, computed by the
+// sensor_data_buckets database function. Rows are shaped like sensor_data
+// rows so the rest of the dashboard can render them unchanged.
+export const fetchSensorBuckets = async (deviceId, start, end, bucketSeconds) => {
+  const { data, error } = await supabase.rpc('sensor_data_buckets', {
+    p_device_id: deviceId,
+    p_start: start.toISOString(),
+    p_end: end.toISOString(),
+    p_bucket_seconds: bucketSeconds,
+  });
+
+  if (error) throw error;
+  return data.map(bucket => ({
+    id: `${bucket.bucket_start}-${bucket.sensor_id}`,
+    inserted_at: bucket.bucket_start,
+    sensor_id: bucket.sensor_id,
+    temperature: bucket.avg_temperature,
+    min_temperature: bucket.min_temperature,
+    max_temperature: bucket.max_temperature,
+    sample_count: bucket.sample_count,
+  }));
+};
+
+// Data grid filters: one sensor, readings inside a band, or readings outside every band
+const applyReadingFilters = (query, { sensorId, band, outsideBands = [] } = {}) => {
+  let filtered = query;
+  if (sensorId === DEFAULT_SENSOR_ID) filtered = filtered.is('sensor_id', null);
+  else if (sensorId) filtered = filtered.eq('sensor_id', sensorId);
+  if (band) filtered = filtered.gte('temperature', band.min).lte('temperature', band.max);
+  outsideBands.forEach(item => {
+    filtered = filtered.or(`temperature.lt.${item.min},temperature.gt.${item.max}`);
+  });
+  return filtered;
+};
+
+const rangeQuery = (deviceId, start, end, columns, options) => {
+  let query = supabase
+    .from('sensor_data')
+    .select(columns, options)
+    .eq('device_id', deviceId);
+
+  if (start) query = query.gte('inserted_at', start.toISOString());
+  if (end) query = query.lte('inserted_at', end.toISOString());
+  return query;
+};
+
+// One page of sensor_data for the data grid, with the total matching row count.
+// `sort` is { column, ascending }; id breaks ties so pages never overlap.
+export const fetchSensorPage = async (deviceId, start, end, { sort, page, pageSize, filters }) => {
+  const { data, count, error } = await applyReadingFilters(
+    rangeQuery(deviceId, start, end, '*', { count: 'exact' }),
+    filters
+  )
+    .order(sort.column, { ascending: sort.ascending })
+    .order('id', { ascending: sort.ascending })
+    .range(page * pageSize, (page + 1) * pageSize - 1);
+
+  if (error) throw error;
+  return { rows: data, total: count };
+};
+
+// Page (0-based) of a time-sorted data grid on which `time` falls
+export const findReadingPage = async (deviceId, start, end, time, { ascending, pageSize, filters }) => {
+  let query = applyReadingFilters(
+    rangeQuery(deviceId, start, end, 'id', { count: 'exact', head: true }),
+    filters
+  );
+  query = ascending
+    ? query.lt('inserted_at', time.toISOString())
+    : query.gt('inserted_at', time.toISOString());
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return Math.floor(count / pageSize);
+};
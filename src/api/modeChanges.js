@@ -0,0 +1,22 @@
+import { supabase } from '../supabaseClient';
+
+// Record the switch in mode_changes, with the reason the operator gave (the
+// database fills in `changed_by`), then apply it
+export const sendModeChange = async (deviceId, automaticMode, reason = null) => {
+  const { error: auditError } = await supabase
+    .from('mode_changes')
+    .insert({
+      device_id: deviceId,
+      automatic_mode: automaticMode,
+      reason,
+    });
+
+  if (auditError) throw auditError;
+
+  const { error } = await supabase
+    .from('system_settings')
+    .update({ automatic_mode: automaticMode })
+    .eq('device_id', deviceId);
+
+  if (error) throw error;
+};
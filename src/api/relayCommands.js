@@ -0,0 +1,44 @@
+import { supabase } from '../supabaseClient';
+
+// Record the command in the audit table, with the reason the operator gave
+// (the database fills in `issued_by`), then ask the device to apply it.
+// Returns the relay_control fields that were written.
+export const sendRelayCommand = async (relay, desiredState, reason = null) => {
+  const command = {
+    desired_state: desiredState,
+    command_id: crypto.randomUUID(),
+    commanded_at: new Date().toISOString(),
+  };
+
+  const { error: auditError } = await supabase
+    .from('relay_commands')
+    .insert({
+      id: command.command_id,
+      relay_id: relay.id,
+      device_id: relay.device_id,
+      desired_state: desiredState,
+      issued_at: command.commanded_at,
+      reason,
+    });
+
+  if (auditError) throw auditError;
+
+  const { error } = await supabase
+    .from('relay_control')
+    .update(command)
+    .eq('id', relay.id);
+
+  if (error) throw error;
+  return command;
+};
+
+// Close out a command the device never acknowledged
+export const markCommandFailed = async (commandId) => {
+  const { error } = await supabase
+    .from('relay_commands')
+    .update({ outcome: 'failed', resolved_at: new Date().toISOString() })
+    .eq('id', commandId)
+    .eq('outcome', 'pending');
+
+  if (error) console.error('Error marking relay command as failed:', error);
+};
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// { session, user, role, isLoading, signInWithPassword, signInWithMagicLink, signOut }
+export const AuthContext = createContext(null);
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import { AuthContext } from './AuthContext';
+
+// Users without a user_roles row can still sign in but only see data
+const DEFAULT_ROLE = 'viewer';
+
+const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(null);
+  const [role, setRole] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      if (!data.session) setIsLoading(false);
+    });
+
+    const { data: listener } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+      if (!newSession) {
+        setRole(null);
+        setIsLoading(false);
+      }
+    });
+
+    return () => listener.subscription.unsubscribe();
+  }, []);
+
+  // Look up the signed-in user's role
+  const userId = session?.user?.id;
+  useEffect(() => {
+    if (!userId) return;
+
+    const fetchRole = async () => {
+      const { data, error } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      // Offline, fall back to the last role seen for this user
+      const cacheKey = `role:${userId}`;
+      if (error) {
+        console.error('Error loading user role:', error);
+        setRole(localStorage.getItem(cacheKey) || DEFAULT_ROLE);
+      } else {
+        const newRole = data?.role || DEFAULT_ROLE;
+        localStorage.setItem(cacheKey, newRole);
+        setRole(newRole);
+      }
+      setIsLoading(false);
+    };
+
+    fetchRole();
+  }, [userId]);
+
+  const signInWithPassword = async (email, password) => {
+    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    return error;
+  };
+
+  const signInWithMagicLink = async (email) => {
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: window.location.href },
+    });
+    return error;
+  };
+
+  const signOut = async () => {
+    const { error } = await supabase.auth.signOut();
+    if (error) console.error('Error signing out:', error);
+  };
+
+  const value = {
+    session,
+    user: session?.user ?? null,
+    role,
+    isLoading,
+    signInWithPassword,
+    signInWithMagicLink,
+    signOut,
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
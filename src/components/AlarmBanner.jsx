@@ -0,0 +1,54 @@
+import React from 'react';
+import { AlertTriangle, Check } from 'lucide-react';
+import useUnits from '../hooks/useUnits';
+import { describeAlarm } from '../utils/alarms';
+
+const STATUS_LABELS = {
+  active: 'ACTIVE',
+  acknowledged: 'ACKNOWLEDGED',
+  cleared: 'CLEARED - NOT ACKNOWLEDGED',
+};
+
+const AlarmBanner = ({ alarms, onAcknowledge }) => {
+  const { unit } = useUnits();
+  if (alarms.length === 0) return null;
+
+  return (
+    <div className="mb-4 space-y-2">
+      {alarms.map(({ rule, status, value, message, since }) => (
+        <div
+          key={rule.id}
+          role="alert"
+          className={`flex flex-col md:flex-row md:items-center justify-between p-4 rounded-lg border ${
+            status === 'active'
+              ? 'bg-red-100 border-red-200 text-red-700 dark:bg-red-900/30 dark:border-red-800 dark:text-red-300'
+              : 'bg-yellow-100 border-yellow-200 text-yellow-800 dark:bg-yellow-900/30 dark:border-yellow-800 dark:text-yellow-300'
+          }`}
+        >
+          <div className="flex items-start">
+            <AlertTriangle size={20} className={`mt-0.5 ${status === 'active' ? 'animate-pulse' : ''}`} />
+            <div className="ml-2">
+              <p className="font-medium">
+                {rule.name}
+                <span className="ml-2 text-xs font-semibold">{STATUS_LABELS[status]}</span>
+              </p>
+              {message && <p className="text-sm">{describeAlarm(rule, value, unit) ?? message}</p>}
+              <p className="text-xs mt-1">Since {new Date(since).toLocaleString()}</p>
+            </div>
+          </div>
+          {onAcknowledge && status !== 'acknowledged' && (
+            <button
+              onClick={() => onAcknowledge(rule.id)}
+              className="mt-2 md:mt-0 flex items-center px-3 py-1.5 rounded text-sm bg-white/70 hover:bg-white dark:bg-gray-800 dark:hover:bg-gray-700"
+            >
+              <Check size={16} className="mr-1" />
+              Acknowledge
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AlarmBanner;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import useUnits from '../hooks/useUnits';
+import { describeAlarm } from '../utils/alarms';
+
+const EVENT_STYLES = {
+  raised: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  acknowledged: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  cleared: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+};
+
+const AlarmLog = ({ deviceId, rules }) => {
+  const [events, setEvents] = useState([]);
+  const { unit } = useUnits();
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      const { data, error } = await supabase
+        .from('alarms')
+        .select('*')
+        .eq('device_id', deviceId)
+        .order('created_at', { ascending: false })
+        .limit(100);
+
+      if (error) console.error('Error loading alarm log:', error);
+      else setEvents(data);
+    };
+
+    fetchEvents();
+
+    const channel = supabase
+      .channel(`alarm-log-${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'alarms',
+          filter: `device_id=eq.${deviceId}`,
+        },
+        (payload) => {
+          setEvents(prev => [payload.new, ...prev].slice(0, 100));
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [deviceId]);
+
+  const ruleName = (ruleId) => rules.find(rule => rule.id === ruleId)?.name || `Rule ${ruleId}`;
+
+  // Logged messages are in °C; reword them in the display unit while the rule exists
+  const details = (event) => {
+    const rule = rules.find(item => item.id === event.rule_id);
+    return event.message && rule ? describeAlarm(rule, event.value, unit) ?? event.message : event.message;
+  };
+
+  return (
+    <div className="mt-6 p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+      <details>
+        <summary className="cursor-pointer text-lg font-medium focus:outline-none">
+          Alarm Log
+        </summary>
+        <div className="mt-4 overflow-x-auto">
+          {events.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No alarm events recorded</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead>
+                <tr>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Time</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Rule</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Event</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Details</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                {events.map(event => (
+                  <tr key={event.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {new Date(event.created_at).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{ruleName(event.rule_id)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${EVENT_STYLES[event.event] || ''}`}>
+                        {event.event}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">{details(event)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default AlarmLog;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Save, Trash2, Plus, X, BellRing } from 'lucide-react';
+import useUnits from '../hooks/useUnits';
+import { ALARM_TYPES, limitUnit, limitToDisplay, limitFromDisplay } from '../utils/alarms';
+import { sensorLabel } from '../utils/sensors';
+
+const NEW_RULE = {
+  name: '',
+  type: 'high',
+  sensor_id: null,
+  threshold: '',
+  delay_seconds: '60',
+  enabled: true,
+};
+
+// Limits are typed in the display unit and stored in °C
+const RuleRow = ({ rule, sensorIds, onSave, onDelete, inputClass }) => {
+  const { unit } = useUnits();
+  const [draft, setDraft] = useState({
+    ...rule,
+    threshold: rule.threshold === '' ? '' : String(limitToDisplay(rule.type, rule.threshold, unit)),
+    delay_seconds: String(rule.delay_seconds),
+  });
+  const [rowError, setRowError] = useState(null);
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    const threshold = parseFloat(draft.threshold);
+    const delaySeconds = parseInt(draft.delay_seconds, 10);
+    if (!draft.name.trim()) {
+      setRowError('Name is required');
+      return;
+    }
+    if (!Number.isFinite(threshold) || !Number.isInteger(delaySeconds) || delaySeconds < 0) {
+      setRowError('Limit and delay must be numbers');
+      return;
+    }
+
+    setRowError(null);
+    const saved = await onSave({
+      ...draft,
+      name: draft.name.trim(),
+      threshold: limitFromDisplay(draft.type, threshold, unit),
+      delay_seconds: delaySeconds,
+    });
+    if (!saved) setRowError('Failed to save rule');
+    else if (!rule.id) setDraft({ ...NEW_RULE });
+  };
+
+  return (
+    <tr>
+      <td className="py-2 pr-2">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={e => update('name', e.target.value)}
+          placeholder="Rule name"
+          className={`${inputClass} w-40`}
+        />
+        {rowError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{rowError}</p>}
+      </td>
+      <td className="py-2 pr-2">
+        <select value={draft.type} onChange={e => update('type', e.target.value)} className={inputClass}>
+          {Object.entries(ALARM_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </td>
+      <td className="py-2 pr-2">
+        <select
+          value={draft.sensor_id ?? ''}
+          onChange={e => update('sensor_id', e.target.value || null)}
+          className={inputClass}
+        >
+          <option value="">All sensors</option>
+          {sensorIds.map(sensorId => (
+            <option key={sensorId} value={sensorId}>{sensorLabel(sensorId)}</option>
+          ))}
+        </select>
+      </td>
+      <td className="py-2 pr-2 whitespace-nowrap">
+        <input
+          type="number"
+          step="0.1"
+          value={draft.threshold}
+          onChange={e => update('threshold', e.target.value)}
+          className={`${inputClass} w-20`}
+        />
+        <span className="ml-1 text-xs">{limitUnit(draft.type, unit)}</span>
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="number"
+          min="0"
+          value={draft.delay_seconds}
+          onChange={e => update('delay_seconds', e.target.value)}
+          className={`${inputClass} w-20`}
+        />
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={e => update('enabled', e.target.checked)}
+        />
+      </td>
+      <td className="py-2 whitespace-nowrap">
+        <button onClick={handleSave} title={rule.id ? 'Save rule' : 'Add rule'} className="p-1 text-blue-500 hover:text-blue-600">
+          {rule.id ? <Save size={16} /> : <Plus size={16} />}
+        </button>
+        {rule.id && (
+          <button onClick={() => onDelete(rule.id)} title="Delete rule" className="p-1 text-red-500 hover:text-red-600">
+            <Trash2 size={16} />
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+const AlarmRules = ({ rules, sensorIds, onSave, onDelete, onClose }) => {
+  const { unit } = useUnits();
+  const [permission, setPermission] = useState(
+    'Notification' in window ? Notification.permission : 'unsupported'
+  );
+
+  const inputClass = 'border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+
+  return (
+    <div className="mb-6 p-4 rounded-lg bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium">Alarm Rules</h2>
+        <div className="flex items-center">
+          {permission === 'default' && (
+            <button
+              onClick={async () => setPermission(await Notification.requestPermission())}
+              className="flex items-center mr-2 px-3 py-1.5 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200"
+            >
+              <BellRing size={16} className="mr-1" />
+              Enable notifications
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="p-1 rounded-full hover:bg-gray-100 text-gray-500 dark:hover:bg-gray-700 dark:text-gray-300"
+          >
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              <th className="py-2">Name</th>
+              <th className="py-2">Type</th>
+              <th className="py-2">Sensor</th>
+              <th className="py-2">Limit</th>
+              <th className="py-2">Delay (s)</th>
+              <th className="py-2">Enabled</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <RuleRow
+                key={`${rule.id}-${unit}`}
+                rule={rule}
+                sensorIds={sensorIds}
+                onSave={onSave}
+                onDelete={onDelete}
+                inputClass={inputClass}
+              />
+            ))}
+            <RuleRow
+              key={`new-${unit}`}
+              rule={NEW_RULE}
+              sensorIds={sensorIds}
+              onSave={onSave}
+              onDelete={onDelete}
+              inputClass={inputClass}
+            />
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AlarmRules;
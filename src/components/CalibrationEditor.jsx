@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { Save, Trash2, Plus, X } from 'lucide-react';
+import { DEFAULT_SENSOR_ID, sensorLabel } from '../utils/sensors';
+import { CALIBRATION_KINDS, validateCalibration } from '../utils/calibration';
+import { toLocalInput, fromLocalInput } from '../utils/range';
+
+const NEW_CALIBRATION = {
+  sensor_id: null,
+  kind: 'offset',
+  offset_value: null,
+  raw_low: null,
+  reference_low: null,
+  raw_high: null,
+  reference_high: null,
+  effective_from: null,
+  note: '',
+};
+
+const VALUE_FIELDS = ['offset_value', 'raw_low', 'reference_low', 'raw_high', 'reference_high'];
+
+// Number inputs are kept as strings so partially typed values ("-", "1.") survive
+const toDraft = (calibration) => ({
+  ...calibration,
+  ...Object.fromEntries(VALUE_FIELDS.map(field => [field, calibration[field] === null ? '' : String(calibration[field])])),
+  sensor_id: calibration.sensor_id ?? DEFAULT_SENSOR_ID,
+  effective_from: toLocalInput(calibration.effective_from ?? Date.now()),
+  note: calibration.note || '',
+});
+
+const parseValue = (value) => (value === '' ? null : parseFloat(value));
+
+const CalibrationRow = ({ calibration, sensorIds, onSave, onDelete, inputClass }) => {
+  const [draft, setDraft] = useState(() => toDraft(calibration));
+  const [rowError, setRowError] = useState(null);
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    const isOffset = draft.kind === 'offset';
+    const payload = {
+      ...(calibration.id ? { id: calibration.id } : {}),
+      sensor_id: draft.sensor_id === DEFAULT_SENSOR_ID ? null : draft.sensor_id,
+      kind: draft.kind,
+      offset_value: isOffset ? parseValue(draft.offset_value) : null,
+      raw_low: isOffset ? null : parseValue(draft.raw_low),
+      reference_low: isOffset ? null : parseValue(draft.reference_low),
+      raw_high: isOffset ? null : parseValue(draft.raw_high),
+      reference_high: isOffset ? null : parseValue(draft.reference_high),
+      effective_from: fromLocalInput(draft.effective_from),
+      note: draft.note.trim() || null,
+    };
+
+    const validationError = validateCalibration(payload);
+    if (validationError) {
+      setRowError(validationError);
+      return;
+    }
+
+    setRowError(null);
+    const saved = await onSave(payload);
+    if (!saved) setRowError('Failed to save calibration');
+    else if (!calibration.id) setDraft(toDraft(NEW_CALIBRATION));
+  };
+
+  const renderValueInput = (field, placeholder) => (
+    <input
+      type="number"
+      step="0.01"
+      value={draft[field]}
+      onChange={e => update(field, e.target.value)}
+      placeholder={placeholder}
+      className={`${inputClass} w-20`}
+    />
+  );
+
+  // A calibration may name a probe that has no readings in the current window
+  const sensorOptions = [...new Set([...sensorIds, draft.sensor_id])];
+
+  return (
+    <tr className="align-top">
+      <td className="py-2 pr-2">
+        <select value={draft.sensor_id} onChange={e => update('sensor_id', e.target.value)} className={inputClass}>
+          {sensorOptions.map(sensorId => (
+            <option key={sensorId} value={sensorId}>{sensorLabel(sensorId)}</option>
+          ))}
+        </select>
+        {rowError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{rowError}</p>}
+      </td>
+      <td className="py-2 pr-2">
+        <select value={draft.kind} onChange={e => update('kind', e.target.value)} className={inputClass}>
+          {Object.entries(CALIBRATION_KINDS).map(([kind, label]) => (
+            <option key={kind} value={kind}>{label}</option>
+          ))}
+        </select>
+      </td>
+      <td className="py-2 pr-2">
+        {draft.kind === 'offset' ? (
+          <div className="flex items-center">
+            <span className="mr-1 text-xs">raw +</span>
+            {renderValueInput('offset_value', '0.0')}
+          </div>
+        ) : (
+          <div className="space-y-1">
+            <div className="flex items-center">
+              {renderValueInput('raw_low', 'raw')}
+              <span className="mx-1 text-xs">reads as</span>
+              {renderValueInput('reference_low', 'actual')}
+            </div>
+            <div className="flex items-center">
+              {renderValueInput('raw_high', 'raw')}
+              <span className="mx-1 text-xs">reads as</span>
+              {renderValueInput('reference_high', 'actual')}
+            </div>
+          </div>
+        )}
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="datetime-local"
+          value={draft.effective_from}
+          onChange={e => update('effective_from', e.target.value)}
+          className={inputClass}
+        />
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="text"
+          value={draft.note}
+          onChange={e => update('note', e.target.value)}
+          placeholder="e.g. probe replaced"
+          className={`${inputClass} w-40`}
+        />
+      </td>
+      <td className="py-2 whitespace-nowrap">
+        <button onClick={handleSave} title={calibration.id ? 'Save calibration' : 'Add calibration'} className="p-1 text-blue-500 hover:text-blue-600">
+          {calibration.id ? <Save size={16} /> : <Plus size={16} />}
+        </button>
+        {calibration.id && (
+          <button onClick={() => onDelete(calibration.id)} title="Delete calibration" className="p-1 text-red-500 hover:text-red-600">
+            <Trash2 size={16} />
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+const CalibrationEditor = ({ calibrations, sensorIds, onSave, onDelete, onClose }) => {
+  const inputClass = 'border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+  const knownSensorIds = sensorIds.length > 0 ? sensorIds : [DEFAULT_SENSOR_ID];
+
+  return (
+    <div className="mb-6 p-4 rounded-lg bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-lg font-medium">Sensor calibration</h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Values are in °C. Each reading uses the newest calibration of its probe in effect at the time it was taken.
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-full hover:bg-gray-100 text-gray-500 dark:hover:bg-gray-700 dark:text-gray-300"
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              <th className="py-2">Sensor</th>
+              <th className="py-2">Type</th>
+              <th className="py-2">Correction</th>
+              <th className="py-2">Effective from</th>
+              <th className="py-2">Note</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {calibrations.map(calibration => (
+              <CalibrationRow
+                key={calibration.id}
+                calibration={calibration}
+                sensorIds={knownSensorIds}
+                onSave={onSave}
+                onDelete={onDelete}
+                inputClass={inputClass}
+              />
+            ))}
+            <CalibrationRow
+              calibration={NEW_CALIBRATION}
+              sensorIds={knownSensorIds}
+              onSave={onSave}
+              onDelete={onDelete}
+              inputClass={inputClass}
+            />
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationEditor;
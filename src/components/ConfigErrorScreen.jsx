@@ -0,0 +1,33 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const ENV_NAMES = {
+  supabaseUrl: 'VITE_SUPABASE_URL',
+  supabaseAnonKey: 'VITE_SUPABASE_ANON_KEY',
+};
+
+const ConfigErrorScreen = ({ error }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-100">
+    <div className="max-w-lg p-6 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-red-200 dark:border-red-800">
+      <div className="flex items-center text-red-700 dark:text-red-300">
+        <AlertTriangle size={20} />
+        <h1 className="ml-2 text-lg font-semibold">Dashboard is not configured</h1>
+      </div>
+      <p className="mt-4 text-sm">{error.message}</p>
+      {error.missingKeys && (
+        <>
+          <p className="mt-4 text-sm">Set these variables at build time (for example in <code>.env.local</code>):</p>
+          <ul className="mt-2 text-sm list-disc list-inside font-mono">
+            {error.missingKeys.map(key => <li key={key}>{ENV_NAMES[key] || key}</li>)}
+          </ul>
+          <p className="mt-4 text-sm">
+            or deploy a <code>/config.json</code> next to <code>index.html</code> containing{' '}
+            <code>{error.missingKeys.map(key => `"${key}"`).join(', ')}</code>.
+          </p>
+        </>
+      )}
+    </div>
+  </div>
+);
+
+export default ConfigErrorScreen;
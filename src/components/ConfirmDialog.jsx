@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const FOCUSABLE = 'button:not([disabled]), textarea, input, select, [href]';
+
+// Modal confirmation for safety-relevant actions. With `requireReason` the
+// confirm button stays disabled until a reason is typed; it is passed to
+// `onConfirm` so it can be stored with the change. Escape or the backdrop
+// cancels; focus stays inside the dialog and returns to where it was.
+const ConfirmDialog = ({
+  title,
+  message,
+  confirmLabel = 'Confirm',
+  requireReason = false,
+  reasonLabel = 'Reason',
+  onConfirm,
+  onCancel,
+}) => {
+  const [reason, setReason] = useState('');
+  const dialogRef = useRef(null);
+  const titleId = useId();
+  const messageId = useId();
+  const reasonId = useId();
+  const trimmedReason = reason.trim();
+  const canConfirm = !requireReason || trimmedReason !== '';
+
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    dialogRef.current.querySelector(requireReason ? 'textarea' : '[data-confirm]').focus();
+    return () => previousFocus?.focus?.();
+  }, [requireReason]);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      onCancel();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    // Keep Tab cycling through the dialog's own controls
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (canConfirm) onConfirm(trimmedReason || null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/40" onMouseDown={onCancel}>
+      <div
+        ref={dialogRef}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={messageId}
+        onKeyDown={handleKeyDown}
+        onMouseDown={e => e.stopPropagation()}
+        className="w-full max-w-md p-5 rounded-lg shadow-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100"
+      >
+        <form onSubmit={handleSubmit}>
+          <div className="flex items-start">
+            <AlertTriangle size={22} className="mt-0.5 flex-shrink-0 text-yellow-500" />
+            <div className="ml-3 flex-1">
+              <h2 id={titleId} className="text-lg font-medium">{title}</h2>
+              <p id={messageId} className="mt-1 text-sm text-gray-600 dark:text-gray-300">{message}</p>
+            </div>
+          </div>
+
+          {requireReason && (
+            <div className="mt-4">
+              <label htmlFor={reasonId} className="block text-sm font-medium">
+                {reasonLabel} <span className="text-red-600 dark:text-red-400">(required)</span>
+              </label>
+              <textarea
+                id={reasonId}
+                value={reason}
+                onChange={e => setReason(e.target.value)}
+                rows={2}
+                required
+                className="mt-1 w-full border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-900 dark:text-gray-200 dark:border-gray-700"
+              />
+            </div>
+          )}
+
+          <div className="flex justify-end mt-5 space-x-2">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-1.5 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              data-confirm
+              disabled={!canConfirm}
+              className="px-3 py-1.5 rounded text-sm bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {confirmLabel}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Wifi, WifiOff, AlertTriangle } from 'lucide-react';
+import { formatAge } from '../utils/devices';
+
+const STATUS = {
+  online: {
+    label: 'Online',
+    icon: Wifi,
+    className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  },
+  degraded: {
+    label: 'Degraded',
+    icon: AlertTriangle,
+    className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  },
+  offline: {
+    label: 'Offline',
+    icon: WifiOff,
+    className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  },
+};
+
+const ConnectivityIndicator = ({ status, lastSeen, now, showAge = true }) => {
+  const { label, icon: Icon, className } = STATUS[status];
+
+  return (
+    <span
+      title={lastSeen ? `Last heard from: ${new Date(lastSeen).toLocaleString()}` : 'Never heard from'}
+      className={`flex items-center px-2 py-1 text-xs font-medium rounded-full ${className}`}
+    >
+      <Icon size={12} className="mr-1" />
+      {label}
+      {showAge && <span className="ml-1 font-normal">({formatAge(lastSeen, now)})</span>}
+    </span>
+  );
+};
+
+export default ConnectivityIndicator;
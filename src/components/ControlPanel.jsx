@@ -0,0 +1,107 @@
+import React from 'react';
+import { Sliders, Clock, RefreshCw, Bell, CalendarClock, Crosshair } from 'lucide-react';
+import ConnectivityIndicator from './ConnectivityIndicator';
+import RealtimeIndicator from './RealtimeIndicator';
+import NextChange from './NextChange';
+import { formatAge } from '../utils/devices';
+
+// System mode, the buttons that open the editors, connectivity and the relay
+// cards (passed as children)
+const ControlPanel = ({
+  isAutomatic,
+  automaticMode,
+  modeProgram,
+  queuedMode,
+  nextModeChange,
+  relays,
+  lastSeen,
+  now,
+  connectivity,
+  realtimeStatus,
+  isRefreshing,
+  canControl,
+  canConfigure,
+  onToggleMode,
+  onToggleSchedules,
+  onToggleAlarmRules,
+  onToggleCalibrations,
+  onRefresh,
+  children,
+}) => {
+  const iconButtonClass = 'p-2 rounded-full bg-gray-100 hover:bg-gray-200 text-blue-600 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-blue-300';
+
+  return (
+    <div className="mb-6 p-4 rounded-lg bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4">
+        <div className="flex items-center mb-4 md:mb-0">
+          <Sliders size={20} className="text-blue-600 dark:text-blue-300" />
+          <span className="ml-2 text-lg font-medium">System Mode:</span>
+          <span className={`ml-2 px-3 py-1 rounded text-sm font-medium ${
+            isAutomatic
+              ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+              : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
+          }`}>
+            {isAutomatic ? 'AUTOMATIC' : 'MANUAL'}
+          </span>
+          {modeProgram && (
+            <span className="ml-2 text-xs text-blue-600 dark:text-blue-400">
+              Program: {modeProgram.name}
+            </span>
+          )}
+          {queuedMode && (
+            <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300">
+              Queued: {queuedMode.automatic_mode ? 'AUTOMATIC' : 'MANUAL'}
+            </span>
+          )}
+          {canControl && (
+            <button
+              onClick={onToggleMode}
+              className="ml-4 px-3 py-1.5 rounded text-sm bg-blue-500 hover:bg-blue-600 text-white dark:bg-blue-600 dark:hover:bg-blue-700"
+            >
+              Switch Mode
+            </button>
+          )}
+          {canControl && (
+            <button onClick={onToggleSchedules} title="Schedules" className={`ml-2 ${iconButtonClass}`}>
+              <CalendarClock size={18} />
+            </button>
+          )}
+          {canConfigure && (
+            <button onClick={onToggleAlarmRules} title="Alarm rules" className={`ml-2 ${iconButtonClass}`}>
+              <Bell size={18} />
+            </button>
+          )}
+          {canConfigure && (
+            <button onClick={onToggleCalibrations} title="Sensor calibration" className={`ml-2 ${iconButtonClass}`}>
+              <Crosshair size={18} />
+            </button>
+          )}
+        </div>
+
+        <div className="flex items-center">
+          <Clock size={20} className="text-blue-600 dark:text-blue-300" />
+          <span className="ml-2 mr-2 font-medium" title={lastSeen ? lastSeen.toLocaleString() : undefined}>
+            Last data: {formatAge(lastSeen, now)}
+          </span>
+          <ConnectivityIndicator status={connectivity} lastSeen={lastSeen} now={now} showAge={false} />
+          <span className="ml-2"><RealtimeIndicator status={realtimeStatus} /></span>
+          <button onClick={onRefresh} title="Refresh" className={`ml-4 ${iconButtonClass}`}>
+            <RefreshCw size={18} className={isRefreshing ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      <NextChange
+        change={nextModeChange}
+        endLabel={automaticMode ? 'back to automatic mode' : 'back to manual mode'}
+        relays={relays}
+      />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 mt-4">
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default ControlPanel;
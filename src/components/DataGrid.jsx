@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import DatePicker from 'react-datepicker';
+import { ChevronUp, ChevronDown, ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import { fetchSensorPage, findReadingPage } from '../api/history';
+import { findRelayForTemperature, formatBand } from '../utils/thresholds';
+import { relayLabel } from '../utils/relays';
+import { getSensorId, sensorLabel } from '../utils/sensors';
+import { RELAY_COLORS, pickColor } from '../utils/colors';
+import { liveWindowStart } from '../utils/range';
+import { calibrateRows } from '../utils/calibration';
+import { DEFAULT_DATA_QUALITY, QUALITY_FLAGS, isPlausible } from '../utils/quality';
+import useUnits from '../hooks/useUnits';
+
+const PAGE_SIZES = [25, 50, 100];
+const DEFAULT_SORT = { column: 'inserted_at', ascending: false };
+
+const headerClass = 'px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider';
+
+// Server-side paginated view of sensor_data for the selected range.
+// Keyed on the range by the parent, so a new range starts from the first page.
+// Filtering and sorting happen in the database, so they use the stored (raw) values.
+// Spikes can only be told from their neighbours, so `qualityFlags` (reading id
+// to flag) comes from the readings the parent has loaded; other rows are only
+// checked against the plausibility limits.
+const DataGrid = ({
+  deviceId,
+  startDate,
+  endDate,
+  thresholds,
+  relays,
+  sensorIds,
+  calibrations = [],
+  dataQuality = DEFAULT_DATA_QUALITY,
+  qualityFlags = new Map(),
+  selectedId,
+  onSelectRow,
+}) => {
+  const { unit, symbol, formatTemperature } = useUnits();
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [bandFilter, setBandFilter] = useState('');
+  const [sensorFilter, setSensorFilter] = useState('');
+  const [jumpTime, setJumpTime] = useState(null);
+  const [pendingJump, setPendingJump] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [loadedPage, setLoadedPage] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const filters = {
+    sensorId: sensorFilter || null,
+    band: bandFilter && bandFilter !== 'outside' ? thresholds[bandFilter] : null,
+    outsideBands: bandFilter === 'outside' ? Object.values(thresholds) : [],
+  };
+  const filterKey = JSON.stringify(filters);
+  const pageKey = `${sort.column}-${sort.ascending}-${pageSize}-${filterKey}-${page}`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPage = async () => {
+      setIsLoading(true);
+      try {
+        const result = await fetchSensorPage(deviceId, startDate || liveWindowStart(), endDate, {
+          sort,
+          page,
+          pageSize,
+          filters: JSON.parse(filterKey),
+        });
+        if (cancelled) return;
+        setRows(result.rows);
+        setTotal(result.total);
+        setLoadedPage(`${sort.column}-${sort.ascending}-${pageSize}-${filterKey}-${page}`);
+        setError(null);
+      } catch (err) {
+        console.error('Data grid query error:', err);
+        if (!cancelled) setError('Failed to load readings.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadPage();
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId, startDate, endDate, filterKey, sort, page, pageSize, refreshKey]);
+
+  // Once the page with the requested time has loaded, select the closest reading
+  useEffect(() => {
+    if (!pendingJump || loadedPage !== pageKey || rows.length === 0) return;
+    const closest = rows.reduce((best, row) => (
+      Math.abs(new Date(row.inserted_at) - pendingJump) < Math.abs(new Date(best.inserted_at) - pendingJump) ? row : best
+    ));
+    setPendingJump(null);
+    onSelectRow(closest);
+  }, [pendingJump, loadedPage, pageKey, rows, onSelectRow]);
+
+  const jumpTo = async () => {
+    if (!jumpTime) return;
+    const timeSort = sort.column === 'inserted_at' ? sort : DEFAULT_SORT;
+    try {
+      const targetPage = await findReadingPage(deviceId, startDate || liveWindowStart(), endDate, jumpTime, {
+        ascending: timeSort.ascending,
+        pageSize,
+        filters,
+      });
+      setSort(timeSort);
+      setPage(targetPage);
+      setPendingJump(jumpTime);
+    } catch (err) {
+      console.error('Jump to time error:', err);
+      setError('Failed to find that time.');
+    }
+  };
+
+  // Changing what is listed starts again from the first page
+  const changeFilter = (setter) => (event) => {
+    setter(event.target.value);
+    setPage(0);
+  };
+
+  const toggleSort = (column) => {
+    setPage(0);
+    setSort(prev => (
+      prev.column === column ? { column, ascending: !prev.ascending } : { column, ascending: column !== 'inserted_at' }
+    ));
+  };
+
+  const renderSortHeader = (column, label) => (
+    <th className={headerClass}>
+      <button onClick={() => toggleSort(column)} className="flex items-center uppercase tracking-wider">
+        {label}
+        {sort.column === column && (sort.ascending ? <ChevronUp size={14} /> : <ChevronDown size={14} />)}
+      </button>
+    </th>
+  );
+
+  const inputClass = 'border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+  const buttonClass = 'p-1 rounded bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200 disabled:opacity-50 disabled:cursor-not-allowed';
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+  const showSensor = sensorIds.length > 1;
+  const isCalibrated = calibrations.length > 0;
+  const displayRows = calibrateRows(rows, calibrations);
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <select value={bandFilter} onChange={changeFilter(setBandFilter)} className={inputClass}>
+          <option value="">All readings</option>
+          {Object.entries(thresholds).map(([relayId, band]) => {
+            const relay = relays.find(item => item.id === Number(relayId)) || { id: relayId };
+            return (
+              <option key={relayId} value={relayId}>{relayLabel(relay)} range ({formatBand(band, '-', unit)})</option>
+            );
+          })}
+          <option value="outside">Outside control ranges</option>
+        </select>
+        {showSensor && (
+          <select value={sensorFilter} onChange={changeFilter(setSensorFilter)} className={inputClass}>
+            <option value="">All sensors</option>
+            {sensorIds.map(sensorId => (
+              <option key={sensorId} value={sensorId}>{sensorLabel(sensorId)}</option>
+            ))}
+          </select>
+        )}
+        <div className="flex items-center ml-auto space-x-2">
+          <DatePicker
+            selected={jumpTime}
+            onChange={setJumpTime}
+            showTimeSelect
+            dateFormat="Pp"
+            placeholderText="Jump to time"
+            className={inputClass}
+          />
+          <button onClick={jumpTo} disabled={!jumpTime} className={`${buttonClass} px-2`}>Go</button>
+          <button onClick={() => setRefreshKey(key => key + 1)} title="Reload" className={buttonClass}>
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      {isCalibrated && (
+        <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+          Range filters and sorting use the raw readings; the control status uses the calibrated value.
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+          <thead>
+            <tr>
+              {renderSortHeader('inserted_at', 'Time')}
+              {showSensor && renderSortHeader('sensor_id', 'Sensor')}
+              {isCalibrated ? (
+                <>
+                  {renderSortHeader('temperature', `Raw (${symbol})`)}
+                  <th className={headerClass}>Calibrated ({symbol})</th>
+                </>
+              ) : renderSortHeader('temperature', `Temperature (${symbol})`)}
+              <th className={headerClass}>Control Status</th>
+            </tr>
+          </thead>
+          <tbody className={`bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700 ${isLoading ? 'opacity-60' : ''}`}>
+            {displayRows.map((item, index) => {
+              const bandRelayId = findRelayForTemperature(item.temperature, thresholds);
+              const bandRelay = relays.find(relay => relay.id === bandRelayId) || { id: bandRelayId };
+              const relayIndex = relays.findIndex(relay => relay.id === bandRelayId);
+              const color = bandRelayId !== null
+                ? pickColor(RELAY_COLORS, relayIndex === -1 ? bandRelayId - 1 : relayIndex)
+                : null;
+              const isSelected = item.id === selectedId;
+              const qualityFlag = qualityFlags.get(item.id) ?? (isPlausible(item, dataQuality) ? null : 'implausible');
+
+              return (
+                <tr
+                  key={item.id}
+                  onClick={() => onSelectRow(item)}
+                  className={`cursor-pointer ${
+                    isSelected
+                      ? 'bg-blue-100 dark:bg-blue-900/40'
+                      : index % 2 === 0 ? 'bg-gray-50 dark:bg-gray-900/50' : ''
+                  } hover:bg-blue-50 dark:hover:bg-blue-900/20`}
+                >
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {new Date(item.inserted_at).toLocaleString()}
+                  </td>
+                  {showSensor && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {sensorLabel(getSensorId(item))}
+                    </td>
+                  )}
+                  {isCalibrated && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {formatTemperature(item.raw_temperature ?? item.temperature)}
+                    </td>
+                  )}
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`text-sm font-medium ${
+                      qualityFlag ? 'text-red-600 dark:text-red-400' : color ? color.text : 'text-gray-800 dark:text-gray-200'
+                    }`}>
+                      {formatTemperature(item.temperature)}
+                    </span>
+                    {qualityFlag && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300">
+                        {QUALITY_FLAGS[qualityFlag]}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {color ? (
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${color.badge}`}>
+                        {relayLabel(bandRelay)} Range ({formatBand(thresholds[bandRelayId], '-', unit)})
+                      </span>
+                    ) : (
+                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">
+                        Outside Control Range
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {!isLoading && rows.length === 0 && (
+          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">No readings match these filters</p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-sm text-gray-500 dark:text-gray-400">
+        <span>
+          {total > 0
+            ? `Rows ${page * pageSize + 1}–${Math.min((page + 1) * pageSize, total)} of ${total}`
+            : 'No rows'}
+        </span>
+        <div className="flex items-center space-x-2">
+          <select value={pageSize} onChange={changeFilter(value => setPageSize(Number(value)))} className={inputClass}>
+            {PAGE_SIZES.map(size => (
+              <option key={size} value={size}>{size} per page</option>
+            ))}
+          </select>
+          <button onClick={() => setPage(page - 1)} disabled={page === 0} className={buttonClass}>
+            <ChevronLeft size={16} />
+          </button>
+          <span>Page {page + 1} of {pageCount}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount} className={buttonClass}>
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataGrid;
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import ExportPanel from './ExportPanel';
+import DataGrid from './DataGrid';
+import { liveWindowStart } from '../utils/range';
+
+// Export controls and the paginated raw data, which is only queried once opened
+const DataTable = ({
+  deviceId,
+  startDate,
+  endDate,
+  readings,
+  thresholds,
+  relays,
+  sensorIds,
+  calibrations,
+  dataQuality,
+  qualityFlags,
+  selectedReading,
+  onSelectReading,
+}) => {
+  const [showDataGrid, setShowDataGrid] = useState(false);
+
+  return (
+    <div className="mt-6 p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+      <div className="flex justify-end mb-2">
+        <ExportPanel
+          key={`${startDate?.getTime()}-${endDate?.getTime()}`}
+          deviceId={deviceId}
+          startDate={startDate}
+          endDate={endDate}
+          inMemoryRows={readings}
+          inMemorySince={liveWindowStart()}
+          calibrations={calibrations}
+          relays={relays}
+        />
+      </div>
+      <details onToggle={e => setShowDataGrid(e.currentTarget.open)}>
+        <summary className="cursor-pointer text-lg font-medium focus:outline-none">
+          Raw Temperature Data
+        </summary>
+        {showDataGrid && (
+          <DataGrid
+            key={`${deviceId}-${startDate?.getTime()}-${endDate?.getTime()}`}
+            deviceId={deviceId}
+            startDate={startDate}
+            endDate={endDate}
+            thresholds={thresholds}
+            relays={relays}
+            sensorIds={sensorIds}
+            calibrations={calibrations}
+            dataQuality={dataQuality}
+            qualityFlags={qualityFlags}
+            selectedId={selectedReading?.id}
+            onSelectRow={onSelectReading}
+          />
+        )}
+      </details>
+    </div>
+  );
+};
+
+export default DataTable;
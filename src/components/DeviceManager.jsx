@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Save, Plus } from 'lucide-react';
+
+const NEW_DEVICE = { device_id: '', name: '', location: '', timezone: 'UTC' };
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const DeviceRow = ({ device, isNew, onSave, inputClass }) => {
+  const [draft, setDraft] = useState({
+    device_id: device.device_id,
+    name: device.name || '',
+    location: device.location || '',
+    timezone: device.timezone || 'UTC',
+  });
+  const [rowError, setRowError] = useState(null);
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    if (!draft.device_id.trim()) {
+      setRowError('Device ID is required');
+      return;
+    }
+    if (!isValidTimezone(draft.timezone.trim())) {
+      setRowError('Unknown timezone, use an IANA name like Europe/Berlin');
+      return;
+    }
+
+    setRowError(null);
+    const saved = await onSave({
+      device_id: draft.device_id.trim(),
+      name: draft.name.trim() || null,
+      location: draft.location.trim() || null,
+      timezone: draft.timezone.trim(),
+    });
+    if (!saved) setRowError('Failed to save device');
+    else if (isNew) setDraft({ ...NEW_DEVICE });
+  };
+
+  return (
+    <tr>
+      <td className="py-2 pr-2">
+        {isNew ? (
+          <input
+            type="text"
+            value={draft.device_id}
+            onChange={e => update('device_id', e.target.value)}
+            placeholder="esp32-2"
+            className={inputClass}
+          />
+        ) : (
+          <span className="font-medium">{draft.device_id}</span>
+        )}
+        {rowError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{rowError}</p>}
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={e => update('name', e.target.value)}
+          className={inputClass}
+        />
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="text"
+          value={draft.location}
+          onChange={e => update('location', e.target.value)}
+          className={inputClass}
+        />
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="text"
+          value={draft.timezone}
+          onChange={e => update('timezone', e.target.value)}
+          placeholder="Europe/Berlin"
+          className={inputClass}
+        />
+      </td>
+      <td className="py-2">
+        <button onClick={handleSave} title={isNew ? 'Add device' : 'Save device'} className="p-1 text-blue-500 hover:text-blue-600">
+          {isNew ? <Plus size={16} /> : <Save size={16} />}
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+const DeviceManager = ({ devices, onSave }) => {
+  const inputClass = 'border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+
+  return (
+    <div className="mt-6 p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+      <details>
+        <summary className="cursor-pointer text-lg font-medium focus:outline-none">
+          Manage Devices
+        </summary>
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                <th className="py-2">Device ID</th>
+                <th className="py-2">Name</th>
+                <th className="py-2">Location</th>
+                <th className="py-2">Timezone</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {devices.map(device => (
+                <DeviceRow key={device.device_id} device={device} onSave={onSave} inputClass={inputClass} />
+              ))}
+              <DeviceRow device={NEW_DEVICE} isNew onSave={onSave} inputClass={inputClass} />
+            </tbody>
+          </table>
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default DeviceManager;
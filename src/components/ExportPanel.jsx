@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { CSVLink } from 'react-csv';
+import { Download, FileJson, FileSpreadsheet } from 'lucide-react';
+import { fetchSensorHistory, fetchRelayEvents } from '../api/history';
+import { attachRelayStates, relayLabel, relayStateKey } from '../utils/relays';
+import { calibrateRows } from '../utils/calibration';
+import useUnits from '../hooks/useUnits';
+
+const formatStamp = (date) => (date ? date.toISOString().replace(/[:.]/g, '-') : 'all');
+
+// Prepared rows stay in °C with calibration applied; the display unit is
+// applied when the file is written, so changing it needs no new query
+const ExportPanel = ({ deviceId, startDate, endDate, inMemoryRows, inMemorySince, calibrations = [], relays }) => {
+  const { unit, symbol, toDisplay } = useUnits();
+  const [preparedRows, setPreparedRows] = useState(null);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const filename = `sensor-history-${deviceId}-${formatStamp(startDate)}-${formatStamp(endDate)}`;
+  const headers = [
+    { label: 'id', key: 'id' },
+    { label: 'inserted_at', key: 'inserted_at' },
+    { label: 'sensor_id', key: 'sensor_id' },
+    { label: `temperature (${symbol})`, key: 'temperature' },
+    { label: `raw_temperature (${symbol})`, key: 'raw_temperature' },
+    ...relays.map(relay => ({ label: relayLabel(relay), key: relayStateKey(relay.id) })),
+  ];
+
+  const prepareExport = async () => {
+    setIsPreparing(true);
+    setExportError(null);
+    try {
+      // The in-memory window only covers recent data; anything older comes from
+      // Supabase. In-memory rows are already calibrated.
+      const rows = startDate && startDate < inMemorySince
+        ? calibrateRows(await fetchSensorHistory(deviceId, startDate, endDate || null), calibrations)
+        : inMemoryRows;
+
+      const rangeStart = startDate || (rows.length > 0 ? new Date(rows[0].inserted_at) : null);
+      const events = await fetchRelayEvents(
+        deviceId,
+        relays.map(relay => relay.id),
+        rangeStart,
+        endDate || null
+      );
+
+      setPreparedRows(attachRelayStates(rows, events, relays));
+    } catch (err) {
+      console.error('Export error:', err);
+      setExportError('Failed to prepare export');
+    } finally {
+      setIsPreparing(false);
+    }
+  };
+
+  const exportRows = preparedRows && preparedRows.map(row => ({
+    ...row,
+    temperature: toDisplay(row.temperature),
+    raw_temperature: toDisplay(row.raw_temperature ?? row.temperature),
+    ...(row.min_temperature !== undefined && {
+      min_temperature: toDisplay(row.min_temperature),
+      max_temperature: toDisplay(row.max_temperature),
+    }),
+    unit,
+  }));
+
+  const downloadJson = () => {
+    const blob = new Blob([JSON.stringify(exportRows, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filename}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const buttonClass = 'flex items-center px-3 py-1.5 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {exportRows === null ? (
+        <button onClick={prepareExport} disabled={isPreparing} className={buttonClass}>
+          <Download size={16} className="mr-1" />
+          {isPreparing ? 'Preparing export...' : 'Export'}
+        </button>
+      ) : (
+        <>
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {exportRows.length} record{exportRows.length !== 1 ? 's' : ''} ready
+          </span>
+          <CSVLink data={exportRows} headers={headers} filename={`${filename}.csv`} className={buttonClass}>
+            <FileSpreadsheet size={16} className="mr-1" />
+            CSV
+          </CSVLink>
+          <button onClick={downloadJson} className={buttonClass}>
+            <FileJson size={16} className="mr-1" />
+            JSON
+          </button>
+          <button
+            onClick={() => setPreparedRows(null)}
+            className="text-xs text-gray-500 dark:text-gray-400 hover:underline"
+          >
+            Reset
+          </button>
+        </>
+      )}
+      {exportError && (
+        <span className="text-sm text-red-600 dark:text-red-400">{exportError}</span>
+      )}
+    </div>
+  );
+};
+
+export default ExportPanel;
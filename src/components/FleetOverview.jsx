@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Thermometer, Power, MapPin, Monitor } from 'lucide-react';
+import { supabase } from '../supabaseClient';
+import ConnectivityIndicator from './ConnectivityIndicator';
+import RealtimeIndicator from './RealtimeIndicator';
+import DeviceManager from './DeviceManager';
+import UserMenu from './UserMenu';
+import useAuth from '../hooks/useAuth';
+import useRealtimeChannel from '../hooks/useRealtimeChannel';
+import { can } from '../utils/roles';
+import {
+  deviceLabel,
+  devicePath,
+  normalizeConnectivity,
+  getLastSeen,
+  getConnectivity,
+} from '../utils/devices';
+import { relayLabel, sortRelays, mergeRelay } from '../utils/relays';
+import { calibrateRows } from '../utils/calibration';
+import useUnits from '../hooks/useUnits';
+
+const POLL_INTERVAL_MS = 15000;
+
+const FleetOverview = () => {
+  const { role } = useAuth();
+  const { formatTemperature } = useUnits();
+  const [devices, setDevices] = useState([]);
+  const [latestReadings, setLatestReadings] = useState({});
+  const [relaysByDevice, setRelaysByDevice] = useState({});
+  const [modesByDevice, setModesByDevice] = useState({});
+  const [connectivityByDevice, setConnectivityByDevice] = useState({});
+  const [calibrations, setCalibrations] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch the device registry and each device's current state. Also used to
+  // backfill changes missed while the realtime channel was down.
+  const fetchFleet = useCallback(async () => {
+    const { data: deviceData, error: deviceError } = await supabase
+      .from('devices')
+      .select('*')
+      .order('device_id', { ascending: true });
+
+    if (deviceError) throw deviceError;
+    const deviceIds = deviceData.map(device => device.device_id);
+    setDevices(deviceData);
+
+    const { data: relayData } = await supabase
+      .from('relay_control')
+      .select('*')
+      .in('device_id', deviceIds);
+
+    const groupedRelays = {};
+    (relayData || []).forEach(relay => {
+      groupedRelays[relay.device_id] = [...(groupedRelays[relay.device_id] || []), relay];
+    });
+    Object.keys(groupedRelays).forEach(deviceId => {
+      groupedRelays[deviceId] = sortRelays(groupedRelays[deviceId]);
+    });
+    setRelaysByDevice(groupedRelays);
+
+    const { data: settingsData } = await supabase
+      .from('system_settings')
+      .select('device_id, automatic_mode, degraded_after_seconds, offline_after_seconds')
+      .in('device_id', deviceIds);
+
+    setModesByDevice(Object.fromEntries(
+      (settingsData || []).map(settings => [settings.device_id, settings.automatic_mode])
+    ));
+    setConnectivityByDevice(Object.fromEntries(
+      (settingsData || []).map(settings => [settings.device_id, normalizeConnectivity(settings)])
+    ));
+
+    const { data: calibrationData } = await supabase
+      .from('sensor_calibrations')
+      .select('*')
+      .in('device_id', deviceIds);
+    setCalibrations(calibrationData || []);
+
+    // Latest reading per device
+    const readings = await Promise.all(deviceIds.map(async deviceId => {
+      const { data: latestData } = await supabase
+        .from('sensor_data')
+        .select('*')
+        .eq('device_id', deviceId)
+        .order('inserted_at', { ascending: false })
+        .limit(1);
+      return [deviceId, latestData?.[0] || null];
+    }));
+    setLatestReadings(Object.fromEntries(readings));
+  }, []);
+
+  useEffect(() => {
+    const loadFleet = async () => {
+      setIsLoading(true);
+      try {
+        await fetchFleet();
+        setError(null);
+      } catch (err) {
+        console.error('Fleet load error:', err);
+        setError('Failed to load devices. Please refresh the page.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadFleet();
+  }, [fetchFleet]);
+
+  const backfillFleet = useCallback(() => {
+    fetchFleet().catch(err => console.error('Realtime backfill error:', err));
+  }, [fetchFleet]);
+
+  // Realtime updates for every device
+  const realtimeStatus = useRealtimeChannel(
+    'realtime-fleet',
+    channel => channel
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'sensor_data',
+        },
+        (payload) => {
+          setLatestReadings(prev => ({ ...prev, [payload.new.device_id]: payload.new }));
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'relay_control',
+        },
+        (payload) => {
+          const deviceId = payload.new.device_id;
+          setRelaysByDevice(prev => ({
+            ...prev,
+            [deviceId]: mergeRelay(prev[deviceId] || [], payload.new),
+          }));
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'system_settings',
+        },
+        (payload) => {
+          setModesByDevice(prev => ({ ...prev, [payload.new.device_id]: payload.new.automatic_mode }));
+          setConnectivityByDevice(prev => ({ ...prev, [payload.new.device_id]: normalizeConnectivity(payload.new) }));
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'sensor_calibrations',
+        },
+        (payload) => {
+          setCalibrations(prev => [
+            ...prev.filter(calibration => calibration.id !== (payload.old?.id ?? payload.new.id)),
+            ...(payload.eventType === 'DELETE' ? [] : [payload.new]),
+          ]);
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'devices',
+        },
+        (payload) => {
+          setDevices(prev => prev.map(device => (
+            device.device_id === payload.new.device_id ? { ...device, ...payload.new } : device
+          )));
+        }
+      ),
+    backfillFleet
+  );
+
+  // Polling fallback while realtime is down
+  useEffect(() => {
+    if (realtimeStatus === 'live') return undefined;
+
+    const pollFleet = () => {
+      fetchFleet().catch(err => console.error('Polling error:', err));
+    };
+
+    const interval = setInterval(pollFleet, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [realtimeStatus, fetchFleet]);
+
+  // Re-evaluate connectivity as time passes
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const saveDevice = async (device) => {
+    const { data: saved, error: saveError } = await supabase
+      .from('devices')
+      .upsert(device)
+      .select()
+      .single();
+
+    if (saveError) {
+      console.error('Error saving device:', saveError);
+      return false;
+    }
+
+    setDevices(prev => {
+      const exists = prev.some(item => item.device_id === saved.device_id);
+      const next = exists
+        ? prev.map(item => (item.device_id === saved.device_id ? saved : item))
+        : [...prev, saved];
+      return next.sort((a, b) => a.device_id.localeCompare(b.device_id));
+    });
+    return true;
+  };
+
+  const renderDeviceCard = (device) => {
+    const latest = latestReadings[device.device_id];
+    const reading = latest && calibrateRows(
+      [latest],
+      calibrations.filter(calibration => calibration.device_id === device.device_id)
+    )[0];
+    const relays = relaysByDevice[device.device_id] || [];
+    const automaticMode = modesByDevice[device.device_id];
+    const lastSeen = getLastSeen(reading?.inserted_at, device.last_seen_at);
+    const connectivity = getConnectivity(lastSeen, connectivityByDevice[device.device_id], now);
+
+    return (
+      <Link
+        key={device.device_id}
+        to={devicePath(device.device_id)}
+        className="block p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 hover:border-blue-400 dark:hover:border-blue-500 transition-colors"
+      >
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="font-medium">{deviceLabel(device)}</h2>
+            {device.location && (
+              <p className="flex items-center mt-1 text-xs text-gray-500 dark:text-gray-400">
+                <MapPin size={12} className="mr-1" />
+                {device.location}
+              </p>
+            )}
+          </div>
+          <ConnectivityIndicator status={connectivity} lastSeen={lastSeen} now={now} showAge={false} />
+        </div>
+
+        <div className="flex items-center mt-4">
+          <Thermometer size={18} className="text-pink-500" />
+          <span className={`ml-2 text-2xl font-bold text-pink-600 dark:text-pink-400 ${
+            connectivity === 'offline' ? 'opacity-50' : ''
+          }`}>
+            {reading ? formatTemperature(reading.temperature) : '--'}
+          </span>
+        </div>
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          {reading ? `Last reading: ${new Date(reading.inserted_at).toLocaleString()}` : 'No readings yet'}
+        </p>
+
+        <div className="flex flex-wrap items-center gap-2 mt-4">
+          {automaticMode !== undefined && (
+            <span className={`px-2 py-1 rounded text-xs font-medium ${
+              automaticMode
+                ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+                : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
+            }`}>
+              {automaticMode ? 'AUTOMATIC' : 'MANUAL'}
+            </span>
+          )}
+          {relays.map(relay => (
+            <span key={relay.id} className="flex items-center text-xs">
+              <Power size={12} className={relay.state ? 'text-green-500' : 'text-gray-400'} />
+              <span className="ml-1">{relayLabel(relay)}</span>
+            </span>
+          ))}
+        </div>
+      </Link>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-100 transition-colors duration-300">
+      <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 shadow-sm sticky top-0 z-10">
+        <div className="container mx-auto px-4 py-3 flex justify-between items-center">
+          <h1 className="text-lg font-semibold">PT100 Fleet Overview</h1>
+          <div className="flex items-center">
+            <span className="mr-3"><RealtimeIndicator status={realtimeStatus} /></span>
+            <Link
+              to="/kiosk"
+              title="Wall display"
+              className="mr-2 p-2 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200"
+            >
+              <Monitor size={20} />
+            </Link>
+            <UserMenu />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-4 py-6">
+        {error && (
+          <div className="mb-4 p-4 bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-lg text-red-700 dark:text-red-300">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        ) : devices.length === 0 ? (
+          <div className="h-64 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            No devices registered
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {devices.map(renderDeviceCard)}
+          </div>
+        )}
+
+        {!isLoading && can(role, 'configure') && (
+          <DeviceManager devices={devices} onSave={saveDevice} />
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default FleetOverview;
@@ -0,0 +1,116 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import DatePicker from 'react-datepicker';
+import 'react-datepicker/dist/react-datepicker.css';
+import { Sun, Moon, Calendar, ArrowLeft, Monitor } from 'lucide-react';
+import UserMenu from './UserMenu';
+import useTheme from '../hooks/useTheme';
+import useUnits from '../hooks/useUnits';
+import { UNITS } from '../utils/units';
+import { deviceLabel } from '../utils/devices';
+import { RANGE_PRESETS } from '../utils/range';
+
+// Device page header: back link, theme and unit switches, range presets and the date pickers
+const Header = ({
+  device,
+  deviceId,
+  activePreset,
+  startDate,
+  endDate,
+  onSelectPreset,
+  onStartDateChange,
+  onEndDateChange,
+  onClearRange,
+}) => {
+  const { theme, darkMode, cycleTheme } = useTheme();
+  const { unit, setUnit } = useUnits();
+
+  const buttonClass = 'bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200';
+  const datePickerClass = 'border rounded px-3 py-1.5 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+
+  return (
+    <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 shadow-sm sticky top-0 z-10">
+      <div className="container mx-auto px-4 py-3 flex justify-between items-center">
+        <div className="flex items-center">
+          <Link
+            to="/"
+            title="Back to fleet overview"
+            className="mr-2 p-2 rounded-full transition-colors bg-gray-100 hover:bg-gray-200 text-gray-600 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200"
+          >
+            <ArrowLeft size={20} />
+          </Link>
+          <button
+            onClick={cycleTheme}
+            title={`Theme: ${theme}`}
+            className="p-2 rounded-full transition-colors bg-gray-100 hover:bg-gray-200 text-indigo-600 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-yellow-300"
+          >
+            {theme === 'system' ? <Monitor size={20} /> : darkMode ? <Moon size={20} /> : <Sun size={20} />}
+          </button>
+          <select
+            value={unit}
+            onChange={e => setUnit(e.target.value)}
+            title="Temperature unit"
+            className="ml-2 border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700"
+          >
+            {Object.entries(UNITS).map(([key, { symbol }]) => (
+              <option key={key} value={key}>{symbol}</option>
+            ))}
+          </select>
+          <h1 className="ml-4 text-lg font-semibold">
+            PT100 Temperature Monitor
+            <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+              {device ? deviceLabel(device) : deviceId}
+            </span>
+          </h1>
+        </div>
+
+        <div className="flex items-center space-x-4">
+          <div className="flex items-center space-x-1">
+            {RANGE_PRESETS.map(preset => (
+              <button
+                key={preset.key}
+                onClick={() => onSelectPreset(preset)}
+                className={`px-2 py-1 rounded text-xs ${
+                  activePreset === preset.key ? 'bg-blue-500 text-white' : buttonClass
+                }`}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center space-x-2">
+            <Calendar size={16} className="text-gray-500 dark:text-gray-300" />
+            <DatePicker
+              selected={startDate}
+              onChange={onStartDateChange}
+              selectsStart
+              startDate={startDate}
+              endDate={endDate}
+              placeholderText="Start date"
+              className={datePickerClass}
+            />
+            <span className="text-xs">to</span>
+            <DatePicker
+              selected={endDate}
+              onChange={onEndDateChange}
+              selectsEnd
+              startDate={startDate}
+              endDate={endDate}
+              minDate={startDate}
+              placeholderText="End date"
+              className={datePickerClass}
+            />
+            {(startDate || endDate) && (
+              <button onClick={onClearRange} className={`px-2 py-1 rounded text-xs ${buttonClass}`}>
+                Clear
+              </button>
+            )}
+          </div>
+          <UserMenu />
+        </div>
+      </div>
+    </header>
+  );
+};
+
+export default Header;
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Power, MapPin } from 'lucide-react';
+import { supabase } from '../supabaseClient';
+import ConnectivityIndicator from './ConnectivityIndicator';
+import useSensorSync from '../hooks/useSensorSync';
+import useAlarms from '../hooks/useAlarms';
+import useRealtimeChannel from '../hooks/useRealtimeChannel';
+import useCalibrations from '../hooks/useCalibrations';
+import useUnits from '../hooks/useUnits';
+import { DEFAULT_THRESHOLDS, normalizeThresholds, findRelayForTemperature } from '../utils/thresholds';
+import { relayLabel, sortRelays, mergeRelay } from '../utils/relays';
+import { getSensorIds, getLatestBySensor, sensorLabel } from '../utils/sensors';
+import { RELAY_COLORS, pickColor } from '../utils/colors';
+import { calibrateRows } from '../utils/calibration';
+import { DEFAULT_DATA_QUALITY, QUALITY_FLAGS, normalizeDataQuality, flagReadings } from '../utils/quality';
+import {
+  DEFAULT_CONNECTIVITY,
+  deviceLabel,
+  normalizeConnectivity,
+  getLastSeen,
+  getConnectivity,
+  formatAge,
+} from '../utils/devices';
+
+// One device on the wall display. Every configured device stays mounted so
+// its readings and alarms stay live while other slides are showing; only the
+// active one renders. Alarms are only read from the log: the display never
+// evaluates rules, logs events or sounds the alarm tone. Readings flagged by
+// the device's data-quality settings are shown greyed out with the flag.
+const KioskDevice = ({ deviceId, isActive, sensorId, now, onReport }) => {
+  const [device, setDevice] = useState(null);
+  const [relays, setRelays] = useState([]);
+  const [automaticMode, setAutomaticMode] = useState(null);
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [connectivitySettings, setConnectivitySettings] = useState(DEFAULT_CONNECTIVITY);
+  const [dataQuality, setDataQuality] = useState(DEFAULT_DATA_QUALITY);
+  const { data: rawData } = useSensorSync(deviceId);
+  const { calibrations } = useCalibrations(deviceId);
+  const data = useMemo(() => calibrateRows(rawData, calibrations), [rawData, calibrations]);
+  const latestBySensor = useMemo(
+    () => getLatestBySensor(flagReadings(data, dataQuality)),
+    [data, dataQuality]
+  );
+  const { formatTemperature } = useUnits();
+  const { activeAlarms } = useAlarms(deviceId);
+
+  const fetchDeviceState = useCallback(async () => {
+    const { data: deviceData } = await supabase
+      .from('devices')
+      .select('*')
+      .eq('device_id', deviceId)
+      .single();
+
+    if (deviceData) setDevice(deviceData);
+
+    const { data: relayData, error: relayError } = await supabase
+      .from('relay_control')
+      .select('*')
+      .eq('device_id', deviceId)
+      .order('id', { ascending: true });
+
+    if (relayError) throw relayError;
+    setRelays(sortRelays(relayData));
+
+    const { data: modeData } = await supabase
+      .from('system_settings')
+      .select('automatic_mode, relay_thresholds, degraded_after_seconds, offline_after_seconds, data_quality')
+      .eq('device_id', deviceId)
+      .maybeSingle();
+
+    if (modeData) {
+      setAutomaticMode(modeData.automatic_mode);
+      setThresholds(normalizeThresholds(modeData.relay_thresholds));
+      setConnectivitySettings(normalizeConnectivity(modeData));
+      setDataQuality(normalizeDataQuality(modeData.data_quality));
+    }
+  }, [deviceId]);
+
+  const loadDeviceState = useCallback(() => {
+    fetchDeviceState().catch(err => console.error('Kiosk device load error:', err));
+  }, [fetchDeviceState]);
+
+  useEffect(() => {
+    loadDeviceState();
+  }, [loadDeviceState]);
+
+  useRealtimeChannel(
+    `kiosk-device-${deviceId}`,
+    channel => channel
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'relay_control',
+          filter: `device_id=eq.${deviceId}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'DELETE') {
+            setRelays(prev => prev.filter(relay => relay.id !== payload.old.id));
+          } else {
+            setRelays(prev => mergeRelay(prev, payload.new));
+          }
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'system_settings',
+          filter: `device_id=eq.${deviceId}`,
+        },
+        (payload) => {
+          setAutomaticMode(payload.new.automatic_mode);
+          if (payload.new.relay_thresholds !== undefined) {
+            setThresholds(normalizeThresholds(payload.new.relay_thresholds));
+          }
+          setConnectivitySettings(normalizeConnectivity(payload.new));
+          if (payload.new.data_quality !== undefined) {
+            setDataQuality(normalizeDataQuality(payload.new.data_quality));
+          }
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'devices',
+          filter: `device_id=eq.${deviceId}`,
+        },
+        (payload) => {
+          setDevice(payload.new);
+        }
+      ),
+    loadDeviceState
+  );
+
+  // Tell the wall display which sensors this device has (for per-sensor
+  // slides) and which of its alarms are showing
+  const sensorIds = getSensorIds(data);
+  const alarms = activeAlarms.map(({ rule, status }) => ({
+    id: `${deviceId}-${rule.id}`,
+    name: rule.name,
+    status,
+    device: device ? deviceLabel(device) : deviceId,
+  }));
+  const reportKey = JSON.stringify({ sensorIds, alarms });
+  useEffect(() => {
+    onReport(deviceId, JSON.parse(reportKey));
+  }, [deviceId, reportKey, onReport]);
+
+  if (!isActive) return null;
+
+  const shownSensorIds = sensorId !== null ? [sensorId] : sensorIds;
+  const lastSeen = getLastSeen(data[data.length - 1]?.inserted_at, device?.last_seen_at);
+  const connectivity = getConnectivity(lastSeen, connectivitySettings, now);
+  const isStale = connectivity === 'offline';
+
+  const renderTemperature = (id) => {
+    const reading = latestBySensor[id];
+    const qualityFlag = reading?.quality_flag;
+    const bandRelayId = reading && !qualityFlag ? findRelayForTemperature(reading.temperature, thresholds) : null;
+    const relayIndex = relays.findIndex(relay => relay.id === bandRelayId);
+    const color = bandRelayId !== null
+      ? pickColor(RELAY_COLORS, relayIndex === -1 ? bandRelayId - 1 : relayIndex)
+      : null;
+
+    return (
+      <div key={id ?? 'none'} className="flex flex-col items-center">
+        {shownSensorIds.length > 1 || sensorId !== null ? (
+          <p className="text-2xl md:text-3xl text-gray-500 dark:text-gray-400">{sensorLabel(id)}</p>
+        ) : null}
+        <p className={`font-bold tabular-nums leading-none ${
+          shownSensorIds.length > 2 ? 'text-7xl md:text-8xl' : 'text-8xl md:text-[10rem]'
+        } ${qualityFlag
+          ? 'text-gray-400 dark:text-gray-500'
+          : color ? color.text : 'text-pink-600 dark:text-pink-400'} ${isStale ? 'opacity-50' : ''}`}>
+          {reading ? formatTemperature(reading.temperature) : '--'}
+        </p>
+        {qualityFlag && (
+          <p className="mt-4 text-2xl md:text-3xl text-red-600 dark:text-red-400">
+            {QUALITY_FLAGS[qualityFlag]} reading, check the probe
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex flex-col flex-1">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-4xl md:text-5xl font-semibold">{device ? deviceLabel(device) : deviceId}</h1>
+          {device?.location && (
+            <p className="flex items-center mt-2 text-xl text-gray-500 dark:text-gray-400">
+              <MapPin size={20} className="mr-2" />
+              {device.location}
+            </p>
+          )}
+        </div>
+        <div className="origin-right scale-150">
+          <ConnectivityIndicator status={connectivity} lastSeen={lastSeen} now={now} />
+        </div>
+      </div>
+
+      <div className="flex flex-1 flex-wrap items-center justify-center gap-x-16 gap-y-8 py-8">
+        {shownSensorIds.length > 0 ? shownSensorIds.map(renderTemperature) : renderTemperature(null)}
+      </div>
+      {isStale && (
+        <p className="text-center text-2xl text-red-600 dark:text-red-400">
+          No data {formatAge(lastSeen, now)}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center justify-center gap-4 mt-6">
+        {automaticMode !== null && (
+          <span className={`px-4 py-2 rounded-lg text-2xl font-medium ${
+            automaticMode
+              ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+              : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
+          }`}>
+            {automaticMode ? 'AUTOMATIC' : 'MANUAL'}
+          </span>
+        )}
+        {relays.map(relay => (
+          <span
+            key={relay.id}
+            className={`flex items-center px-4 py-2 rounded-lg text-2xl border ${
+              relay.state
+                ? 'bg-green-50 border-green-200 dark:bg-green-900/20 dark:border-green-800'
+                : 'bg-gray-50 border-gray-200 dark:bg-gray-800 dark:border-gray-700'
+            }`}
+          >
+            <Power size={24} className={relay.state ? 'text-green-500' : 'text-gray-400'} />
+            <span className="ml-2">{relayLabel(relay)}</span>
+            <span className="ml-3 font-semibold">{relay.state ? 'ON' : 'OFF'}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default KioskDevice;
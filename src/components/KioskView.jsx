@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import { supabase } from '../supabaseClient';
+import KioskDevice from './KioskDevice';
+import useWakeLock from '../hooks/useWakeLock';
+import useTheme from '../hooks/useTheme';
+import { parseKioskParams, kioskSlides } from '../utils/kiosk';
+
+// Read-only wall display: large current temperatures, relay states,
+// connectivity and alarms, rotating between devices or sensors. Configured
+// entirely through the URL (see utils/kiosk.js) so each screen can be bookmarked.
+const KioskView = () => {
+  const [searchParams] = useSearchParams();
+  const { deviceIds: requestedIds, rotateSeconds, rotateBy, theme, keepAwake } = parseKioskParams(searchParams);
+  const requestedKey = requestedIds.join(',');
+  const [deviceIds, setDeviceIds] = useState([]);
+  const [reports, setReports] = useState({});
+  const [slideIndex, setSlideIndex] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [error, setError] = useState(null);
+
+  const { setThemeOverride } = useTheme();
+
+  useWakeLock(keepAwake);
+
+  // The display's own theme, without changing the one stored for this browser
+  useEffect(() => {
+    setThemeOverride(theme);
+    return () => setThemeOverride(null);
+  }, [theme, setThemeOverride]);
+
+  // Devices to show: the ones named in the URL, otherwise every registered device
+  useEffect(() => {
+    if (requestedKey) {
+      setDeviceIds(requestedKey.split(','));
+      return;
+    }
+
+    const fetchDevices = async () => {
+      const { data, error: deviceError } = await supabase
+        .from('devices')
+        .select('device_id')
+        .order('device_id', { ascending: true });
+
+      if (deviceError) {
+        console.error('Kiosk device list error:', deviceError);
+        setError('Failed to load devices.');
+        return;
+      }
+      setDeviceIds(data.map(device => device.device_id));
+      setError(null);
+    };
+
+    fetchDevices();
+  }, [requestedKey]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const slides = kioskSlides(
+    deviceIds,
+    Object.fromEntries(Object.entries(reports).map(([deviceId, report]) => [deviceId, report.sensorIds])),
+    rotateBy
+  );
+  const slideCount = slides.length;
+
+  useEffect(() => {
+    if (!rotateSeconds || slideCount < 2) return undefined;
+    const interval = setInterval(() => setSlideIndex(index => index + 1), rotateSeconds * 1000);
+    return () => clearInterval(interval);
+  }, [rotateSeconds, slideCount]);
+
+  const handleReport = useCallback((deviceId, report) => {
+    setReports(prev => ({ ...prev, [deviceId]: report }));
+  }, []);
+
+  const slide = slides[slideIndex % Math.max(slideCount, 1)];
+  const alarms = deviceIds.flatMap(deviceId => reports[deviceId]?.alarms || []);
+
+  return (
+    <div className="min-h-screen flex flex-col p-8 cursor-none select-none bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-100">
+      {error && <p className="text-2xl text-red-600 dark:text-red-400">{error}</p>}
+
+      {deviceIds.map(deviceId => (
+        <KioskDevice
+          key={deviceId}
+          deviceId={deviceId}
+          isActive={slide?.deviceId === deviceId}
+          sensorId={slide?.deviceId === deviceId ? slide.sensorId : null}
+          now={now}
+          onReport={handleReport}
+        />
+      ))}
+
+      <div className={`mt-8 p-4 rounded-lg text-2xl ${
+        alarms.length > 0
+          ? 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+          : 'bg-green-50 text-green-700 dark:bg-green-900/20 dark:text-green-400'
+      }`}>
+        {alarms.length > 0 ? (
+          <ul className="space-y-2">
+            {alarms.map(alarm => (
+              <li key={alarm.id} className="flex items-center">
+                <AlertTriangle size={28} className={`mr-3 ${alarm.status === 'active' ? 'animate-pulse' : ''}`} />
+                <span className="font-semibold">{alarm.name}</span>
+                {deviceIds.length > 1 && <span className="ml-3">{alarm.device}</span>}
+                {alarm.status !== 'active' && <span className="ml-3 text-lg uppercase">{alarm.status}</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="flex items-center">
+            <CheckCircle size={28} className="mr-3" />
+            No active alarms
+          </p>
+        )}
+      </div>
+
+      {slideCount > 1 && (
+        <div className="flex justify-center mt-4 space-x-2">
+          {slides.map((item, index) => (
+            <span
+              key={`${item.deviceId}-${item.sensorId}`}
+              className={`h-2 w-8 rounded-full ${
+                index === slideIndex % slideCount ? 'bg-blue-500' : 'bg-gray-300 dark:bg-gray-700'
+              }`}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KioskView;
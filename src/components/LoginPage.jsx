@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { LogIn, Mail } from 'lucide-react';
+import useAuth from '../hooks/useAuth';
+
+const LoginPage = () => {
+  const { signInWithPassword, signInWithMagicLink } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handlePasswordLogin = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setFormError(null);
+    const error = await signInWithPassword(email, password);
+    setIsSubmitting(false);
+    if (error) setFormError(error.message);
+  };
+
+  const handleMagicLink = async () => {
+    if (!email) {
+      setFormError('Enter your email address first');
+      return;
+    }
+    setIsSubmitting(true);
+    setFormError(null);
+    const error = await signInWithMagicLink(email);
+    setIsSubmitting(false);
+    if (error) setFormError(error.message);
+    else setMessage(`Check ${email} for a sign-in link`);
+  };
+
+  const inputClass = 'w-full border rounded px-3 py-2 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-100">
+      <form
+        onSubmit={handlePasswordLogin}
+        className="w-full max-w-sm p-6 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700"
+      >
+        <h1 className="text-lg font-semibold mb-4">PT100 Temperature Monitor</h1>
+
+        <label className="block text-sm mb-1" htmlFor="login-email">Email</label>
+        <input
+          id="login-email"
+          type="email"
+          autoComplete="email"
+          required
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          className={inputClass}
+        />
+
+        <label className="block text-sm mt-3 mb-1" htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          className={inputClass}
+        />
+
+        {formError && <p className="mt-3 text-sm text-red-600 dark:text-red-400">{formError}</p>}
+        {message && <p className="mt-3 text-sm text-green-600 dark:text-green-400">{message}</p>}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !password}
+          className="mt-4 w-full flex items-center justify-center px-3 py-2 rounded text-sm text-white bg-blue-500 hover:bg-blue-600 disabled:opacity-50"
+        >
+          <LogIn size={16} className="mr-1" />
+          Sign in
+        </button>
+        <button
+          type="button"
+          onClick={handleMagicLink}
+          disabled={isSubmitting}
+          className="mt-2 w-full flex items-center justify-center px-3 py-2 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200 disabled:opacity-50"
+        >
+          <Mail size={16} className="mr-1" />
+          Email me a sign-in link
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,12 @@
+import React from 'react';
+import { describeAction } from '../utils/schedules';
+
+// "Next: Manual mode at Mon 22:00", or `endLabel` when a program ends without a follow-up
+const NextChange = ({ change, endLabel, relays }) => change && (
+  <p className="text-xs mt-1 text-gray-500 dark:text-gray-400">
+    Next: {change.schedule ? describeAction(change.schedule, relays) : endLabel} at{' '}
+    {change.at.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+  </p>
+);
+
+export default NextChange;
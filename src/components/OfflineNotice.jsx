@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Shown while the page is running on the data cached in IndexedDB
+const OfflineNotice = ({ offlineSince, cachedAt, lastSeen, isQueueing }) => (
+  <div className="mb-4 p-4 rounded-lg border bg-gray-100 border-gray-200 text-gray-700 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-300">
+    <p className="font-medium">
+      {offlineSince ? `Offline since ${offlineSince.toLocaleString()}` : 'The server cannot be reached'}
+    </p>
+    <p className="text-sm mt-1">
+      Showing the last known data
+      {cachedAt && ` (saved ${new Date(cachedAt).toLocaleString()})`}
+      {lastSeen && `, latest reading ${lastSeen.toLocaleString()}`}.
+      {isQueueing && ' Relay and mode changes are queued until the connection returns.'}
+    </p>
+  </div>
+);
+
+export default OfflineNotice;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { Clock, Send, X } from 'lucide-react';
+import useConfirm from '../hooks/useConfirm';
+import { relayLabel } from '../utils/relays';
+
+const describeCommand = (command, relays) => {
+  if (command.type === 'mode') return `System mode → ${command.automatic_mode ? 'AUTOMATIC' : 'MANUAL'}`;
+  const relay = relays.find(item => item.id === command.relay_id) || { id: command.relay_id };
+  return `${relayLabel(relay)} → ${command.state ? 'ON' : 'OFF'}`;
+};
+
+// Relay/mode changes made while offline. They are only sent once the
+// connection is back and the user confirms, since the situation in the
+// cold room may have changed in the meantime.
+const QueuedCommands = ({ commands, relays, isOnline, onReplay, onDiscard }) => {
+  const [isSending, setIsSending] = useState(false);
+  const confirm = useConfirm();
+  if (commands.length === 0) return null;
+
+  const replay = async () => {
+    setIsSending(true);
+    await onReplay();
+    setIsSending(false);
+  };
+
+  const discardAll = async () => {
+    const confirmation = await confirm({
+      title: `Discard ${commands.length} queued command${commands.length !== 1 ? 's' : ''}?`,
+      message: 'The commands are removed without being sent to the device.',
+      confirmLabel: 'Discard all',
+    });
+    if (!confirmation) return;
+    commands.forEach(command => onDiscard(command.id));
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border bg-yellow-100 border-yellow-200 text-yellow-800 dark:bg-yellow-900/30 dark:border-yellow-800 dark:text-yellow-300">
+      <div className="flex items-start">
+        <Clock size={20} className="mt-0.5" />
+        <div className="ml-2 flex-1">
+          <p className="font-medium">
+            {isOnline
+              ? `Connection restored. Send ${commands.length} command${commands.length !== 1 ? 's' : ''} queued while offline?`
+              : `${commands.length} command${commands.length !== 1 ? 's' : ''} queued until the connection returns`}
+          </p>
+          <ul className="mt-1 text-sm space-y-1">
+            {commands.map(command => (
+              <li key={command.id} className="flex items-center">
+                <span>{describeCommand(command, relays)}</span>
+                <span className="ml-2 text-xs opacity-75">queued {new Date(command.queued_at).toLocaleTimeString()}</span>
+                {command.reason && <span className="ml-2 text-xs italic opacity-75">“{command.reason}”</span>}
+                <button
+                  onClick={() => onDiscard(command.id)}
+                  title="Discard"
+                  className="ml-2 p-0.5 rounded hover:bg-white/70 dark:hover:bg-gray-800"
+                >
+                  <X size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="flex mt-3 space-x-2">
+            <button
+              onClick={replay}
+              disabled={!isOnline || isSending}
+              className="flex items-center px-3 py-1.5 rounded text-sm bg-white/70 hover:bg-white dark:bg-gray-800 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Send size={16} className="mr-1" />
+              {isSending ? 'Sending...' : 'Send now'}
+            </button>
+            <button
+              onClick={discardAll}
+              disabled={isSending}
+              className="px-3 py-1.5 rounded text-sm hover:bg-white/70 dark:hover:bg-gray-800 disabled:opacity-50"
+            >
+              Discard all
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QueuedCommands;
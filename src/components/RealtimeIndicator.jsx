@@ -0,0 +1,55 @@
+import React from 'react';
+import { Radio, RefreshCw, Timer, CloudOff } from 'lucide-react';
+
+const STATUS = {
+  live: {
+    label: 'Live',
+    icon: Radio,
+    title: 'Receiving changes in realtime',
+    className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  },
+  connecting: {
+    label: 'Connecting',
+    icon: RefreshCw,
+    title: 'Subscribing to realtime changes',
+    className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+    spin: true,
+  },
+  reconnecting: {
+    label: 'Reconnecting',
+    icon: RefreshCw,
+    title: 'Realtime connection lost, resubscribing',
+    className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+    spin: true,
+  },
+  polling: {
+    label: 'Polling',
+    icon: Timer,
+    title: 'Realtime unavailable, checking for new data periodically',
+    className: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300',
+  },
+  offline: {
+    label: 'No connection',
+    icon: CloudOff,
+    title: 'This browser is offline',
+    className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  },
+};
+
+// State of the dashboard's own connection to the backend, as opposed to the
+// device's connectivity
+const RealtimeIndicator = ({ status }) => {
+  const { label, icon: Icon, title, className, spin } = STATUS[status];
+
+  return (
+    <span
+      title={title}
+      className={`flex items-center px-2 py-1 text-xs font-medium rounded-full ${className}`}
+    >
+      <Icon size={12} className={`mr-1 ${spin ? 'animate-spin' : ''}`} />
+      {label}
+    </span>
+  );
+};
+
+export default RealtimeIndicator;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { relayLabel } from '../utils/relays';
+import { buildRelayIntervals, relayStats, formatDuration } from '../utils/relayHistory';
+import { RELAY_COLORS, pickColor } from '../utils/colors';
+
+// Relay on/off statistics for the selected range
+const RelayActivity = ({ relays, relayEvents, rangeStart, rangeEnd }) => relays.length > 0 && (
+  <div className="mt-6 p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+    <h2 className="text-lg font-medium mb-4">Relay Activity</h2>
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+      {relays.map((relay, index) => {
+        const color = pickColor(RELAY_COLORS, index);
+        const { onMs, dutyCycle, switches } = relayStats(buildRelayIntervals(relayEvents, relay.id, rangeStart, rangeEnd));
+        return (
+          <div key={relay.id} className="p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+            <h3 className="flex items-center font-medium">
+              <span className={`w-3 h-3 mr-2 rounded-full ${color.swatch}`}></span>
+              {relayLabel(relay)}
+            </h3>
+            <dl className="mt-2 grid grid-cols-3 gap-2 text-sm">
+              <div>
+                <dt className="text-xs text-gray-500 dark:text-gray-400">Duty cycle</dt>
+                <dd className="font-medium">{dutyCycle === null ? '--' : `${(dutyCycle * 100).toFixed(1)}%`}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500 dark:text-gray-400">On-time</dt>
+                <dd className="font-medium">{formatDuration(onMs)}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500 dark:text-gray-400">Switches</dt>
+                <dd className="font-medium">{switches}</dd>
+              </div>
+            </dl>
+          </div>
+        );
+      })}
+    </div>
+    <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+      {rangeStart.toLocaleString()} to {rangeEnd.toLocaleString()}
+    </p>
+  </div>
+);
+
+export default RelayActivity;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { Power } from 'lucide-react';
+import StaleBadge from './StaleBadge';
+import NextChange from './NextChange';
+import { relayLabel, getCommandStatus } from '../utils/relays';
+import { isInBand, formatBand } from '../utils/thresholds';
+import useUnits from '../hooks/useUnits';
+
+const COMMAND_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  confirmed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+};
+
+const commandLabel = (status, relay) => ({
+  pending: `Pending: switching ${relay.desired_state ? 'ON' : 'OFF'}`,
+  confirmed: `Confirmed ${new Date(relay.acked_at).toLocaleTimeString()}`,
+  failed: `Failed: ${relay.desired_state ? 'ON' : 'OFF'} not confirmed`,
+}[status]);
+
+// One relay's state and switch. The switch is locked while the system is in
+// automatic mode, the device is unreachable, a command is pending or a
+// schedule (`program`) holds the relay.
+const RelayCard = ({
+  relay,
+  relays,
+  threshold,
+  temperature,
+  program,
+  nextChange,
+  queuedState,
+  isAutomatic,
+  isControlLocked,
+  isDeviceUnreachable,
+  isStale,
+  lastSeen,
+  now,
+  canControl,
+  onToggle,
+}) => {
+  const { unit, formatTemperature } = useUnits();
+  const commandStatus = getCommandStatus(relay, now);
+  const isPending = commandStatus === 'pending';
+  const isLocked = !canControl || isControlLocked || isDeviceUnreachable || isPending || Boolean(program);
+
+  return (
+    <div className={`p-4 rounded-lg border ${
+      relay.state
+        ? 'bg-green-50 border-green-200 dark:bg-green-900/20 dark:border-green-800'
+        : 'bg-gray-50 border-gray-200 dark:bg-gray-800 dark:border-gray-700'
+    }`}>
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="font-medium">
+            {relayLabel(relay)} ({formatBand(threshold, ' to ', unit)})
+            <StaleBadge isStale={isStale} lastSeen={lastSeen} />
+          </h3>
+          <p className={`text-sm mt-1 ${isStale ? 'opacity-60' : ''}`}>
+            {isStale && 'Last known: '}
+            {relay.state ? 'ON' : 'OFF'} ({program ? 'Scheduled' : isAutomatic ? 'Automatic' : 'Manual'})
+          </p>
+          {program && (
+            <p className="text-xs mt-1 text-blue-600 dark:text-blue-400">
+              Program: {program.name} (forced {program.state ? 'ON' : 'OFF'})
+            </p>
+          )}
+          <NextChange
+            change={nextChange}
+            endLabel={isAutomatic ? 'back to automatic' : 'back to manual'}
+            relays={relays}
+          />
+          {commandStatus && (
+            <p className="mt-1">
+              <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${COMMAND_STYLES[commandStatus]}`}>
+                {commandLabel(commandStatus, relay)}
+              </span>
+            </p>
+          )}
+          {queuedState !== undefined && (
+            <p className="mt-1">
+              <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300">
+                Queued: switch {queuedState ? 'ON' : 'OFF'}
+              </span>
+            </p>
+          )}
+          {isInBand(temperature, threshold) && (
+            <p className="text-sm mt-1 text-green-600 dark:text-green-400">
+              Current temp: {formatTemperature(temperature)} (in range)
+            </p>
+          )}
+        </div>
+        <div className="flex items-center">
+          <Power size={20} className={relay.state ? 'text-green-500' : 'text-gray-500 dark:text-gray-400'} />
+          <button
+            onClick={() => onToggle(relay.id)}
+            disabled={isLocked}
+            title={
+              !canControl ? 'Operators only'
+                : isDeviceUnreachable ? 'Device offline'
+                  : isPending ? 'Waiting for the device to confirm'
+                    : program ? `Held by schedule "${program.name}"`
+                      : undefined
+            }
+            className={`ml-2 relative inline-flex items-center h-5 rounded-full w-9 transition-colors ${
+              isLocked ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
+            } ${relay.state ? 'bg-green-500' : 'bg-gray-300 dark:bg-gray-600'}`}
+          >
+            <span className={`inline-block w-4 h-4 transform transition-transform rounded-full bg-white ${
+              relay.state ? 'translate-x-4' : 'translate-x-1'
+            }`} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RelayCard;
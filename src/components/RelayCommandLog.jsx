@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import { relayLabel } from '../utils/relays';
+
+const OUTCOME_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  confirmed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+};
+
+const RelayCommandLog = ({ deviceId, relays }) => {
+  const [commands, setCommands] = useState([]);
+
+  useEffect(() => {
+    const fetchCommands = async () => {
+      const { data, error } = await supabase
+        .from('relay_commands')
+        .select('*')
+        .eq('device_id', deviceId)
+        .order('issued_at', { ascending: false })
+        .limit(100);
+
+      if (error) console.error('Error loading relay commands:', error);
+      else setCommands(data);
+    };
+
+    fetchCommands();
+
+    const channel = supabase
+      .channel(`relay-commands-${deviceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'relay_commands',
+          filter: `device_id=eq.${deviceId}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            setCommands(prev => [payload.new, ...prev].slice(0, 100));
+          } else if (payload.eventType === 'UPDATE') {
+            setCommands(prev => prev.map(command => (command.id === payload.new.id ? payload.new : command)));
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [deviceId]);
+
+  const relayName = (relayId) => {
+    const relay = relays.find(item => item.id === relayId);
+    return relay ? relayLabel(relay) : `Relay ${relayId}`;
+  };
+
+  return (
+    <div className="mt-6 p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+      <details>
+        <summary className="cursor-pointer text-lg font-medium focus:outline-none">
+          Relay Command Audit
+        </summary>
+        <div className="mt-4 overflow-x-auto">
+          {commands.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No relay commands recorded</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead>
+                <tr>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Issued</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Relay</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Command</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Issued By</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Reason</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Outcome</th>
+                  <th className="px-6 py-3 bg-gray-50 dark:bg-gray-900 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Resolved</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                {commands.map(command => (
+                  <tr key={command.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {new Date(command.issued_at).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{relayName(command.relay_id)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{command.desired_state ? 'ON' : 'OFF'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{command.issued_by}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">{command.reason || '--'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${OUTCOME_STYLES[command.outcome] || ''}`}>
+                        {command.outcome}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {command.resolved_at ? new Date(command.resolved_at).toLocaleString() : '--'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default RelayCommandLog;
@@ -0,0 +1,19 @@
+import React from 'react';
+import useAuth from '../hooks/useAuth';
+import LoginPage from './LoginPage';
+
+const RequireAuth = ({ children }) => {
+  const { session, isLoading } = useAuth();
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return session ? children : <LoginPage />;
+};
+
+export default RequireAuth;
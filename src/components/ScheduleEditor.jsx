@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import { Save, Trash2, Plus, X } from 'lucide-react';
+import { relayLabel } from '../utils/relays';
+import { WEEKDAYS, formatTime, validateSchedule } from '../utils/schedules';
+import { toLocalInput, fromLocalInput } from '../utils/range';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const NEW_SCHEDULE = {
+  name: '',
+  kind: 'weekly',
+  target: 'relay',
+  relay_id: null,
+  state: true,
+  days: [1, 2, 3, 4, 5],
+  start_time: '06:00',
+  end_time: '08:00',
+  starts_at: null,
+  expires_at: null,
+  enabled: true,
+};
+
+const ScheduleRow = ({ schedule, relays, onSave, onDelete, inputClass }) => {
+  const [draft, setDraft] = useState({
+    ...schedule,
+    relay_id: schedule.relay_id ?? relays[0]?.id ?? null,
+    days: schedule.days || [],
+    start_time: schedule.start_time ? formatTime(schedule.start_time) : '',
+    end_time: schedule.end_time ? formatTime(schedule.end_time) : '',
+    starts_at: toLocalInput(schedule.starts_at),
+    expires_at: toLocalInput(schedule.expires_at),
+  });
+  const [rowError, setRowError] = useState(null);
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const changeKind = (kind) => {
+    setDraft(prev => ({
+      ...prev,
+      kind,
+      // Overrides usually start now, so prefill a one-hour window
+      starts_at: kind === 'override' && !prev.starts_at ? toLocalInput(Date.now()) : prev.starts_at,
+      expires_at: kind === 'override' && !prev.expires_at ? toLocalInput(Date.now() + HOUR_MS) : prev.expires_at,
+    }));
+  };
+
+  const toggleDay = (day) => {
+    setDraft(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(item => item !== day) : [...prev.days, day].sort(),
+    }));
+  };
+
+  const handleSave = async () => {
+    const isWeekly = draft.kind === 'weekly';
+    const payload = {
+      ...(schedule.id ? { id: schedule.id } : {}),
+      name: draft.name.trim(),
+      kind: draft.kind,
+      target: draft.target,
+      relay_id: draft.target === 'relay' ? draft.relay_id : null,
+      state: draft.state,
+      days: isWeekly ? draft.days : null,
+      start_time: isWeekly ? draft.start_time : null,
+      end_time: isWeekly ? draft.end_time : null,
+      starts_at: isWeekly ? null : fromLocalInput(draft.starts_at),
+      expires_at: isWeekly ? null : fromLocalInput(draft.expires_at),
+      enabled: draft.enabled,
+    };
+
+    const validationError = validateSchedule(payload);
+    if (validationError) {
+      setRowError(validationError);
+      return;
+    }
+
+    setRowError(null);
+    const saved = await onSave(payload);
+    if (!saved) setRowError('Failed to save schedule');
+    else if (!schedule.id) setDraft({ ...NEW_SCHEDULE, relay_id: relays[0]?.id ?? null });
+  };
+
+  return (
+    <tr className="align-top">
+      <td className="py-2 pr-2">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={e => update('name', e.target.value)}
+          placeholder="Program name"
+          className={`${inputClass} w-40`}
+        />
+        {rowError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{rowError}</p>}
+      </td>
+      <td className="py-2 pr-2">
+        <select
+          value={draft.target === 'mode' ? 'mode' : draft.relay_id ?? ''}
+          onChange={e => {
+            if (e.target.value === 'mode') update('target', 'mode');
+            else setDraft(prev => ({ ...prev, target: 'relay', relay_id: Number(e.target.value) }));
+          }}
+          className={inputClass}
+        >
+          {relays.map(relay => (
+            <option key={relay.id} value={relay.id}>{relayLabel(relay)}</option>
+          ))}
+          <option value="mode">System mode</option>
+        </select>
+      </td>
+      <td className="py-2 pr-2">
+        <select
+          value={String(draft.state)}
+          onChange={e => update('state', e.target.value === 'true')}
+          className={inputClass}
+        >
+          <option value="true">{draft.target === 'mode' ? 'Automatic' : 'Force ON'}</option>
+          <option value="false">{draft.target === 'mode' ? 'Manual' : 'Force OFF'}</option>
+        </select>
+      </td>
+      <td className="py-2 pr-2">
+        <select value={draft.kind} onChange={e => changeKind(e.target.value)} className={inputClass}>
+          <option value="weekly">Weekly</option>
+          <option value="override">One-off override</option>
+        </select>
+      </td>
+      <td className="py-2 pr-2">
+        {draft.kind === 'weekly' ? (
+          <>
+            <div className="flex gap-1">
+              {WEEKDAYS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  className={`px-1.5 py-0.5 rounded text-xs ${
+                    draft.days.includes(day)
+                      ? 'bg-blue-500 text-white'
+                      : 'bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center mt-1">
+              <input
+                type="time"
+                value={draft.start_time}
+                onChange={e => update('start_time', e.target.value)}
+                className={inputClass}
+              />
+              <span className="mx-1 text-xs">to</span>
+              <input
+                type="time"
+                value={draft.end_time}
+                onChange={e => update('end_time', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </>
+        ) : (
+          <div className="flex items-center">
+            <input
+              type="datetime-local"
+              value={draft.starts_at}
+              onChange={e => update('starts_at', e.target.value)}
+              className={inputClass}
+            />
+            <span className="mx-1 text-xs">until</span>
+            <input
+              type="datetime-local"
+              value={draft.expires_at}
+              onChange={e => update('expires_at', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        )}
+      </td>
+      <td className="py-2 pr-2">
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={e => update('enabled', e.target.checked)}
+        />
+      </td>
+      <td className="py-2 whitespace-nowrap">
+        <button onClick={handleSave} title={schedule.id ? 'Save program' : 'Add program'} className="p-1 text-blue-500 hover:text-blue-600">
+          {schedule.id ? <Save size={16} /> : <Plus size={16} />}
+        </button>
+        {schedule.id && (
+          <button onClick={() => onDelete(schedule.id)} title="Delete program" className="p-1 text-red-500 hover:text-red-600">
+            <Trash2 size={16} />
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+const ScheduleEditor = ({ schedules, relays, timeZone, onSave, onDelete, onClose }) => {
+  const inputClass = 'border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+
+  return (
+    <div className="mb-6 p-4 rounded-lg bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-lg font-medium">Schedules</h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Weekly times are in the device timezone ({timeZone}). Overrides win over weekly programs.
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-full hover:bg-gray-100 text-gray-500 dark:hover:bg-gray-700 dark:text-gray-300"
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              <th className="py-2">Name</th>
+              <th className="py-2">Applies to</th>
+              <th className="py-2">Action</th>
+              <th className="py-2">Type</th>
+              <th className="py-2">When</th>
+              <th className="py-2">Enabled</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(schedule => (
+              <ScheduleRow
+                key={schedule.id}
+                schedule={schedule}
+                relays={relays}
+                onSave={onSave}
+                onDelete={onDelete}
+                inputClass={inputClass}
+              />
+            ))}
+            <ScheduleRow
+              schedule={NEW_SCHEDULE}
+              relays={relays}
+              onSave={onSave}
+              onDelete={onDelete}
+              inputClass={inputClass}
+            />
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleEditor;
@@ -0,0 +1,13 @@
+import React from 'react';
+
+// Shown next to values that stopped updating because the device went offline
+const StaleBadge = ({ isStale, lastSeen }) => isStale && (
+  <span
+    title={`No data since ${lastSeen ? lastSeen.toLocaleString() : 'ever'}`}
+    className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300"
+  >
+    STALE
+  </span>
+);
+
+export default StaleBadge;
@@ -0,0 +1,133 @@
+import React, { useState, useMemo } from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip } from 'recharts';
+import { computeStatistics, timeInBands, histogram } from '../utils/statistics';
+import { getSensorId, sensorLabel } from '../utils/sensors';
+import { relayLabel } from '../utils/relays';
+import { formatBand } from '../utils/thresholds';
+import { RELAY_COLORS, pickColor } from '../utils/colors';
+import useTheme from '../hooks/useTheme';
+import useUnits from '../hooks/useUnits';
+
+const formatShare = (share) => `${(share * 100).toFixed(1)}%`;
+
+// Time-weighted statistics for the selected range, one sensor at a time
+const StatisticsPanel = ({ rows, sensorIds, thresholds, relays, isBucketed }) => {
+  const [selectedSensor, setSelectedSensor] = useState(null);
+  const { chartColors } = useTheme();
+  const { unit, toDisplay, formatTemperature: formatTemp, formatDelta } = useUnits();
+  const sensorId = sensorIds.includes(selectedSensor) ? selectedSensor : sensorIds[0];
+
+  const sensorRows = useMemo(
+    () => rows.filter(row => getSensorId(row) === sensorId),
+    [rows, sensorId]
+  );
+  const stats = useMemo(() => computeStatistics(sensorRows), [sensorRows]);
+  const bandShares = useMemo(() => timeInBands(sensorRows, thresholds), [sensorRows, thresholds]);
+  const bins = useMemo(
+    () => histogram(sensorRows).map(bin => ({ ...bin, label: toDisplay(bin.from).toFixed(1), percent: bin.share * 100 })),
+    [sensorRows, toDisplay]
+  );
+
+  if (!stats) return null;
+
+  const renderStat = (label, value, detail) => (
+    <div key={label}>
+      <dt className="text-xs text-gray-500 dark:text-gray-400">{label}</dt>
+      <dd className="font-medium">{value}</dd>
+      {detail && <dd className="text-xs text-gray-500 dark:text-gray-400">{detail}</dd>}
+    </div>
+  );
+
+  return (
+    <div className="mt-6 p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium">Statistics</h2>
+        {sensorIds.length > 1 && (
+          <select
+            value={sensorId}
+            onChange={e => setSelectedSensor(e.target.value)}
+            className="border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700"
+          >
+            {sensorIds.map(id => (
+              <option key={id} value={id}>{sensorLabel(id)}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <dl className="grid grid-cols-2 sm:grid-cols-4 xl:grid-cols-8 gap-4 text-sm">
+        {renderStat('Min', formatTemp(stats.min.value), new Date(stats.min.time).toLocaleString())}
+        {renderStat('Max', formatTemp(stats.max.value), new Date(stats.max.time).toLocaleString())}
+        {renderStat('Mean', formatTemp(stats.mean))}
+        {renderStat('Std dev', formatDelta(stats.stddev, 2))}
+        {renderStat('P5', formatTemp(stats.p5))}
+        {renderStat('P50', formatTemp(stats.p50))}
+        {renderStat('P95', formatTemp(stats.p95))}
+        {renderStat('Readings', stats.count)}
+      </dl>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+        <div>
+          <h3 className="text-sm font-medium mb-2">Time in range</h3>
+          <div className="space-y-2">
+            {Object.entries(thresholds).map(([relayId, band]) => {
+              const relay = relays.find(item => item.id === Number(relayId)) || { id: relayId };
+              const index = relays.indexOf(relay);
+              const color = pickColor(RELAY_COLORS, index === -1 ? Number(relayId) - 1 : index);
+              return (
+                <div key={relayId} className="text-sm">
+                  <div className="flex justify-between">
+                    <span>{relayLabel(relay)} ({formatBand(band, ' to ', unit)})</span>
+                    <span className="font-medium">{formatShare(bandShares[relayId])}</span>
+                  </div>
+                  <div className="h-2 mt-1 rounded bg-gray-100 dark:bg-gray-700">
+                    <div
+                      className={`h-2 rounded ${color.swatch}`}
+                      style={{ width: `${bandShares[relayId] * 100}%` }}
+                    ></div>
+                  </div>
+                </div>
+              );
+            })}
+            <div className="flex justify-between text-sm text-gray-500 dark:text-gray-400">
+              <span>Outside all ranges</span>
+              <span className="font-medium">{formatShare(bandShares.outside)}</span>
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium mb-2">Distribution</h3>
+          <div className="h-48">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={bins} margin={{ top: 0, right: 0, left: -20, bottom: 0 }}>
+                <XAxis dataKey="label" tick={{ fill: chartColors.axis, fontSize: 10 }} />
+                <YAxis tick={{ fill: chartColors.axis, fontSize: 10 }} unit="%" />
+                <Tooltip
+                  formatter={value => [`${value.toFixed(1)}% of the time`, 'Share']}
+                  labelFormatter={(_label, payload) => {
+                    const bin = payload?.[0]?.payload;
+                    return bin ? `${formatTemp(bin.from)} to ${formatTemp(bin.to)}` : '';
+                  }}
+                  contentStyle={{
+                    backgroundColor: chartColors.surface,
+                    border: `1px solid ${chartColors.grid}`,
+                    color: chartColors.text,
+                  }}
+                />
+                <Bar dataKey="percent" fill={chartColors.highlight} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+        Weighted by how long each reading stood, so irregular sampling does not skew the figures.
+        {isBucketed && ' Computed from down-sampled averages; min and max use each bucket\'s extremes.'}
+      </p>
+    </div>
+  );
+};
+
+export default StatisticsPanel;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { Thermometer, Sliders, Settings } from 'lucide-react';
+import StaleBadge from './StaleBadge';
+import { findRelayForTemperature, formatBand } from '../utils/thresholds';
+import { relayLabel } from '../utils/relays';
+import { sensorLabel } from '../utils/sensors';
+import { QUALITY_FLAGS } from '../utils/quality';
+import useUnits from '../hooks/useUnits';
+
+// Current temperature per probe, the average over the selected range and the
+// relays' control ranges
+const TemperatureCards = ({
+  sensorIds,
+  latestBySensor,
+  meanTemp,
+  rangeLabel,
+  relays,
+  thresholds,
+  isStale,
+  lastSeen,
+  canConfigure,
+  onEditThresholds,
+}) => {
+  const { unit, formatTemperature, formatDelta } = useUnits();
+
+  const renderSensorCard = (sensorId) => {
+    const temp = latestBySensor[sensorId]?.temperature ?? null;
+    const qualityFlag = latestBySensor[sensorId]?.quality_flag;
+    const bandRelayId = findRelayForTemperature(temp, thresholds);
+    const bandRelay = relays.find(relay => relay.id === bandRelayId) || { id: bandRelayId };
+
+    return (
+      <div key={sensorId} className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 relative overflow-hidden">
+        <div className="absolute top-0 right-0 w-16 h-16 -mt-6 -mr-6 rounded-full bg-pink-100 opacity-60 dark:opacity-10"></div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+            {sensorIds.length <= 1 ? 'Current Temperature' : sensorLabel(sensorId)}
+            <StaleBadge isStale={isStale} lastSeen={lastSeen} />
+          </h3>
+          <Thermometer size={18} className="text-pink-500" />
+        </div>
+        <p className={`text-2xl font-bold text-pink-600 dark:text-pink-400 ${isStale ? 'opacity-50' : ''}`}>
+          {formatTemperature(temp)}
+        </p>
+        {qualityFlag ? (
+          <p className="mt-2 text-sm text-red-600 dark:text-red-400">
+            {QUALITY_FLAGS[qualityFlag]} reading, check the probe
+          </p>
+        ) : (
+          <p className="mt-2 text-sm">
+            {temp !== null && (bandRelayId !== null
+              ? `In ${relayLabel(bandRelay)} range (${formatBand(thresholds[bandRelayId], '-', unit)})`
+              : 'Outside control ranges')}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+      {sensorIds.length > 0 ? sensorIds.map(renderSensorCard) : renderSensorCard(null)}
+
+      <div className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 relative overflow-hidden">
+        <div className="absolute top-0 right-0 w-16 h-16 -mt-6 -mr-6 rounded-full bg-green-100 opacity-60 dark:opacity-10"></div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">Avg Temp ({rangeLabel})</h3>
+          <Thermometer size={18} className="text-green-500" />
+        </div>
+        <p className="text-2xl font-bold text-green-600 dark:text-green-400">{formatTemperature(meanTemp)}</p>
+      </div>
+
+      <div className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 relative overflow-hidden">
+        <div className="absolute top-0 right-0 w-16 h-16 -mt-6 -mr-6 rounded-full bg-blue-100 opacity-60 dark:opacity-10"></div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">Control Ranges</h3>
+          {canConfigure ? (
+            <button
+              onClick={onEditThresholds}
+              title="Edit thresholds"
+              className="text-blue-500 hover:text-blue-600"
+            >
+              <Settings size={18} />
+            </button>
+          ) : (
+            <Sliders size={18} className="text-blue-500" />
+          )}
+        </div>
+        <div className="space-y-2 mt-1">
+          {relays.map(relay => (
+            <div key={relay.id} className="flex items-center">
+              <div className={`w-3 h-3 rounded-full ${relay.state ? 'bg-green-500' : 'bg-gray-400'} mr-2`}></div>
+              <span className="text-sm">
+                {relayLabel(relay)}: {formatBand(thresholds[relay.id], ' to ', unit)}
+                {thresholds[relay.id] && ` (±${formatDelta(thresholds[relay.id].hysteresis)})`}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemperatureCards;
@@ -0,0 +1,443 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ReferenceArea,
+  ReferenceDot,
+  Brush,
+} from 'recharts';
+import { ZoomOut } from 'lucide-react';
+import StaleBadge from './StaleBadge';
+import useTheme from '../hooks/useTheme';
+import useUnits from '../hooks/useUnits';
+import { relayLabel, relayStateKey, attachRelayStates } from '../utils/relays';
+import { splitAtGaps, countSegments, movingAverage, SMOOTHING_WINDOW } from '../utils/quality';
+import {
+  getSensorId,
+  pivotBySensor,
+  sensorLabel,
+  seriesKey,
+  rangeKey,
+  smoothKey,
+  segmentKey,
+  compareKey,
+  pivotComparison,
+} from '../utils/sensors';
+import { pickColor } from '../utils/colors';
+import { formatBucket, formatAxisTick } from '../utils/range';
+
+// Wait for the brush to settle before loading the new range
+const BRUSH_SETTLE_MS = 800;
+
+// Temperature per probe over the selected range, with the relays' on-time
+// lanes, the control ranges, flagged readings and optionally the moving
+// average and the previous period. Dragging across the plot or moving the
+// brush calls `onZoom(from, to)` with the span picked.
+const TemperatureChart = ({
+  readings,
+  comparisonRows,
+  flaggedReadings,
+  sensorIds,
+  relays,
+  relayEvents,
+  thresholds,
+  dataQuality,
+  bucketSeconds,
+  selectedReading,
+  cacheEndsAt,
+  isLoading,
+  isStale,
+  lastSeen,
+  compareEnabled,
+  isComparisonLoading,
+  onToggleCompare,
+  canZoomOut,
+  onZoom,
+  onZoomOut,
+}) => {
+  const { chartColors } = useTheme();
+  const { symbol: unitSymbol, toDisplay } = useUnits();
+  const [zoomSelection, setZoomSelection] = useState(null);
+  const [hiddenSeries, setHiddenSeries] = useState([]);
+  const [showSmoothing, setShowSmoothing] = useState(false);
+
+  const brushTimer = useRef(null);
+  useEffect(() => () => clearTimeout(brushTimer.current), []);
+
+  const toggleSeries = (name) => {
+    setHiddenSeries(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  const segmentedData = splitAtGaps(readings, dataQuality.gap_intervals);
+  const segmentCounts = countSegments(segmentedData);
+  const segmentsOf = (sensorId) => Array.from({ length: segmentCounts[sensorId] || 1 }, (_, segment) => segment);
+  // Points carry a numeric `time` so zooming and the shifted previous period share one axis
+  const chartData = attachRelayStates(
+    [
+      ...pivotBySensor(showSmoothing ? movingAverage(segmentedData) : segmentedData, toDisplay),
+      ...pivotComparison(comparisonRows, toDisplay),
+    ]
+      .map(point => ({ ...point, time: new Date(point.inserted_at).getTime() }))
+      .sort((a, b) => a.time - b.time),
+    relayEvents,
+    relays
+  );
+  const chartSpanMs = chartData.length > 1 ? chartData[chartData.length - 1].time - chartData[0].time : 0;
+
+  const handleBrushChange = ({ startIndex, endIndex }) => {
+    clearTimeout(brushTimer.current);
+    if (startIndex === 0 && endIndex === chartData.length - 1) return;
+    const from = chartData[startIndex].time;
+    const to = chartData[endIndex].time;
+    brushTimer.current = setTimeout(() => onZoom(from, to), BRUSH_SETTLE_MS);
+  };
+
+  const relayIndex = (relayId) => {
+    const index = relays.findIndex(relay => relay.id === Number(relayId));
+    return index === -1 ? Number(relayId) - 1 : index;
+  };
+
+  return (
+    <div className="p-4 rounded-lg shadow-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium">
+          Temperature Trends
+          <StaleBadge isStale={isStale} lastSeen={lastSeen} />
+        </h2>
+        <div className="flex items-center space-x-2">
+          {canZoomOut && (
+            <button
+              onClick={onZoomOut}
+              title="Back to the previous range"
+              className="flex items-center px-2 py-1 rounded text-xs bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200"
+            >
+              <ZoomOut size={14} className="mr-1" />
+              Zoom out
+            </button>
+          )}
+          <button
+            onClick={onToggleCompare}
+            className={`px-2 py-1 rounded text-xs ${
+              compareEnabled
+                ? 'bg-blue-500 text-white'
+                : 'bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200'
+            }`}
+          >
+            {isComparisonLoading ? 'Loading previous period...' : 'Compare with previous period'}
+          </button>
+          <button
+            onClick={() => setShowSmoothing(!showSmoothing)}
+            className={`px-2 py-1 rounded text-xs ${
+              showSmoothing
+                ? 'bg-blue-500 text-white'
+                : 'bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200'
+            }`}
+          >
+            Moving average
+          </button>
+        </div>
+      </div>
+
+      {readings.length === 0 ? (
+        <div className="h-96 flex items-center justify-center text-gray-500 dark:text-gray-400">
+          {isLoading ? 'Loading data...' : 'No temperature data available'}
+        </div>
+      ) : (
+        <div className="h-96">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart
+              data={chartData}
+              margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+              onMouseDown={e => e?.activeLabel !== undefined && setZoomSelection({ from: e.activeLabel, to: e.activeLabel })}
+              onMouseMove={e => zoomSelection && e?.activeLabel !== undefined && setZoomSelection({ ...zoomSelection, to: e.activeLabel })}
+              onMouseUp={() => {
+                if (zoomSelection) onZoom(zoomSelection.from, zoomSelection.to);
+                setZoomSelection(null);
+              }}
+              onMouseLeave={() => setZoomSelection(null)}
+            >
+              <defs>
+                {sensorIds.map((sensorId, index) => {
+                  const color = pickColor(chartColors.series, index);
+                  return (
+                    <linearGradient key={sensorId} id={`tempGradient-${index}`} x1="0" y1="0" x2="0" y2="1">
+                      <stop offset="5%" stopColor={color} stopOpacity={sensorIds.length > 1 ? 0.3 : 0.8} />
+                      <stop offset="95%" stopColor={color} stopOpacity={0.05} />
+                    </linearGradient>
+                  );
+                })}
+              </defs>
+              <CartesianGrid strokeDasharray="3 3" stroke={chartColors.grid} />
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={['dataMin', 'dataMax']}
+                tick={{ fill: chartColors.axis }}
+                tickFormatter={time => formatAxisTick(time, chartSpanMs)}
+                interval="preserveStartEnd"
+                minTickGap={60}
+              />
+              <YAxis
+                tick={{ fill: chartColors.axis }}
+                domain={['auto', 'auto']}
+                label={{
+                  value: `Temperature (${unitSymbol})`,
+                  angle: -90,
+                  position: 'insideLeft',
+                  style: { fill: chartColors.axis }
+                }}
+              />
+              {/* Relay lanes take up the bottom quarter of the plot */}
+              <YAxis yAxisId="relays" hide domain={[0, Math.max(relays.length, 1) * 4]} />
+              <Tooltip
+                formatter={(value, name) => [
+                  Array.isArray(value)
+                    ? `${value[0].toFixed(1)}${unitSymbol} to ${value[1].toFixed(1)}${unitSymbol}`
+                    : `${value.toFixed(1)}${unitSymbol}`,
+                  name,
+                ]}
+                labelFormatter={(timestamp) => {
+                  const date = new Date(timestamp);
+                  return date.toLocaleString();
+                }}
+                contentStyle={{
+                  backgroundColor: chartColors.surface,
+                  border: `1px solid ${chartColors.grid}`,
+                  color: chartColors.text
+                }}
+              />
+              <Legend onClick={entry => toggleSeries(entry.value)} wrapperStyle={{ cursor: 'pointer' }} />
+
+              {/* Temperature range reference lines */}
+              {Object.entries(thresholds).flatMap(([relayId, band]) => {
+                const color = pickColor(chartColors.relays, relayIndex(relayId));
+                const relay = relays.find(item => item.id === Number(relayId)) || { id: relayId };
+                return ['min', 'max'].map(bound => (
+                  <ReferenceLine
+                    key={`${relayId}-${bound}`}
+                    y={toDisplay(band[bound])}
+                    stroke={color.stroke}
+                    strokeDasharray="3 3"
+                    label={{
+                      value: `${relayLabel(relay)} ${bound === 'min' ? 'Min' : 'Max'}`,
+                      position: 'insideTopLeft',
+                      fill: color.label,
+                      fontSize: 10
+                    }}
+                  />
+                ));
+              })}
+
+              {/* One Area per stretch between data gaps, so gaps show as breaks */}
+              {sensorIds.flatMap((sensorId, index) => {
+                const color = pickColor(chartColors.series, index);
+                return segmentsOf(sensorId).map(segment => (
+                  <Area
+                    key={`${sensorId}-${segment}`}
+                    type="monotone"
+                    dataKey={segmentKey(seriesKey(sensorId), segment)}
+                    stroke={color}
+                    fillOpacity={1}
+                    fill={`url(#tempGradient-${index})`}
+                    name={sensorLabel(sensorId)}
+                    hide={hiddenSeries.includes(sensorLabel(sensorId))}
+                    legendType={segment > 0 ? 'none' : undefined}
+                    connectNulls
+                  />
+                ));
+              })}
+
+              {showSmoothing && sensorIds.flatMap((sensorId, index) => {
+                const color = pickColor(chartColors.series, index);
+                const name = `${sensorLabel(sensorId)} (moving average)`;
+                return segmentsOf(sensorId).map(segment => (
+                  <Area
+                    key={`${sensorId}-average-${segment}`}
+                    type="monotone"
+                    dataKey={segmentKey(smoothKey(sensorId), segment)}
+                    stroke={color}
+                    strokeWidth={3}
+                    strokeOpacity={0.6}
+                    fill="none"
+                    name={name}
+                    hide={hiddenSeries.includes(name)}
+                    legendType={segment > 0 ? 'none' : undefined}
+                    connectNulls
+                    isAnimationActive={false}
+                  />
+                ));
+              })}
+
+              {/* Previous period, shifted onto this range's axis */}
+              {compareEnabled && sensorIds.map((sensorId, index) => {
+                const color = pickColor(chartColors.series, index);
+                const name = `${sensorLabel(sensorId)} (previous period)`;
+                return (
+                  <Area
+                    key={`${sensorId}-previous`}
+                    type="monotone"
+                    dataKey={compareKey(sensorId)}
+                    stroke={color}
+                    strokeDasharray="5 5"
+                    fill="none"
+                    name={name}
+                    hide={hiddenSeries.includes(name)}
+                    connectNulls
+                    isAnimationActive={false}
+                  />
+                );
+              })}
+
+              {/* One shaded lane per relay, filled while the relay was on */}
+              {relays.map((relay, index) => {
+                const color = pickColor(chartColors.relays, index);
+                return (
+                  <Area
+                    key={`relay-${relay.id}`}
+                    yAxisId="relays"
+                    type="stepAfter"
+                    dataKey={row => (row[relayStateKey(relay.id)] ? [index + 0.1, index + 0.9] : null)}
+                    stroke={color.stroke}
+                    fill={color.stroke}
+                    fillOpacity={0.35}
+                    name={`${relayLabel(relay)} on`}
+                    hide={hiddenSeries.includes(`${relayLabel(relay)} on`)}
+                    tooltipType="none"
+                    isAnimationActive={false}
+                  />
+                );
+              })}
+
+              {/* Min/max envelope for down-sampled ranges */}
+              {bucketSeconds && sensorIds.flatMap((sensorId, index) => {
+                const color = pickColor(chartColors.series, index);
+                return segmentsOf(sensorId).map(segment => (
+                  <Area
+                    key={`${sensorId}-range-${segment}`}
+                    type="monotone"
+                    dataKey={segmentKey(rangeKey(sensorId), segment)}
+                    stroke="none"
+                    fill={color}
+                    fillOpacity={0.15}
+                    name={`${sensorLabel(sensorId)} min/max`}
+                    hide={hiddenSeries.includes(sensorLabel(sensorId))}
+                    legendType="none"
+                    connectNulls
+                  />
+                ));
+              })}
+
+              {/* Flagged readings: a marker at the time, and the value where it fits the axis */}
+              {flaggedReadings.map(reading => (
+                <ReferenceLine
+                  key={`flag-${reading.inserted_at}-${getSensorId(reading)}`}
+                  x={new Date(reading.inserted_at).getTime()}
+                  stroke={chartColors.flag}
+                  strokeOpacity={0.5}
+                />
+              ))}
+              {flaggedReadings.map(reading => (
+                <ReferenceDot
+                  key={`flag-dot-${reading.inserted_at}-${getSensorId(reading)}`}
+                  x={new Date(reading.inserted_at).getTime()}
+                  y={toDisplay(reading.temperature)}
+                  r={4}
+                  fill={chartColors.flag}
+                  stroke="none"
+                />
+              ))}
+
+              {/* Where the cached data ends while offline */}
+              {cacheEndsAt && (
+                <ReferenceLine
+                  x={cacheEndsAt}
+                  stroke={chartColors.marker}
+                  strokeDasharray="4 2"
+                  label={{
+                    value: 'Offline',
+                    position: 'insideTopRight',
+                    fill: chartColors.marker,
+                    fontSize: 10
+                  }}
+                />
+              )}
+
+              {/* Reading picked in the data table */}
+              {selectedReading && (
+                <ReferenceLine
+                  x={new Date(selectedReading.inserted_at).getTime()}
+                  stroke={chartColors.text}
+                  strokeDasharray="2 2"
+                />
+              )}
+              {selectedReading && (
+                <ReferenceDot
+                  x={new Date(selectedReading.inserted_at).getTime()}
+                  y={toDisplay(selectedReading.temperature)}
+                  r={6}
+                  fill={chartColors.highlight}
+                  stroke={chartColors.text}
+                />
+              )}
+
+              {/* Drag across the chart to zoom into that span */}
+              {zoomSelection && (
+                <ReferenceArea
+                  x1={zoomSelection.from}
+                  x2={zoomSelection.to}
+                  fill={chartColors.selection}
+                  fillOpacity={0.15}
+                />
+              )}
+              <Brush
+                key={`${chartData[0]?.time}-${chartData.length}`}
+                dataKey="time"
+                height={24}
+                stroke={chartColors.selection}
+                fill={chartColors.surface}
+                tickFormatter={time => formatAxisTick(time, chartSpanMs)}
+                onChange={handleBrushChange}
+              />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className="mt-4 text-sm text-gray-500 dark:text-gray-400">
+        {readings.length > 0 && (
+          <p>
+            Showing {readings.length} data point{readings.length !== 1 ? 's' : ''} from {
+              new Date(readings[0].inserted_at).toLocaleString()
+            } to {
+              new Date(readings[readings.length - 1].inserted_at).toLocaleString()
+            }
+            {bucketSeconds && ` (${formatBucket(bucketSeconds)} averages)`}
+          </p>
+        )}
+        {readings.length > 0 && (
+          <p className="mt-1 text-xs">
+            Drag across the chart or move the slider to zoom; click a legend entry to hide that series.
+            {compareEnabled && ' Dashed lines show the previous period of the same length.'}
+            {showSmoothing && ` The thick lines average the last ${SMOOTHING_WINDOW} readings.`}
+          </p>
+        )}
+        {flaggedReadings.length > 0 && (
+          <p className="mt-1 text-xs text-red-600 dark:text-red-400">
+            {flaggedReadings.length} reading{flaggedReadings.length !== 1 ? 's' : ''} flagged as implausible
+            or a spike (red markers) and left out of the line, the average and the statistics.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TemperatureChart;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { Save, X } from 'lucide-react';
+import useUnits from '../hooks/useUnits';
+import { validateThresholds } from '../utils/thresholds';
+import { validateDataQuality } from '../utils/quality';
+import { roundConverted } from '../utils/units';
+
+// `kind` says how a value converts to the display unit: a temperature, a
+// temperature difference, or not at all
+const BAND_FIELDS = [
+  { key: 'min', label: 'Min', kind: 'temperature' },
+  { key: 'max', label: 'Max', kind: 'temperature' },
+  { key: 'hysteresis', label: 'Hysteresis', kind: 'delta' },
+];
+
+const DATA_QUALITY_FIELDS = [
+  { key: 'min', label: 'Plausible min', step: '1', kind: 'temperature' },
+  { key: 'max', label: 'Plausible max', step: '1', kind: 'temperature' },
+  { key: 'spike_delta', label: 'Spike threshold', step: '0.1', kind: 'delta' },
+  { key: 'gap_intervals', label: 'Break line after (intervals)', step: '1', kind: null },
+];
+
+const ThresholdSettings = ({ thresholds, connectivity, dataQuality, relayIds = [], onSave, onClose }) => {
+  // Temperatures are edited in the display unit and saved in °C
+  const { symbol, toDisplay, fromDisplay, deltaToDisplay, deltaFromDisplay } = useUnits();
+  const showValue = (value, kind) => {
+    if (kind === 'temperature') return String(roundConverted(toDisplay(value)));
+    if (kind === 'delta') return String(roundConverted(deltaToDisplay(value)));
+    return String(value);
+  };
+  const parseValue = (value, kind) => {
+    const number = parseFloat(value);
+    if (kind === 'temperature') return roundConverted(fromDisplay(number));
+    if (kind === 'delta') return roundConverted(deltaFromDisplay(number));
+    return number;
+  };
+  const fieldLabel = ({ label, kind }) => (kind ? `${label} (${symbol})` : label);
+
+  // Keep the inputs as strings so partially typed values ("-", "1.") survive.
+  // Relays without a band get an empty row; rows left empty are not saved.
+  const [draft, setDraft] = useState(() => {
+    const ids = [...new Set([...relayIds.map(String), ...Object.keys(thresholds)])]
+      .sort((a, b) => a - b);
+    return Object.fromEntries(
+      ids.map(id => {
+        const band = thresholds[id];
+        return [
+          id,
+          Object.fromEntries(BAND_FIELDS.map(({ key, kind }) => [key, band ? showValue(band[key], kind) : ''])),
+        ];
+      })
+    );
+  });
+  const [connectivityDraft, setConnectivityDraft] = useState({
+    degraded_after_seconds: String(connectivity.degraded_after_seconds),
+    offline_after_seconds: String(connectivity.offline_after_seconds),
+  });
+  const [qualityDraft, setQualityDraft] = useState(() => Object.fromEntries(
+    DATA_QUALITY_FIELDS.map(({ key, kind }) => [key, showValue(dataQuality[key], kind)])
+  ));
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateField = (id, field, value) => {
+    setDraft(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const parsed = Object.fromEntries(
+      Object.entries(draft)
+        .filter(([, band]) => [band.min, band.max, band.hysteresis].some(value => value !== ''))
+        .map(([id, band]) => [
+          id,
+          Object.fromEntries(BAND_FIELDS.map(({ key, kind }) => [key, parseValue(band[key], kind)])),
+        ])
+    );
+
+    const validationError = validateThresholds(parsed);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+
+    const parsedConnectivity = {
+      degraded_after_seconds: parseInt(connectivityDraft.degraded_after_seconds, 10),
+      offline_after_seconds: parseInt(connectivityDraft.offline_after_seconds, 10),
+    };
+    if (!Object.values(parsedConnectivity).every(value => Number.isInteger(value) && value > 0)) {
+      setFormError('Connectivity thresholds must be positive whole seconds');
+      return;
+    }
+    if (parsedConnectivity.degraded_after_seconds >= parsedConnectivity.offline_after_seconds) {
+      setFormError('Degraded threshold must be shorter than offline threshold');
+      return;
+    }
+
+    const parsedQuality = Object.fromEntries(
+      DATA_QUALITY_FIELDS.map(({ key, kind }) => [key, parseValue(qualityDraft[key], kind)])
+    );
+    const qualityError = validateDataQuality(parsedQuality);
+    if (qualityError) {
+      setFormError(qualityError);
+      return;
+    }
+
+    setIsSaving(true);
+    const saved = await onSave(parsed, parsedConnectivity, parsedQuality);
+    setIsSaving(false);
+
+    if (saved) onClose();
+    else setFormError('Failed to save thresholds');
+  };
+
+  const inputClass = 'w-24 border rounded px-2 py-1 text-sm bg-white border-gray-300 dark:bg-gray-800 dark:text-gray-200 dark:border-gray-700';
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-6 p-4 rounded-lg bg-white dark:bg-gray-800 shadow-sm border border-gray-200 dark:border-gray-700"
+    >
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium">Thresholds</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded-full hover:bg-gray-100 text-gray-500 dark:hover:bg-gray-700 dark:text-gray-300"
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+            <th className="py-2">Relay</th>
+            {BAND_FIELDS.map(field => (
+              <th key={field.key} className="py-2">{fieldLabel(field)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(draft).map(([id, band]) => (
+            <tr key={id}>
+              <td className="py-2 font-medium">Relay {id}</td>
+              {BAND_FIELDS.map(({ key }) => (
+                <td key={key} className="py-2">
+                  <input
+                    type="number"
+                    step="0.1"
+                    min={key === 'hysteresis' ? 0 : undefined}
+                    value={band[key]}
+                    onChange={e => updateField(id, key, e.target.value)}
+                    className={inputClass}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="mt-6 mb-2 font-medium">Connectivity</h3>
+      <div className="flex flex-wrap gap-4 text-sm">
+        <label className="flex items-center">
+          <span className="mr-2">Degraded after (s)</span>
+          <input
+            type="number"
+            min="1"
+            value={connectivityDraft.degraded_after_seconds}
+            onChange={e => setConnectivityDraft(prev => ({ ...prev, degraded_after_seconds: e.target.value }))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center">
+          <span className="mr-2">Offline after (s)</span>
+          <input
+            type="number"
+            min="1"
+            value={connectivityDraft.offline_after_seconds}
+            onChange={e => setConnectivityDraft(prev => ({ ...prev, offline_after_seconds: e.target.value }))}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <h3 className="mt-6 mb-2 font-medium">Data quality</h3>
+      <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+        Readings outside the plausible range, or this far from their neighbours, are flagged and left out of
+        the chart line and the statistics. A gap longer than the given number of sampling intervals breaks the line.
+      </p>
+      <div className="flex flex-wrap gap-4 text-sm">
+        {DATA_QUALITY_FIELDS.map(field => (
+          <label key={field.key} className="flex items-center">
+            <span className="mr-2">{fieldLabel(field)}</span>
+            <input
+              type="number"
+              step={field.step}
+              value={qualityDraft[field.key]}
+              onChange={e => setQualityDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+              className={inputClass}
+            />
+          </label>
+        ))}
+      </div>
+
+      {formError && (
+        <p className="mt-3 text-sm text-red-600 dark:text-red-400">{formError}</p>
+      )}
+
+      <div className="mt-4 flex justify-end">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className={`flex items-center px-3 py-1.5 rounded text-sm text-white ${
+            isSaving ? 'opacity-50 cursor-not-allowed' : ''
+          } bg-blue-500 hover:bg-blue-600 dark:bg-blue-600 dark:hover:bg-blue-700`}
+        >
+          <Save size={16} className="mr-1" />
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ThresholdSettings;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { LogOut, User } from 'lucide-react';
+import useAuth from '../hooks/useAuth';
+
+const UserMenu = () => {
+  const { user, role, signOut } = useAuth();
+  if (!user) return null;
+
+  return (
+    <div className="flex items-center text-sm">
+      <User size={16} className="text-gray-500 dark:text-gray-400" />
+      <span className="ml-1 hidden md:inline">{user.email}</span>
+      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">
+        {role}
+      </span>
+      <button
+        onClick={signOut}
+        title="Sign out"
+        className="ml-2 p-2 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-gray-200"
+      >
+        <LogOut size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default UserMenu;
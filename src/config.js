@@ -0,0 +1,56 @@
+// Environment config. Build-time values come from Vite env variables
+// (VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY, VITE_DATA_BACKEND); an optional
+// /config.json served next to index.html overrides them at runtime, so one
+// build can be promoted between environments without rebuilding.
+
+export const BACKENDS = ['supabase', 'simulator'];
+
+// The simulator runs in the browser and needs no Supabase project
+const REQUIRED_KEYS = {
+  supabase: ['supabaseUrl', 'supabaseAnonKey'],
+  simulator: [],
+};
+
+const buildTimeConfig = () => ({
+  backend: import.meta.env.VITE_DATA_BACKEND || 'supabase',
+  supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+  supabaseAnonKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+});
+
+const fetchRuntimeConfig = async () => {
+  try {
+    const response = await fetch('/config.json', { cache: 'no-store' });
+    if (!response.ok) return {};
+    // The SPA fallback answers unknown paths with index.html
+    if (!response.headers.get('content-type')?.includes('application/json')) return {};
+    return await response.json();
+  } catch (err) {
+    console.error('Error loading /config.json:', err);
+    return {};
+  }
+};
+
+export class ConfigError extends Error {
+  constructor(missingKeys) {
+    super(`Missing configuration: ${missingKeys.join(', ')}`);
+    this.name = 'ConfigError';
+    this.missingKeys = missingKeys;
+  }
+}
+
+// Resolves to the merged config or rejects with a ConfigError listing what is missing
+export const loadConfig = async () => {
+  const runtime = await fetchRuntimeConfig();
+  const config = { ...buildTimeConfig() };
+  Object.entries(runtime).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') config[key] = value;
+  });
+
+  if (!BACKENDS.includes(config.backend)) {
+    throw new Error(`Unknown data backend "${config.backend}", expected one of: ${BACKENDS.join(', ')}`);
+  }
+
+  const missingKeys = REQUIRED_KEYS[config.backend].filter(key => !config[key]);
+  if (missingKeys.length > 0) throw new ConfigError(missingKeys);
+  return config;
+};
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// confirm(options) => Promise of { reason } once confirmed, or null when cancelled
+export const ConfirmContext = createContext(null);
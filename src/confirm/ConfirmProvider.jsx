@@ -0,0 +1,41 @@
+import React, { useState, useCallback, useRef } from 'react';
+import { ConfirmContext } from './ConfirmContext';
+import ConfirmDialog from '../components/ConfirmDialog';
+
+// Promise-based confirmation: `await confirm({ title, message, confirmLabel,
+// requireReason })` shows a ConfirmDialog and resolves with { reason } (null
+// when none was asked for or given) once confirmed, or null when cancelled.
+// Only one dialog is open at a time; a new request cancels the previous one.
+const ConfirmProvider = ({ children }) => {
+  const [request, setRequest] = useState(null);
+  const nextId = useRef(1);
+
+  const confirm = useCallback((options) => new Promise(resolve => {
+    const id = nextId.current++;
+    setRequest(previous => {
+      previous?.resolve(null);
+      return { id, options, resolve };
+    });
+  }), []);
+
+  const close = (result) => {
+    request.resolve(result);
+    setRequest(null);
+  };
+
+  return (
+    <ConfirmContext.Provider value={confirm}>
+      {children}
+      {request && (
+        <ConfirmDialog
+          key={request.id}
+          {...request.options}
+          onConfirm={reason => close({ reason })}
+          onCancel={() => close(null)}
+        />
+      )}
+    </ConfirmContext.Provider>
+  );
+};
+
+export default ConfirmProvider;
@@ -0,0 +1,242 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { supabase } from '../supabaseClient';
+import useRealtimeChannel from './useRealtimeChannel';
+import useUnits from './useUnits';
+import {
+  evaluateRule,
+  describeAlarm,
+  stepAlarm,
+  acknowledgeAlarm,
+  isAlarmVisible,
+  alarmEventApplies,
+  applyAlarmEvent,
+  restoreAlarmStates,
+} from '../utils/alarms';
+
+const EVALUATE_INTERVAL_MS = 5000;
+
+// Short two-tone beep; browsers only allow it after the user has interacted with the page
+const playAlarmTone = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    const context = new AudioContext();
+    [880, 660].forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(context.currentTime + index * 0.25);
+      oscillator.stop(context.currentTime + index * 0.25 + 0.2);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (err) {
+    console.error('Alarm tone error:', err);
+  }
+};
+
+const showNotification = (rule, message) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  new Notification(`Alarm: ${rule.name}`, { body: message, tag: `alarm-${rule.id}` });
+};
+
+const announceAlarm = (rule, message) => {
+  showNotification(rule, message);
+  playAlarmTone();
+};
+
+// Alarm rules of a device and the state of each alarm, rebuilt from the alarms
+// log and kept in step with it over realtime. Given readings, the hook also
+// evaluates the rules and logs raise/clear events; every open dashboard does
+// this and the database keeps the first copy of each transition. `data` is
+// null while the readings load, and left out where alarms are only shown.
+const useAlarms = (deviceId, data = null) => {
+  const [rules, setRules] = useState([]);
+  const [alarmStates, setAlarmStates] = useState({});
+  const statesRef = useRef({});
+  const rulesRef = useRef([]);
+  const dataRef = useRef(data);
+
+  useEffect(() => {
+    dataRef.current = data;
+  }, [data]);
+
+  const updateStates = (next) => {
+    statesRef.current = next;
+    setAlarmStates(next);
+  };
+
+  const logEvent = useCallback(async (rule, event, details = {}) => {
+    const { error } = await supabase
+      .from('alarms')
+      .insert({
+        device_id: deviceId,
+        rule_id: rule.id,
+        event,
+        value: details.value ?? null,
+        message: details.message ?? null,
+      });
+
+    if (error) console.error('Error logging alarm event:', error);
+  }, [deviceId]);
+
+  // Load rules and rebuild alarm states from the log. The rules are only
+  // published once the states are restored: evaluating them against empty
+  // states would raise every alarm that is already active again.
+  const fetchAlarms = useCallback(async () => {
+    try {
+      const [
+        { data: ruleData, error: ruleError },
+        { data: eventData, error: eventError },
+      ] = await Promise.all([
+        supabase
+          .from('alarm_rules')
+          .select('*')
+          .eq('device_id', deviceId)
+          .order('id', { ascending: true }),
+        supabase
+          .from('alarms')
+          .select('*')
+          .eq('device_id', deviceId)
+          .order('id', { ascending: false })
+          .limit(500),
+      ]);
+
+      if (ruleError) throw ruleError;
+      if (eventError) throw eventError;
+      updateStates(restoreAlarmStates([...eventData].reverse()));
+      rulesRef.current = ruleData;
+      setRules(ruleData);
+    } catch (err) {
+      console.error('Error loading alarm rules:', err);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchAlarms();
+  }, [fetchAlarms]);
+
+  // Events logged by other dashboards, and acknowledgements made there
+  const isEvaluating = data !== null;
+  const isEvaluatingRef = useRef(isEvaluating);
+  useEffect(() => {
+    isEvaluatingRef.current = isEvaluating;
+  }, [isEvaluating]);
+  // Notifications are worded in the display unit; the log keeps °C
+  const { unit } = useUnits();
+  const unitRef = useRef(unit);
+  useEffect(() => {
+    unitRef.current = unit;
+  }, [unit]);
+
+  useRealtimeChannel(
+    `alarms-${deviceId}`,
+    channel => channel.on(
+      'postgres_changes',
+      {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'alarms',
+        filter: `device_id=eq.${deviceId}`,
+      },
+      (payload) => {
+        const event = payload.new;
+        const current = statesRef.current[event.rule_id];
+        // Our own events come back too; they no longer apply
+        if (event.rule_id === null || !alarmEventApplies(current, event)) return;
+        updateStates({ ...statesRef.current, [event.rule_id]: applyAlarmEvent(current, event) });
+
+        const rule = rulesRef.current.find(item => item.id === event.rule_id);
+        if (event.event === 'raised' && rule && isEvaluatingRef.current) {
+          announceAlarm(rule, describeAlarm(rule, event.value, unitRef.current));
+        }
+      }
+    ),
+    fetchAlarms
+  );
+
+  // Evaluate every rule periodically so "silent" rules fire without new data
+  useEffect(() => {
+    if (data === null) return undefined;
+
+    const evaluate = () => {
+      const now = Date.now();
+      const next = { ...statesRef.current };
+      let changed = false;
+
+      rulesRef.current.filter(rule => rule.enabled).forEach(rule => {
+        const evaluation = evaluateRule(rule, dataRef.current, now);
+        const { state, event } = stepAlarm(next[rule.id], evaluation, rule, now);
+        if (state !== next[rule.id]) {
+          next[rule.id] = state;
+          changed = true;
+        }
+        if (!event) return;
+
+        logEvent(rule, event, evaluation);
+        if (event === 'raised') announceAlarm(rule, describeAlarm(rule, evaluation.value, unitRef.current));
+      });
+
+      if (changed) updateStates(next);
+    };
+
+    evaluate();
+    const interval = setInterval(evaluate, EVALUATE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [data, rules, logEvent]);
+
+  const acknowledge = async (ruleId) => {
+    const rule = rulesRef.current.find(item => item.id === ruleId);
+    if (!rule) return;
+    updateStates({ ...statesRef.current, [ruleId]: acknowledgeAlarm(statesRef.current[ruleId]) });
+    await logEvent(rule, 'acknowledged', statesRef.current[ruleId]);
+  };
+
+  const saveRule = async (rule) => {
+    const { data: saved, error } = await supabase
+      .from('alarm_rules')
+      .upsert({ ...rule, device_id: deviceId })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving alarm rule:', error);
+      return false;
+    }
+
+    const exists = rulesRef.current.some(item => item.id === saved.id);
+    rulesRef.current = exists
+      ? rulesRef.current.map(item => (item.id === saved.id ? saved : item))
+      : [...rulesRef.current, saved];
+    setRules(rulesRef.current);
+    return true;
+  };
+
+  const deleteRule = async (ruleId) => {
+    const { error } = await supabase
+      .from('alarm_rules')
+      .delete()
+      .eq('id', ruleId);
+
+    if (error) {
+      console.error('Error deleting alarm rule:', error);
+      return false;
+    }
+
+    rulesRef.current = rulesRef.current.filter(item => item.id !== ruleId);
+    setRules(rulesRef.current);
+    const { [ruleId]: _removed, ...remaining } = statesRef.current;
+    updateStates(remaining);
+    return true;
+  };
+
+  const activeAlarms = rules
+    .filter(rule => isAlarmVisible(alarmStates[rule.id]))
+    .map(rule => ({ rule, ...alarmStates[rule.id] }));
+
+  return { rules, activeAlarms, acknowledge, saveRule, deleteRule };
+};
+
+export default useAlarms;
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { supabase } from '../supabaseClient';
+import UnitProvider from '../units/UnitProvider';
+import useAlarms from './useAlarms';
+
+vi.mock('../supabaseClient', async () => {
+  const { createSupabaseMock } = await import('../test/supabaseMock');
+  return { supabase: createSupabaseMock() };
+});
+
+const RULE = { id: 1, device_id: 'esp32-1', name: 'Too warm', type: 'high', sensor_id: null, threshold: 8, delay_seconds: 0, enabled: true };
+const RAISED = { id: 10, device_id: 'esp32-1', rule_id: 1, event: 'raised', value: 9.5, message: 'Temperature 9.5°C is above 8.0°C', created_at: '2025-01-01T10:00:00Z' };
+const ACKNOWLEDGED = { id: 11, device_id: 'esp32-1', rule_id: 1, event: 'acknowledged', value: 9.5, message: null, created_at: '2025-01-01T10:05:00Z' };
+
+const warmReadings = () => [{ id: 1, device_id: 'esp32-1', temperature: 9.5, inserted_at: new Date().toISOString() }];
+
+// `log` is the alarms history, newest first like the query returns it
+const renderAlarms = async (data, log = []) => {
+  supabase.respond('alarms', { data: log, error: null });
+  const view = renderHook(({ readings }) => useAlarms('esp32-1', readings), {
+    wrapper: UnitProvider,
+    initialProps: { readings: data },
+  });
+  await waitFor(() => expect(view.result.current.rules).toHaveLength(1));
+  return view;
+};
+
+describe('useAlarms', () => {
+  beforeEach(() => {
+    supabase.reset();
+    supabase.respond('alarm_rules', { data: [RULE], error: null });
+  });
+
+  it('raises and logs an alarm when a rule is violated', async () => {
+    const { result } = await renderAlarms(warmReadings());
+
+    expect(result.current.activeAlarms).toMatchObject([{ status: 'active', value: 9.5 }]);
+    const [insert] = supabase.callsTo('alarms', 'insert');
+    expect(insert[0][1]).toMatchObject({ device_id: 'esp32-1', rule_id: 1, event: 'raised', value: 9.5 });
+  });
+
+  it('logs messages in °C whatever the display unit', async () => {
+    localStorage.setItem('temperature-unit', 'F');
+    await renderAlarms(warmReadings());
+    localStorage.removeItem('temperature-unit');
+
+    const [insert] = supabase.callsTo('alarms', 'insert');
+    expect(insert[0][1].message).toBe('Temperature 9.5°C is above 8.0°C');
+  });
+
+  describe('after a reload', () => {
+    it('restores an alarm that is still active without raising it again', async () => {
+      const { result } = await renderAlarms(warmReadings(), [RAISED]);
+
+      expect(result.current.activeAlarms).toMatchObject([{ status: 'active', message: RAISED.message }]);
+      expect(supabase.callsTo('alarms', 'insert')).toEqual([]);
+    });
+
+    it('keeps an acknowledged alarm acknowledged', async () => {
+      const { result } = await renderAlarms(warmReadings(), [ACKNOWLEDGED, RAISED]);
+
+      expect(result.current.activeAlarms).toMatchObject([{ status: 'acknowledged' }]);
+      expect(supabase.callsTo('alarms', 'insert')).toEqual([]);
+    });
+
+    it('does not clear active alarms while the readings are still loading', async () => {
+      const { result, rerender } = await renderAlarms(null, [RAISED]);
+
+      expect(result.current.activeAlarms).toMatchObject([{ status: 'active' }]);
+      rerender({ readings: warmReadings() });
+
+      expect(result.current.activeAlarms).toMatchObject([{ status: 'active' }]);
+      expect(supabase.callsTo('alarms', 'insert')).toEqual([]);
+    });
+  });
+
+  describe('realtime', () => {
+    it('applies events logged by another dashboard', async () => {
+      const { result } = await renderAlarms(null);
+
+      act(() => supabase.emit('alarms', { eventType: 'INSERT', new: RAISED }));
+      expect(result.current.activeAlarms).toMatchObject([{ status: 'active' }]);
+
+      act(() => supabase.emit('alarms', { eventType: 'INSERT', new: ACKNOWLEDGED }));
+      expect(result.current.activeAlarms).toMatchObject([{ status: 'acknowledged' }]);
+    });
+
+    it('ignores repeats of a transition it already made', async () => {
+      const { result } = await renderAlarms(warmReadings());
+      const [alarm] = result.current.activeAlarms;
+      const [insert] = supabase.callsTo('alarms', 'insert');
+
+      act(() => supabase.emit('alarms', { eventType: 'INSERT', new: { ...insert[0][1], id: 12, created_at: '2025-01-01T11:00:00Z' } }));
+      act(() => supabase.emit('alarms', { eventType: 'INSERT', new: { ...RAISED, id: 13 } }));
+
+      expect(result.current.activeAlarms).toEqual([alarm]);
+      expect(supabase.callsTo('alarms', 'insert')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../supabaseClient';
+import useRealtimeChannel from './useRealtimeChannel';
+
+// Newest first, the order the editor lists them in
+const sortCalibrations = (calibrations) => [...calibrations].sort(
+  (a, b) => new Date(b.effective_from) - new Date(a.effective_from) || b.id - a.id
+);
+
+const mergeCalibration = (calibrations, row) => sortCalibrations([
+  ...calibrations.filter(calibration => calibration.id !== row.id),
+  row,
+]);
+
+const useCalibrations = (deviceId) => {
+  const [calibrations, setCalibrations] = useState([]);
+
+  const fetchCalibrations = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('sensor_calibrations')
+      .select('*')
+      .eq('device_id', deviceId)
+      .order('effective_from', { ascending: false });
+
+    if (error) console.error('Error loading calibrations:', error);
+    else setCalibrations(sortCalibrations(data));
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchCalibrations();
+  }, [fetchCalibrations]);
+
+  // A probe swap recorded elsewhere corrects the readings shown here too;
+  // changes made while the channel was down are fetched when it reconnects
+  const realtimeStatus = useRealtimeChannel(
+    `sensor-calibrations-${deviceId}`,
+    channel => channel.on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'sensor_calibrations',
+        filter: `device_id=eq.${deviceId}`,
+      },
+      (payload) => {
+        if (payload.eventType === 'DELETE') {
+          setCalibrations(prev => prev.filter(calibration => calibration.id !== payload.old.id));
+        } else {
+          setCalibrations(prev => mergeCalibration(prev, payload.new));
+        }
+      }
+    ),
+    fetchCalibrations
+  );
+
+  const saveCalibration = async (calibration) => {
+    const { data: saved, error } = await supabase
+      .from('sensor_calibrations')
+      .upsert({ ...calibration, device_id: deviceId })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving calibration:', error);
+      return false;
+    }
+
+    setCalibrations(prev => mergeCalibration(prev, saved));
+    return true;
+  };
+
+  const deleteCalibration = async (calibrationId) => {
+    const { error } = await supabase
+      .from('sensor_calibrations')
+      .delete()
+      .eq('id', calibrationId);
+
+    if (error) {
+      console.error('Error deleting calibration:', error);
+      return false;
+    }
+
+    setCalibrations(prev => prev.filter(calibration => calibration.id !== calibrationId));
+    return true;
+  };
+
+  return { calibrations, realtimeStatus, saveCalibration, deleteCalibration };
+};
+
+export default useCalibrations;
@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listCommands, putCommand, deleteCommand } from '../offline/db';
+
+// Relay and mode changes made while offline, persisted in IndexedDB so they
+// survive a reload. Nothing is sent automatically: the page asks the user to
+// confirm before replaying them. A command that undoes a queued one for the
+// same target (or returns it to its current state) replaces it.
+const useCommandQueue = (deviceId) => {
+  const [commands, setCommands] = useState([]);
+
+  const reloadCommands = useCallback(async () => {
+    try {
+      setCommands(await listCommands(deviceId));
+    } catch (err) {
+      console.error('Error loading queued commands:', err);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    reloadCommands();
+  }, [reloadCommands]);
+
+  // `command` is { type: 'relay', relay_id, state, reason } or { type: 'mode', automatic_mode, reason };
+  // `current` is the target's value before the command
+  const queueCommand = async (command, current) => {
+    const existing = commands.find(item => (
+      item.type === command.type && (command.type === 'mode' || item.relay_id === command.relay_id)
+    ));
+    const value = command.type === 'mode' ? command.automatic_mode : command.state;
+
+    try {
+      if (existing) await deleteCommand(existing.id);
+      if (value !== current) {
+        await putCommand({
+          ...command,
+          id: crypto.randomUUID(),
+          device_id: deviceId,
+          queued_at: new Date().toISOString(),
+        });
+      }
+      await reloadCommands();
+      return true;
+    } catch (err) {
+      console.error('Error queueing command:', err);
+      return false;
+    }
+  };
+
+  const removeCommand = async (id) => {
+    try {
+      await deleteCommand(id);
+      setCommands(prev => prev.filter(command => command.id !== id));
+    } catch (err) {
+      console.error('Error removing queued command:', err);
+    }
+  };
+
+  return { commands, queueCommand, removeCommand };
+};
+
+export default useCommandQueue;
@@ -0,0 +1,10 @@
+import { useContext } from 'react';
+import { ConfirmContext } from '../confirm/ConfirmContext';
+
+const useConfirm = () => {
+  const context = useContext(ConfirmContext);
+  if (!context) throw new Error('useConfirm must be used inside a ConfirmProvider');
+  return context;
+};
+
+export default useConfirm;
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+// Whether the browser has a network connection, and since when it has not
+const useOnlineStatus = () => {
+  const [offlineSince, setOfflineSince] = useState(() => (navigator.onLine === false ? new Date() : null));
+
+  useEffect(() => {
+    const handleOnline = () => setOfflineSince(null);
+    const handleOffline = () => setOfflineSince(prev => prev || new Date());
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return { isOnline: !offlineSince, offlineSince };
+};
+
+export default useOnlineStatus;
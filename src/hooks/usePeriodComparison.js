@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { fetchSensorHistory, fetchSensorBuckets } from '../api/history';
+import { liveWindowStart, chooseBucketSeconds, previousPeriod } from '../utils/range';
+
+// Readings from the period just before the selected range, shifted forward
+// onto the selected range's time axis (yesterday drawn over today). Uses the
+// same resolution as the main series so the two lines are comparable.
+const usePeriodComparison = (deviceId, enabled, startDate, endDate) => {
+  const [rows, setRows] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) {
+      setRows([]);
+      return undefined;
+    }
+    let cancelled = false;
+
+    const loadPrevious = async () => {
+      setIsLoading(true);
+      try {
+        const start = startDate || liveWindowStart();
+        const end = endDate || new Date();
+        const previous = previousPeriod(start, end);
+        const seconds = chooseBucketSeconds(start, end);
+        const previousRows = seconds
+          ? await fetchSensorBuckets(deviceId, previous.start, previous.end, seconds)
+          : await fetchSensorHistory(deviceId, previous.start, previous.end);
+
+        if (cancelled) return;
+        setRows(previousRows.map(row => ({
+          ...row,
+          inserted_at: new Date(new Date(row.inserted_at).getTime() + previous.offsetMs).toISOString(),
+        })));
+      } catch (err) {
+        console.error('Error loading comparison period:', err);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadPrevious();
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId, enabled, startDate, endDate]);
+
+  return { rows, isLoading };
+};
+
+export default usePeriodComparison;
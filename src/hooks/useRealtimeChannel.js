@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef } from 'react';
+import { supabase } from '../supabaseClient';
+import useOnlineStatus from './useOnlineStatus';
+import { POLLING_AFTER_ATTEMPTS, resubscribeDelay, isChannelDown } from '../utils/realtime';
+
+// Subscribes a realtime channel and keeps it subscribed. `configure` adds the
+// .on() bindings to a fresh channel; when the channel errors, times out or
+// closes it is torn down and resubscribed with backoff. `onReconnect` runs
+// after every successful resubscribe so callers can backfill missed changes.
+// Returns one of REALTIME_STATUSES.
+const useRealtimeChannel = (name, configure, onReconnect) => {
+  const [status, setStatus] = useState('connecting');
+  const { isOnline } = useOnlineStatus();
+  const configureRef = useRef(configure);
+  const onReconnectRef = useRef(onReconnect);
+  const retryNow = useRef(() => {});
+
+  useEffect(() => {
+    configureRef.current = configure;
+    onReconnectRef.current = onReconnect;
+  });
+
+  useEffect(() => {
+    let channel = null;
+    let attempt = 0;
+    let timer = null;
+    let disposed = false;
+    let hasConnected = false;
+
+    const connect = () => {
+      const current = configureRef.current(supabase.channel(name));
+      channel = current;
+
+      current.subscribe((state) => {
+        if (disposed || channel !== current) return;
+
+        if (state === 'SUBSCRIBED') {
+          if (hasConnected || attempt > 0) onReconnectRef.current?.();
+          hasConnected = true;
+          attempt = 0;
+          setStatus('live');
+        } else if (isChannelDown(state)) {
+          channel = null;
+          supabase.removeChannel(current);
+          attempt += 1;
+          setStatus(attempt > POLLING_AFTER_ATTEMPTS ? 'polling' : 'reconnecting');
+          timer = setTimeout(connect, resubscribeDelay(attempt));
+        }
+      });
+    };
+
+    retryNow.current = () => {
+      if (channel || disposed) return;
+      clearTimeout(timer);
+      connect();
+    };
+
+    setStatus('connecting');
+    connect();
+
+    return () => {
+      disposed = true;
+      clearTimeout(timer);
+      retryNow.current = () => {};
+      if (channel) supabase.removeChannel(channel);
+    };
+  }, [name]);
+
+  // Skip the rest of the backoff when the browser comes back online
+  useEffect(() => {
+    if (isOnline) retryNow.current();
+  }, [isOnline]);
+
+  return isOnline ? status : 'offline';
+};
+
+export default useRealtimeChannel;
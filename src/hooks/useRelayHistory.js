@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import useRealtimeChannel from './useRealtimeChannel';
+import { fetchRelayEvents } from '../api/history';
+import { trimRelayEvents } from '../utils/relayHistory';
+import { liveWindowStart } from '../utils/range';
+
+const POLL_INTERVAL_MS = 15000;
+
+// Relay state changes for the selected range. Without an end date the range
+// is live: changes of the given relays are appended as the device reports
+// them and ones that slide out of the window are dropped. A live range is
+// reloaded after the realtime channel reconnects and polled while it is down,
+// so switches made meanwhile are not missed.
+const useRelayHistory = (deviceId, relayIds, startDate, endDate) => {
+  const [events, setEvents] = useState([]);
+  const relayKey = relayIds.join(',');
+  const loadRequest = useRef(0);
+  const liveRange = useRef(null);
+
+  useEffect(() => {
+    liveRange.current = endDate ? null : { relayIds: relayKey.split(',').map(Number), startDate };
+  });
+
+  const loadEvents = useCallback(async () => {
+    if (!relayKey) return;
+    const requestId = ++loadRequest.current;
+    try {
+      const rows = await fetchRelayEvents(
+        deviceId,
+        relayKey.split(',').map(Number),
+        startDate || liveWindowStart(),
+        endDate
+      );
+      if (requestId === loadRequest.current) setEvents(rows);
+    } catch (err) {
+      console.error('Error loading relay history:', err);
+    }
+  }, [deviceId, relayKey, startDate, endDate]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const handleInsert = useCallback((payload) => {
+    const range = liveRange.current;
+    if (!range || !range.relayIds.includes(Number(payload.new.relay_id))) return;
+    setEvents(prev => trimRelayEvents([...prev, payload.new], range.startDate || liveWindowStart()));
+  }, []);
+
+  const isLive = !endDate;
+  const backfillEvents = useCallback(() => {
+    if (isLive) loadEvents();
+  }, [isLive, loadEvents]);
+
+  const realtimeStatus = useRealtimeChannel(
+    `relay-events-${deviceId}`,
+    channel => channel.on(
+      'postgres_changes',
+      {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'relay_events',
+        filter: `device_id=eq.${deviceId}`,
+      },
+      handleInsert
+    ),
+    backfillEvents
+  );
+
+  // Polling fallback while realtime is down
+  useEffect(() => {
+    if (realtimeStatus === 'live' || !isLive) return undefined;
+    const interval = setInterval(loadEvents, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [realtimeStatus, isLive, loadEvents]);
+
+  return { events, realtimeStatus };
+};
+
+export default useRelayHistory;
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { supabase } from '../supabaseClient';
+import { fetchRelayEvents } from '../api/history';
+import { LIVE_WINDOW_MS } from '../utils/range';
+import useRelayHistory from './useRelayHistory';
+
+vi.mock('../supabaseClient', async () => {
+  const { createSupabaseMock } = await import('../test/supabaseMock');
+  return { supabase: createSupabaseMock() };
+});
+
+vi.mock('../api/history', () => ({
+  fetchRelayEvents: vi.fn(),
+}));
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+const STARTED_ON = { id: 1, device_id: 'esp32-1', relay_id: 1, state: true, changed_at: hoursAgo(30) };
+const SWITCHED_OFF = { id: 2, device_id: 'esp32-1', relay_id: 1, state: false, changed_at: hoursAgo(20) };
+
+const renderHistory = async (startDate = null, endDate = null) => {
+  const view = renderHook(() => useRelayHistory('esp32-1', [1, 2], startDate, endDate));
+  await waitFor(() => expect(view.result.current.events).not.toEqual([]));
+  return view;
+};
+
+describe('useRelayHistory', () => {
+  beforeEach(() => {
+    supabase.reset();
+    fetchRelayEvents.mockReset();
+    fetchRelayEvents.mockResolvedValue([STARTED_ON, SWITCHED_OFF]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('loads the live window', async () => {
+    const { result } = await renderHistory();
+
+    expect(result.current.events).toEqual([STARTED_ON, SWITCHED_OFF]);
+    expect(result.current.realtimeStatus).toBe('live');
+    const [, relayIds, start, end] = fetchRelayEvents.mock.calls[0];
+    expect(relayIds).toEqual([1, 2]);
+    expect(Date.now() - start.getTime()).toBeGreaterThanOrEqual(LIVE_WINDOW_MS);
+    expect(end).toBeNull();
+  });
+
+  describe('realtime', () => {
+    it('appends changes of its relays and drops the ones that left the window', async () => {
+      const { result } = await renderHistory();
+      // Ten hours on, SWITCHED_OFF is the state at the start of the window
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(Date.now() + 10 * 60 * 60 * 1000);
+      const switchedOn = { id: 3, device_id: 'esp32-1', relay_id: 1, state: true, changed_at: hoursAgo(0) };
+
+      act(() => supabase.emit('relay_events', { eventType: 'INSERT', new: switchedOn }));
+      act(() => supabase.emit('relay_events', { eventType: 'INSERT', new: { ...switchedOn, id: 4, relay_id: 9 } }));
+
+      expect(result.current.events).toEqual([SWITCHED_OFF, switchedOn]);
+    });
+
+    it('ignores changes while a past range is shown', async () => {
+      const { result } = await renderHistory(new Date(hoursAgo(48)), new Date(hoursAgo(24)));
+
+      act(() => supabase.emit('relay_events', {
+        eventType: 'INSERT',
+        new: { id: 3, device_id: 'esp32-1', relay_id: 1, state: true, changed_at: hoursAgo(0) },
+      }));
+
+      expect(result.current.events).toEqual([STARTED_ON, SWITCHED_OFF]);
+    });
+
+    it('reloads the range after the channel reconnects', async () => {
+      const { result } = await renderHistory();
+      const missed = { id: 3, device_id: 'esp32-1', relay_id: 2, state: true, changed_at: hoursAgo(0) };
+      fetchRelayEvents.mockResolvedValue([STARTED_ON, SWITCHED_OFF, missed]);
+
+      act(() => supabase.drop('relay-events-esp32-1'));
+      expect(result.current.realtimeStatus).toBe('reconnecting');
+
+      await waitFor(() => expect(result.current.events).toContain(missed), { timeout: 3000 });
+      expect(result.current.realtimeStatus).toBe('live');
+      expect(fetchRelayEvents).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabase } from '../supabaseClient';
+import useRealtimeChannel from './useRealtimeChannel';
+import useToast from './useToast';
+import useConfirm from './useConfirm';
+import { loadSnapshot, saveSnapshot } from '../offline/db';
+import { sendRelayCommand, markCommandFailed } from '../api/relayCommands';
+import { relayLabel, sortRelays, mergeRelay, getCommandStatus } from '../utils/relays';
+
+const POLL_INTERVAL_MS = 15000;
+
+// The relay_control rows of a device, kept up to date over realtime (polled
+// while the channel is down) and in IndexedDB like useSystemSettings.
+// `toggleRelay` refuses while the system is held in automatic mode, the device
+// is unreachable or a schedule holds the relay. Otherwise it asks for
+// confirmation and a reason, which is stored with the command, and queues the
+// command while the browser is offline. `control` carries what the checks depend on:
+//   now, canControl, isOnline, automaticMode (including a mode program),
+//   modeProgram, isDeviceUnreachable, relayProgram(relay), queuedCommands, queueCommand
+const useRelays = (deviceId, control) => {
+  const {
+    now,
+    canControl,
+    isOnline,
+    automaticMode,
+    modeProgram,
+    isDeviceUnreachable,
+    relayProgram,
+    queuedCommands,
+    queueCommand,
+  } = control;
+  const [relays, setRelays] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const toast = useToast();
+  const confirm = useConfirm();
+
+  const fetchRelays = useCallback(async () => {
+    const { data, error: relayError } = await supabase
+      .from('relay_control')
+      .select('*')
+      .eq('device_id', deviceId)
+      .order('id', { ascending: true });
+
+    if (relayError) throw relayError;
+    if (data) setRelays(sortRelays(data));
+    setCachedAt(null);
+  }, [deviceId]);
+
+  useEffect(() => {
+    const loadRelays = async () => {
+      setIsLoading(true);
+      try {
+        await fetchRelays();
+        setError(null);
+      } catch (err) {
+        console.error('Relay load error:', err);
+        // Offline: fall back to the relays saved on the last visit
+        const snapshot = await loadSnapshot(`relays:${deviceId}`).catch(() => null);
+        if (snapshot) {
+          setRelays(snapshot.value);
+          setCachedAt(snapshot.saved_at);
+          setError(null);
+        } else {
+          setError('Failed to load initial data. Please refresh the page.');
+        }
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadRelays();
+  }, [deviceId, fetchRelays]);
+
+  useEffect(() => {
+    if (isLoading || cachedAt) return;
+    saveSnapshot(`relays:${deviceId}`, relays)
+      .catch(err => console.error('Error caching relay states:', err));
+  }, [deviceId, isLoading, cachedAt, relays]);
+
+  const backfillRelays = useCallback(() => {
+    fetchRelays().catch(err => console.error('Realtime backfill error:', err));
+  }, [fetchRelays]);
+
+  const realtimeStatus = useRealtimeChannel(
+    `relay-control-${deviceId}`,
+    channel => channel.on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'relay_control',
+        filter: `device_id=eq.${deviceId}`,
+      },
+      (payload) => {
+        if (payload.eventType === 'DELETE') {
+          setRelays(prev => prev.filter(relay => relay.id !== payload.old.id));
+        } else {
+          setRelays(prev => mergeRelay(prev, payload.new));
+        }
+      }
+    ),
+    backfillRelays
+  );
+
+  // Polling fallback while realtime is down
+  useEffect(() => {
+    if (realtimeStatus === 'live') return undefined;
+
+    const pollRelays = () => {
+      fetchRelays().catch(err => console.error('Polling error:', err));
+    };
+
+    const interval = setInterval(pollRelays, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [realtimeStatus, fetchRelays]);
+
+  // Announce command outcomes as they arrive and close out commands the device
+  // did not acknowledge in time. Outcomes known when the page opened are not
+  // announced, and only the dashboard that issued a command closes it out, so
+  // every other open dashboard does not write the same failure.
+  const issuedCommands = useRef(new Set());
+  const resolvedCommands = useRef(null);
+  useEffect(() => {
+    if (isLoading) return;
+    const isFirstRun = resolvedCommands.current === null;
+    if (isFirstRun) resolvedCommands.current = new Set();
+
+    relays.forEach(relay => {
+      const status = getCommandStatus(relay, now);
+      if (status !== 'confirmed' && status !== 'failed') return;
+      if (resolvedCommands.current.has(relay.command_id)) return;
+      resolvedCommands.current.add(relay.command_id);
+      if (status === 'failed' && relay.acked_command_id !== relay.command_id &&
+          issuedCommands.current.has(relay.command_id)) {
+        markCommandFailed(relay.command_id);
+      }
+      if (isFirstRun) return;
+
+      const target = relay.desired_state ? 'ON' : 'OFF';
+      if (status === 'confirmed') toast.success(`${relayLabel(relay)} switched ${target}`);
+      else toast.error(`${relayLabel(relay)} did not confirm switching ${target}`);
+    });
+  }, [relays, now, isLoading, toast]);
+
+  const queuedRelayState = (relay) => queuedCommands.find(
+    command => command.type === 'relay' && command.relay_id === relay.id
+  )?.state;
+
+  // The relay only changes once the device acknowledges the command
+  const sendCommand = async (relay, state, reason) => {
+    const command = await sendRelayCommand(relay, state, reason);
+    issuedCommands.current.add(command.command_id);
+    setRelays(prev => mergeRelay(prev, { id: relay.id, ...command }));
+  };
+
+  const toggleRelay = async (relayId) => {
+    if (!canControl) return;
+    if (automaticMode) {
+      toast.error(modeProgram
+        ? `Schedule "${modeProgram.name}" holds the system in automatic mode`
+        : 'Please switch to manual mode to control relays');
+      return;
+    }
+    if (isDeviceUnreachable) {
+      toast.error('The device is offline; relay commands are disabled');
+      return;
+    }
+
+    const relay = relays.find(item => item.id === relayId);
+    if (!relay || getCommandStatus(relay, now) === 'pending') return;
+    const program = relayProgram(relay);
+    if (program) {
+      toast.error(`Schedule "${program.name}" holds ${relayLabel(relay)} ${program.state ? 'ON' : 'OFF'}`);
+      return;
+    }
+
+    // Offline, the switch acts on the state the queued command will leave behind
+    const newState = !(isOnline ? relay.state : (queuedRelayState(relay) ?? relay.state));
+    const target = newState ? 'ON' : 'OFF';
+    const confirmation = await confirm({
+      title: `Switch ${relayLabel(relay)} ${target}?`,
+      message: isOnline
+        ? `The device switches ${relayLabel(relay)} ${target} as soon as it receives the command.`
+        : 'You are offline, so the command is queued and only sent once the connection returns and you confirm it again.',
+      confirmLabel: `Switch ${target}`,
+      requireReason: true,
+    });
+    if (!confirmation) return;
+
+    if (!isOnline) {
+      const queued = await queueCommand(
+        { type: 'relay', relay_id: relayId, state: newState, reason: confirmation.reason },
+        relay.state
+      );
+      if (queued) toast.info(`${relayLabel(relay)} ${target} queued until the connection returns`);
+      else toast.error('Failed to queue the relay command');
+      return;
+    }
+
+    try {
+      await sendCommand(relay, newState, confirmation.reason);
+      toast.info(`Sent ${relayLabel(relay)} ${target}, waiting for the device to confirm`);
+    } catch (err) {
+      console.error('Error toggling relay:', err);
+      toast.error('Failed to update relay state');
+    }
+  };
+
+  return {
+    relays,
+    isLoading,
+    error,
+    cachedAt,
+    realtimeStatus,
+    queuedRelayState,
+    sendCommand,
+    toggleRelay,
+  };
+};
+
+export default useRelays;
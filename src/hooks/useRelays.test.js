@@ -0,0 +1,228 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor, act, screen } from '@testing-library/react';
+import { supabase } from '../supabaseClient';
+import { ControlProviders } from '../test/providers';
+import { confirmAction } from '../test/confirm';
+import { COMMAND_TIMEOUT_MS } from '../utils/relays';
+import useRelays from './useRelays';
+
+vi.mock('../supabaseClient', async () => {
+  const { createSupabaseMock } = await import('../test/supabaseMock');
+  return { supabase: createSupabaseMock() };
+});
+
+vi.mock('../offline/db', () => ({
+  loadSnapshot: vi.fn(async () => null),
+  saveSnapshot: vi.fn(async () => {}),
+}));
+
+const RELAYS = [
+  { id: 2, device_id: 'esp32-1', name: 'Compressor', state: false },
+  { id: 1, device_id: 'esp32-1', name: 'Fan', state: false },
+];
+
+const control = (overrides = {}) => ({
+  now: Date.now(),
+  canControl: true,
+  isOnline: true,
+  automaticMode: false,
+  modeProgram: null,
+  isDeviceUnreachable: false,
+  relayProgram: () => null,
+  queuedCommands: [],
+  queueCommand: vi.fn(async () => true),
+  ...overrides,
+});
+
+const renderRelays = async (overrides) => {
+  const view = renderHook(() => useRelays('esp32-1', control(overrides)), { wrapper: ControlProviders });
+  await waitFor(() => expect(view.result.current.isLoading).toBe(false));
+  return view;
+};
+
+describe('useRelays', () => {
+  beforeEach(() => {
+    supabase.reset();
+    supabase.respond('relay_control', { data: RELAYS, error: null });
+  });
+
+  it('loads the relays in id order', async () => {
+    const { result } = await renderRelays();
+
+    expect(result.current.relays.map(relay => relay.id)).toEqual([1, 2]);
+    expect(result.current.realtimeStatus).toBe('live');
+  });
+
+  describe('toggleRelay', () => {
+    it('refuses in automatic mode and sends nothing', async () => {
+      const { result } = await renderRelays({ automaticMode: true });
+
+      await act(() => result.current.toggleRelay(1));
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Please switch to manual mode to control relays');
+      expect(screen.queryByRole('alertdialog')).toBeNull();
+      expect(supabase.callsTo('relay_commands', 'insert')).toEqual([]);
+      expect(supabase.callsTo('relay_control', 'update')).toEqual([]);
+    });
+
+    it('names the schedule holding the system in automatic mode', async () => {
+      const { result } = await renderRelays({ automaticMode: true, modeProgram: { name: 'Night', state: true } });
+
+      await act(() => result.current.toggleRelay(1));
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Schedule "Night" holds the system in automatic mode');
+      expect(supabase.callsTo('relay_control', 'update')).toEqual([]);
+    });
+
+    it('does nothing for viewers', async () => {
+      const { result } = await renderRelays({ canControl: false });
+
+      await act(() => result.current.toggleRelay(1));
+
+      expect(screen.queryByRole('alertdialog')).toBeNull();
+      expect(screen.queryByRole('alert')).toBeNull();
+      expect(supabase.callsTo('relay_control', 'update')).toEqual([]);
+    });
+
+    it('sends the command with its reason once confirmed and waits for the device', async () => {
+      const { result } = await renderRelays();
+      supabase.respond('relay_commands', { data: null, error: null });
+      supabase.respond('relay_control', { data: null, error: null });
+
+      await confirmAction(() => result.current.toggleRelay(1), 'Switch ON', '  Clearing ice  ');
+
+      const [insert] = supabase.callsTo('relay_commands', 'insert');
+      expect(insert[0][1]).toMatchObject({
+        relay_id: 1,
+        device_id: 'esp32-1',
+        desired_state: true,
+        reason: 'Clearing ice',
+      });
+      expect(insert[0][1]).not.toHaveProperty('issued_by');
+      const [update] = supabase.callsTo('relay_control', 'update');
+      expect(update[0][1]).toMatchObject({ desired_state: true });
+      expect(update[1]).toEqual(['eq', 'id', 1]);
+
+      const relay = result.current.relays.find(item => item.id === 1);
+      expect(relay.state).toBe(false);
+      expect(relay.desired_state).toBe(true);
+      expect(screen.getByRole('status')).toHaveTextContent('Sent Fan ON, waiting for the device to confirm');
+    });
+
+    it('sends nothing when the confirmation is cancelled', async () => {
+      const { result } = await renderRelays();
+
+      await confirmAction(() => result.current.toggleRelay(1), 'Cancel');
+
+      expect(supabase.callsTo('relay_commands', 'insert')).toEqual([]);
+      expect(supabase.callsTo('relay_control', 'update')).toEqual([]);
+    });
+
+    it('refuses while a schedule holds the relay', async () => {
+      const { result } = await renderRelays({
+        relayProgram: relay => (relay.id === 1 ? { name: 'Defrost', state: true } : null),
+      });
+
+      await act(() => result.current.toggleRelay(1));
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Schedule "Defrost" holds Fan ON');
+      expect(supabase.callsTo('relay_control', 'update')).toEqual([]);
+    });
+
+    it('queues the command while offline', async () => {
+      const queueCommand = vi.fn(async () => true);
+      const { result } = await renderRelays({ isOnline: false, queueCommand });
+
+      await confirmAction(() => result.current.toggleRelay(2), 'Switch ON', 'Door left open');
+
+      expect(queueCommand).toHaveBeenCalledWith({ type: 'relay', relay_id: 2, state: true, reason: 'Door left open' }, false);
+      expect(supabase.callsTo('relay_control', 'update')).toEqual([]);
+    });
+  });
+
+  describe('realtime', () => {
+    it('merges relay_control updates', async () => {
+      const { result } = await renderRelays();
+
+      act(() => supabase.emit('relay_control', {
+        eventType: 'UPDATE',
+        new: { id: 1, state: true, acked_at: '2025-01-01T00:00:00Z' },
+      }));
+
+      expect(result.current.relays.find(relay => relay.id === 1)).toMatchObject({ name: 'Fan', state: true });
+    });
+
+    it('announces the device confirming a command', async () => {
+      const { result } = await renderRelays();
+
+      act(() => supabase.emit('relay_control', {
+        eventType: 'UPDATE',
+        new: { id: 1, state: true, desired_state: true, actual_state: true, command_id: 'c1', acked_command_id: 'c1' },
+      }));
+
+      expect(result.current.relays.find(relay => relay.id === 1).state).toBe(true);
+      expect(screen.getByRole('status')).toHaveTextContent('Fan switched ON');
+    });
+
+    it('adds inserted relays in id order', async () => {
+      const { result } = await renderRelays();
+
+      act(() => supabase.emit('relay_control', {
+        eventType: 'INSERT',
+        new: { id: 3, device_id: 'esp32-1', name: 'Heater', state: false },
+      }));
+
+      expect(result.current.relays.map(relay => relay.id)).toEqual([1, 2, 3]);
+    });
+
+    it('drops deleted relays', async () => {
+      const { result } = await renderRelays();
+
+      act(() => supabase.emit('relay_control', { eventType: 'DELETE', old: { id: 2 } }));
+
+      expect(result.current.relays.map(relay => relay.id)).toEqual([1]);
+    });
+  });
+
+  describe('command timeouts', () => {
+    const renderWithClock = async () => {
+      const view = renderHook(({ now }) => useRelays('esp32-1', control({ now })), {
+        wrapper: ControlProviders,
+        initialProps: { now: Date.now() },
+      });
+      await waitFor(() => expect(view.result.current.isLoading).toBe(false));
+      return view;
+    };
+    const afterTimeout = () => Date.now() + COMMAND_TIMEOUT_MS + 1000;
+
+    it('marks its own unacknowledged command failed', async () => {
+      const { result, rerender } = await renderWithClock();
+      supabase.respond('relay_commands', { data: null, error: null });
+      supabase.respond('relay_control', { data: null, error: null });
+      await confirmAction(() => result.current.toggleRelay(1), 'Switch ON', 'Clearing ice');
+      const [insert] = supabase.callsTo('relay_commands', 'insert');
+
+      rerender({ now: afterTimeout() });
+
+      expect(supabase.callsTo('relay_commands', 'update')).toEqual([[
+        ['update', { outcome: 'failed', resolved_at: expect.any(String) }],
+        ['eq', 'id', insert[0][1].id],
+        ['eq', 'outcome', 'pending'],
+      ]]);
+      expect(screen.getByRole('alert')).toHaveTextContent('Fan did not confirm switching ON');
+    });
+
+    it('leaves commands from other dashboards to the dashboard that issued them', async () => {
+      const { rerender } = await renderWithClock();
+
+      act(() => supabase.emit('relay_control', {
+        eventType: 'UPDATE',
+        new: { id: 1, desired_state: true, command_id: 'c2', commanded_at: new Date().toISOString() },
+      }));
+      rerender({ now: afterTimeout() });
+
+      expect(supabase.callsTo('relay_commands', 'update')).toEqual([]);
+      expect(screen.getByRole('alert')).toHaveTextContent('Fan did not confirm switching ON');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../supabaseClient';
+import useRealtimeChannel from './useRealtimeChannel';
+
+const sortSchedules = (schedules) => [...schedules].sort((a, b) => a.id - b.id);
+
+const mergeSchedule = (schedules, row) => sortSchedules([
+  ...schedules.filter(schedule => schedule.id !== row.id),
+  row,
+]);
+
+const useSchedules = (deviceId) => {
+  const [schedules, setSchedules] = useState([]);
+
+  const fetchSchedules = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('relay_schedules')
+      .select('*')
+      .eq('device_id', deviceId)
+      .order('id', { ascending: true });
+
+    if (error) console.error('Error loading schedules:', error);
+    else setSchedules(data);
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  // Other operators may edit programs at the same time; edits made while the
+  // channel was down are fetched when it reconnects
+  const realtimeStatus = useRealtimeChannel(
+    `relay-schedules-${deviceId}`,
+    channel => channel.on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'relay_schedules',
+        filter: `device_id=eq.${deviceId}`,
+      },
+      (payload) => {
+        if (payload.eventType === 'DELETE') {
+          setSchedules(prev => prev.filter(schedule => schedule.id !== payload.old.id));
+        } else {
+          setSchedules(prev => mergeSchedule(prev, payload.new));
+        }
+      }
+    ),
+    fetchSchedules
+  );
+
+  const saveSchedule = async (schedule) => {
+    const { data: saved, error } = await supabase
+      .from('relay_schedules')
+      .upsert({ ...schedule, device_id: deviceId })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving schedule:', error);
+      return false;
+    }
+
+    setSchedules(prev => mergeSchedule(prev, saved));
+    return true;
+  };
+
+  const deleteSchedule = async (scheduleId) => {
+    const { error } = await supabase
+      .from('relay_schedules')
+      .delete()
+      .eq('id', scheduleId);
+
+    if (error) {
+      console.error('Error deleting schedule:', error);
+      return false;
+    }
+
+    setSchedules(prev => prev.filter(schedule => schedule.id !== scheduleId));
+    return true;
+  };
+
+  return { schedules, realtimeStatus, saveSchedule, deleteSchedule };
+};
+
+export default useSchedules;
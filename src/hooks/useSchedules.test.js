@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { supabase } from '../supabaseClient';
+import useSchedules from './useSchedules';
+
+vi.mock('../supabaseClient', async () => {
+  const { createSupabaseMock } = await import('../test/supabaseMock');
+  return { supabase: createSupabaseMock() };
+});
+
+const DEFROST = { id: 1, device_id: 'esp32-1', name: 'Defrost', kind: 'weekly' };
+const NIGHT = { id: 2, device_id: 'esp32-1', name: 'Night', kind: 'weekly' };
+
+const renderSchedules = async () => {
+  const view = renderHook(() => useSchedules('esp32-1'));
+  await waitFor(() => expect(view.result.current.schedules).toHaveLength(1));
+  return view;
+};
+
+describe('useSchedules', () => {
+  beforeEach(() => {
+    supabase.reset();
+    supabase.respond('relay_schedules', { data: [DEFROST], error: null });
+  });
+
+  it('merges programs edited on other dashboards', async () => {
+    const { result } = await renderSchedules();
+
+    act(() => supabase.emit('relay_schedules', { eventType: 'INSERT', new: NIGHT }));
+    act(() => supabase.emit('relay_schedules', { eventType: 'DELETE', old: { id: 1 } }));
+
+    expect(result.current.schedules).toEqual([NIGHT]);
+  });
+
+  it('fetches the programs again after the channel reconnects', async () => {
+    const { result } = await renderSchedules();
+    supabase.respond('relay_schedules', { data: [DEFROST, NIGHT], error: null });
+
+    act(() => supabase.drop('relay-schedules-esp32-1'));
+    expect(result.current.realtimeStatus).toBe('reconnecting');
+
+    await waitFor(() => expect(result.current.schedules).toEqual([DEFROST, NIGHT]), { timeout: 3000 });
+    expect(result.current.realtimeStatus).toBe('live');
+  });
+});
@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import useSensorSync from './useSensorSync';
+import useCalibrations from './useCalibrations';
+import usePeriodComparison from './usePeriodComparison';
+import { fetchSensorHistory, fetchSensorBuckets } from '../api/history';
+import { calibrateRows } from '../utils/calibration';
+import { flagReadings } from '../utils/quality';
+import { getSensorIds, getLatestBySensor } from '../utils/sensors';
+import { isLiveRange, liveWindowStart, chooseBucketSeconds } from '../utils/range';
+import { combineRealtimeStatus } from '../utils/realtime';
+
+// Readings for the selected range, calibrated and flagged. The live window
+// comes from useSensorSync; any other range is queried (down-sampled into
+// buckets when long, see `bucketSeconds`). Flagged readings stay in
+// `qualityData` for the table and export but are left out of `cleanData`, which
+// the averages and statistics use.
+const useSensorData = (deviceId, { startDate, endDate, dataQuality, compareEnabled }) => {
+  const [historyData, setHistoryData] = useState(null);
+  const [bucketSeconds, setBucketSeconds] = useState(null);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+  const {
+    data: rawData,
+    isLoading: isSyncLoading,
+    error: syncError,
+    cachedAt,
+    realtimeStatus,
+    reload,
+  } = useSensorSync(deviceId);
+  const {
+    calibrations,
+    realtimeStatus: calibrationsStatus,
+    saveCalibration,
+    deleteCalibration,
+  } = useCalibrations(deviceId);
+  const comparison = usePeriodComparison(deviceId, compareEnabled, startDate, endDate);
+  // Everything below works on calibrated readings; the stored value stays in raw_temperature
+  const data = useMemo(() => calibrateRows(rawData, calibrations), [rawData, calibrations]);
+
+  // Ranged query for anything the live window doesn't cover
+  const historyRequest = useRef(0);
+  const loadHistory = useCallback(async () => {
+    const requestId = ++historyRequest.current;
+    setIsHistoryLoading(true);
+    try {
+      const end = endDate || new Date();
+      const start = startDate || liveWindowStart();
+      const seconds = chooseBucketSeconds(start, end);
+      const rows = seconds
+        ? await fetchSensorBuckets(deviceId, start, end, seconds)
+        : await fetchSensorHistory(deviceId, start, end);
+
+      // A newer range was picked while this one was loading
+      if (requestId !== historyRequest.current) return;
+      setHistoryData(rows);
+      setBucketSeconds(seconds);
+      setHistoryError(null);
+    } catch (err) {
+      console.error('History query error:', err);
+      if (requestId === historyRequest.current) setHistoryError('Failed to load the selected date range.');
+    } finally {
+      if (requestId === historyRequest.current) setIsHistoryLoading(false);
+    }
+  }, [deviceId, startDate, endDate]);
+
+  useEffect(() => {
+    if (isLiveRange(startDate, endDate)) {
+      historyRequest.current += 1;
+      setHistoryData(null);
+      setBucketSeconds(null);
+      setIsHistoryLoading(false);
+      setHistoryError(null);
+      return;
+    }
+    loadHistory();
+  }, [startDate, endDate, loadHistory]);
+
+  const filteredData = historyData
+    ? calibrateRows(historyData, calibrations)
+    : data.filter(item => {
+      const itemDate = new Date(item.inserted_at);
+      return (!startDate || itemDate >= startDate) && (!endDate || itemDate <= endDate);
+    });
+  const qualityData = flagReadings(filteredData, dataQuality);
+  const flaggedReadings = qualityData.filter(row => row.quality_flag);
+
+  return {
+    data,
+    filteredData,
+    qualityData,
+    cleanData: qualityData.filter(row => !row.quality_flag),
+    flaggedReadings,
+    qualityFlags: new Map(flaggedReadings.map(row => [row.id, row.quality_flag])),
+    sensorIds: getSensorIds([...data, ...filteredData]),
+    // Current values always come from the live window, whatever range is shown
+    latestBySensor: getLatestBySensor(flagReadings(data, dataQuality)),
+    comparisonRows: flagReadings(calibrateRows(comparison.rows, calibrations), dataQuality),
+    isComparisonLoading: comparison.isLoading,
+    isHistory: Boolean(historyData),
+    bucketSeconds,
+    isLoading: isSyncLoading || isHistoryLoading,
+    isSyncLoading,
+    error: historyError || syncError,
+    cachedAt,
+    realtimeStatus: combineRealtimeStatus(realtimeStatus, calibrationsStatus),
+    calibrations,
+    saveCalibration,
+    deleteCalibration,
+    reload,
+    loadHistory,
+  };
+};
+
+export default useSensorData;
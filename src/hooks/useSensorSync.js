@@ -0,0 +1,129 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import useRealtimeChannel from './useRealtimeChannel';
+import { fetchSensorHistory } from '../api/history';
+import { mergeReadings } from '../utils/sensors';
+import { liveWindowStart } from '../utils/range';
+import { loadSnapshot, saveSnapshot } from '../offline/db';
+
+const POLL_INTERVAL_MS = 15000;
+const MAX_POLL_INTERVAL_MS = 5 * 60 * 1000;
+// Write the window to IndexedDB at most this often
+const SNAPSHOT_DELAY_MS = 5000;
+
+// Keeps the live window of sensor_data for a device up to date. Realtime
+// INSERTs are merged as they arrive; only while the channel is down does it
+// poll, fetching rows newer than the newest one it has and backing off on errors.
+// The window is also kept in IndexedDB; when the first load fails (offline) the
+// cached copy is shown instead and `cachedAt` says when it was saved.
+const useSensorSync = (deviceId) => {
+  const [data, setData] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const dataRef = useRef([]);
+  const loadRequest = useRef(0);
+
+  const applyRows = (rows) => {
+    dataRef.current = rows;
+    setData(rows);
+  };
+
+  // Rows at or after the newest known timestamp; ids already held are skipped
+  const fetchNewer = useCallback(async () => {
+    const last = dataRef.current[dataRef.current.length - 1];
+    const since = last ? new Date(last.inserted_at) : liveWindowStart();
+    const rows = await fetchSensorHistory(deviceId, since, null);
+    applyRows(mergeReadings(dataRef.current, rows, liveWindowStart()));
+    setCachedAt(null);
+  }, [deviceId]);
+
+  const reload = useCallback(async () => {
+    const requestId = ++loadRequest.current;
+    setIsLoading(true);
+    try {
+      const rows = await fetchSensorHistory(deviceId, liveWindowStart(), null);
+      if (requestId !== loadRequest.current) return;
+      applyRows(rows);
+      setCachedAt(null);
+      setError(null);
+    } catch (err) {
+      console.error('Sensor data load error:', err);
+      const snapshot = await loadSnapshot(`readings:${deviceId}`).catch(() => null);
+      if (requestId !== loadRequest.current) return;
+      if (snapshot) {
+        applyRows(snapshot.value);
+        setCachedAt(snapshot.saved_at);
+      } else {
+        setError('Failed to load sensor data. Please refresh the page.');
+      }
+    } finally {
+      if (requestId === loadRequest.current) setIsLoading(false);
+    }
+  }, [deviceId]);
+
+  const handleInsert = useCallback((payload) => {
+    applyRows(mergeReadings(dataRef.current, [payload.new], liveWindowStart()));
+  }, []);
+
+  // Catch up on anything inserted while the channel was down
+  const catchUp = useCallback(() => {
+    fetchNewer().catch(err => console.error('Sensor data catch-up error:', err));
+  }, [fetchNewer]);
+
+  const realtimeStatus = useRealtimeChannel(
+    `sensor-sync-${deviceId}`,
+    channel => channel.on(
+      'postgres_changes',
+      {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'sensor_data',
+        filter: `device_id=eq.${deviceId}`,
+      },
+      handleInsert
+    ),
+    catchUp
+  );
+  const isRealtimeConnected = realtimeStatus === 'live';
+
+  useEffect(() => {
+    applyRows([]);
+    reload();
+  }, [reload]);
+
+  useEffect(() => {
+    if (cachedAt || data.length === 0) return undefined;
+    const timer = setTimeout(() => {
+      saveSnapshot(`readings:${deviceId}`, data).catch(err => console.error('Error caching sensor data:', err));
+    }, SNAPSHOT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [deviceId, data, cachedAt]);
+
+  useEffect(() => {
+    if (isRealtimeConnected) return undefined;
+    let delay = POLL_INTERVAL_MS;
+    let timer = null;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        await fetchNewer();
+        delay = POLL_INTERVAL_MS;
+      } catch (err) {
+        console.error('Polling error:', err);
+        delay = Math.min(delay * 2, MAX_POLL_INTERVAL_MS);
+      }
+      if (!cancelled) timer = setTimeout(poll, delay);
+    };
+
+    timer = setTimeout(poll, delay);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isRealtimeConnected, fetchNewer]);
+
+  return { data, isLoading, error, cachedAt, realtimeStatus, isRealtimeConnected, reload };
+};
+
+export default useSensorSync;
@@ -0,0 +1,229 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabase } from '../supabaseClient';
+import useRealtimeChannel from './useRealtimeChannel';
+import useToast from './useToast';
+import useConfirm from './useConfirm';
+import { sendModeChange } from '../api/modeChanges';
+import { loadSnapshot, saveSnapshot } from '../offline/db';
+import { DEFAULT_THRESHOLDS, normalizeThresholds } from '../utils/thresholds';
+import { DEFAULT_CONNECTIVITY, normalizeConnectivity } from '../utils/devices';
+import { DEFAULT_DATA_QUALITY, normalizeDataQuality } from '../utils/quality';
+
+const SETTINGS_COLUMNS = 'automatic_mode, relay_thresholds, degraded_after_seconds, offline_after_seconds, data_quality';
+
+// The device row and its system_settings (mode, relay thresholds, connectivity
+// timeouts, data quality limits), kept up to date over realtime and in
+// IndexedDB; when the first load fails (offline) the cached copy is shown and
+// `cachedAt` says when it was saved. Mode switches are confirmed first, and
+// switching to manual asks for a reason that is stored in mode_changes. While
+// the browser is offline they go through `queueCommand` instead of being sent.
+// Mode switches made elsewhere are announced as they arrive.
+const useSystemSettings = (deviceId, { canControl, isOnline, queuedCommands, queueCommand }) => {
+  const [device, setDevice] = useState(null);
+  const [automaticMode, setAutomaticMode] = useState(true);
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [connectivitySettings, setConnectivitySettings] = useState(DEFAULT_CONNECTIVITY);
+  const [dataQuality, setDataQuality] = useState(DEFAULT_DATA_QUALITY);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const toast = useToast();
+  const confirm = useConfirm();
+  // For the realtime handler, which keeps the closure it was subscribed with
+  const knownMode = useRef(automaticMode);
+
+  useEffect(() => {
+    knownMode.current = automaticMode;
+  }, [automaticMode]);
+
+  // Also used to backfill changes missed while the realtime channel was down
+  const fetchSettings = useCallback(async () => {
+    const { data: deviceData } = await supabase
+      .from('devices')
+      .select('*')
+      .eq('device_id', deviceId)
+      .single();
+
+    if (deviceData) setDevice(deviceData);
+
+    const { data: settings, error: settingsError } = await supabase
+      .from('system_settings')
+      .select(SETTINGS_COLUMNS)
+      .eq('device_id', deviceId)
+      .maybeSingle();
+
+    if (settingsError) throw settingsError;
+    if (settings) {
+      setAutomaticMode(settings.automatic_mode);
+      setThresholds(normalizeThresholds(settings.relay_thresholds));
+      setConnectivitySettings(normalizeConnectivity(settings));
+      setDataQuality(normalizeDataQuality(settings.data_quality));
+    }
+    setCachedAt(null);
+  }, [deviceId]);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      setIsLoading(true);
+      try {
+        await fetchSettings();
+        setError(null);
+      } catch (err) {
+        console.error('Settings load error:', err);
+        // Offline: fall back to the settings saved on the last visit
+        const snapshot = await loadSnapshot(`settings:${deviceId}`).catch(() => null);
+        if (snapshot) {
+          setDevice(snapshot.value.device);
+          setAutomaticMode(snapshot.value.automaticMode);
+          setThresholds(snapshot.value.thresholds);
+          setConnectivitySettings(snapshot.value.connectivitySettings);
+          setDataQuality(normalizeDataQuality(snapshot.value.dataQuality));
+          setCachedAt(snapshot.saved_at);
+          setError(null);
+        } else {
+          setError('Failed to load initial data. Please refresh the page.');
+        }
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, [deviceId, fetchSettings]);
+
+  useEffect(() => {
+    if (isLoading || cachedAt) return;
+    saveSnapshot(`settings:${deviceId}`, { device, automaticMode, thresholds, connectivitySettings, dataQuality })
+      .catch(err => console.error('Error caching device settings:', err));
+  }, [deviceId, isLoading, cachedAt, device, automaticMode, thresholds, connectivitySettings, dataQuality]);
+
+  const backfillSettings = useCallback(() => {
+    fetchSettings().catch(err => console.error('Realtime backfill error:', err));
+  }, [fetchSettings]);
+
+  const realtimeStatus = useRealtimeChannel(
+    `system-settings-${deviceId}`,
+    channel => channel
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'system_settings',
+          filter: `device_id=eq.${deviceId}`,
+        },
+        (payload) => {
+          if (payload.new.automatic_mode !== knownMode.current) {
+            knownMode.current = payload.new.automatic_mode;
+            toast.info(`The system was switched to ${payload.new.automatic_mode ? 'automatic' : 'manual'} mode`);
+          }
+          setAutomaticMode(payload.new.automatic_mode);
+          if (payload.new.relay_thresholds !== undefined) {
+            setThresholds(normalizeThresholds(payload.new.relay_thresholds));
+          }
+          if (payload.new.data_quality !== undefined) {
+            setDataQuality(normalizeDataQuality(payload.new.data_quality));
+          }
+          setConnectivitySettings(normalizeConnectivity(payload.new));
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'devices',
+          filter: `device_id=eq.${deviceId}`,
+        },
+        (payload) => {
+          setDevice(payload.new);
+        }
+      ),
+    backfillSettings
+  );
+
+  // While offline, the mode control acts on the mode the queued command will leave behind
+  const queuedMode = queuedCommands.find(command => command.type === 'mode');
+  const plannedAutomaticMode = !isOnline && queuedMode ? queuedMode.automatic_mode : automaticMode;
+
+  const setSystemMode = async (newMode, reason) => {
+    // Our own change comes back over realtime too; it needs no announcement
+    knownMode.current = newMode;
+    try {
+      await sendModeChange(deviceId, newMode, reason);
+    } catch (err) {
+      knownMode.current = automaticMode;
+      throw err;
+    }
+    setAutomaticMode(newMode);
+  };
+
+  const toggleMode = async () => {
+    if (!canControl) return;
+    const newMode = !(isOnline ? automaticMode : plannedAutomaticMode);
+    const modeLabel = newMode ? 'automatic' : 'manual';
+    const confirmation = await confirm(newMode ? {
+      title: 'Switch to automatic mode?',
+      message: 'The device switches the relays itself again, following the thresholds and schedules.',
+      confirmLabel: 'Switch to automatic',
+    } : {
+      title: 'Switch to manual mode?',
+      message: 'The relays stop following the thresholds and only change when an operator switches them.',
+      confirmLabel: 'Switch to manual',
+      requireReason: true,
+    });
+    if (!confirmation) return;
+
+    if (!isOnline) {
+      const queued = await queueCommand({ type: 'mode', automatic_mode: newMode, reason: confirmation.reason }, automaticMode);
+      if (queued) toast.info(`Switch to ${modeLabel} mode queued until the connection returns`);
+      else toast.error('Failed to queue the mode change');
+      return;
+    }
+    try {
+      await setSystemMode(newMode, confirmation.reason);
+      toast.success(`Switched to ${modeLabel} mode`);
+    } catch (err) {
+      console.error('Error changing mode:', err);
+      toast.error('Failed to change system mode');
+    }
+  };
+
+  const saveThresholds = async (newThresholds, newConnectivity, newDataQuality) => {
+    try {
+      const { error: updateError } = await supabase
+        .from('system_settings')
+        .update({ relay_thresholds: newThresholds, ...newConnectivity, data_quality: newDataQuality })
+        .eq('device_id', deviceId);
+
+      if (updateError) throw updateError;
+
+      setThresholds(normalizeThresholds(newThresholds));
+      setConnectivitySettings(normalizeConnectivity(newConnectivity));
+      setDataQuality(normalizeDataQuality(newDataQuality));
+      return true;
+    } catch (err) {
+      console.error('Error saving thresholds:', err);
+      return false;
+    }
+  };
+
+  return {
+    device,
+    automaticMode,
+    thresholds,
+    connectivitySettings,
+    dataQuality,
+    queuedMode,
+    plannedAutomaticMode,
+    isLoading,
+    error,
+    cachedAt,
+    realtimeStatus,
+    setSystemMode,
+    toggleMode,
+    saveThresholds,
+  };
+};
+
+export default useSystemSettings;
@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor, act, screen, fireEvent } from '@testing-library/react';
+import { supabase } from '../supabaseClient';
+import { ControlProviders } from '../test/providers';
+import { confirmAction } from '../test/confirm';
+import useSystemSettings from './useSystemSettings';
+
+vi.mock('../supabaseClient', async () => {
+  const { createSupabaseMock } = await import('../test/supabaseMock');
+  return { supabase: createSupabaseMock() };
+});
+
+vi.mock('../offline/db', () => ({
+  loadSnapshot: vi.fn(async () => null),
+  saveSnapshot: vi.fn(async () => {}),
+}));
+
+const DEVICE = { device_id: 'esp32-1', name: 'Cold room' };
+const SETTINGS = {
+  automatic_mode: true,
+  relay_thresholds: { 1: { min: 2, max: 6, hysteresis: 0.5 } },
+  degraded_after_seconds: 60,
+  offline_after_seconds: 300,
+  data_quality: null,
+};
+
+const control = (overrides = {}) => ({
+  canControl: true,
+  isOnline: true,
+  queuedCommands: [],
+  queueCommand: vi.fn(async () => true),
+  ...overrides,
+});
+
+const renderSettings = async (overrides) => {
+  const view = renderHook(() => useSystemSettings('esp32-1', control(overrides)), { wrapper: ControlProviders });
+  await waitFor(() => expect(view.result.current.isLoading).toBe(false));
+  return view;
+};
+
+describe('useSystemSettings', () => {
+  beforeEach(() => {
+    supabase.reset();
+    supabase.respond('devices', { data: DEVICE, error: null });
+    supabase.respond('system_settings', { data: SETTINGS, error: null });
+  });
+
+  it('loads the device and its settings', async () => {
+    const { result } = await renderSettings();
+
+    expect(result.current.device).toEqual(DEVICE);
+    expect(result.current.automaticMode).toBe(true);
+    expect(result.current.thresholds).toEqual({ 1: { min: 2, max: 6, hysteresis: 0.5 } });
+    expect(result.current.connectivitySettings).toEqual({ degraded_after_seconds: 60, offline_after_seconds: 300 });
+    expect(result.current.error).toBeNull();
+  });
+
+  it('has no bands for relays the settings do not cover', async () => {
+    supabase.respond('system_settings', {
+      data: { ...SETTINGS, relay_thresholds: { 7: { min: 1, max: 5 }, 8: { max: 9 } } },
+      error: null,
+    });
+    const { result } = await renderSettings();
+
+    expect(result.current.thresholds).toEqual({ 7: { min: 1, max: 5, hysteresis: 0 } });
+  });
+
+  describe('toggleMode', () => {
+    it('records the reason and writes the opposite mode to system_settings', async () => {
+      const { result } = await renderSettings();
+      supabase.respond('system_settings', { data: null, error: null });
+
+      await confirmAction(() => result.current.toggleMode(), 'Switch to manual', 'Defrosting by hand');
+
+      expect(supabase.callsTo('mode_changes', 'insert')).toEqual([
+        [['insert', { device_id: 'esp32-1', automatic_mode: false, reason: 'Defrosting by hand' }]],
+      ]);
+      expect(supabase.callsTo('system_settings', 'update')).toEqual([
+        [['update', { automatic_mode: false }], ['eq', 'device_id', 'esp32-1']],
+      ]);
+      expect(result.current.automaticMode).toBe(false);
+      expect(screen.getByRole('status')).toHaveTextContent('Switched to manual mode');
+    });
+
+    it('needs a reason to switch to manual', async () => {
+      const { result } = await renderSettings();
+
+      let toggled;
+      act(() => {
+        toggled = result.current.toggleMode();
+      });
+
+      expect(screen.getByRole('alertdialog')).toHaveAccessibleName('Switch to manual mode?');
+      expect(screen.getByRole('button', { name: 'Switch to manual' })).toBeDisabled();
+      fireEvent.keyDown(screen.getByRole('alertdialog'), { key: 'Escape' });
+      await act(() => toggled);
+
+      expect(screen.queryByRole('alertdialog')).toBeNull();
+      expect(supabase.callsTo('system_settings', 'update')).toEqual([]);
+    });
+
+    it('keeps the mode and tells the user when the update fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const { result } = await renderSettings();
+      supabase.respond('system_settings', { data: null, error: { message: 'permission denied' } });
+
+      await confirmAction(() => result.current.toggleMode(), 'Switch to manual', 'Testing');
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Failed to change system mode');
+      expect(result.current.automaticMode).toBe(true);
+    });
+
+    it('queues the change while offline instead of sending it', async () => {
+      const queueCommand = vi.fn(async () => true);
+      const { result } = await renderSettings({ isOnline: false, queueCommand });
+
+      await confirmAction(() => result.current.toggleMode(), 'Switch to manual', 'Compressor service');
+
+      expect(queueCommand).toHaveBeenCalledWith({ type: 'mode', automatic_mode: false, reason: 'Compressor service' }, true);
+      expect(supabase.callsTo('system_settings', 'update')).toEqual([]);
+    });
+
+    it('toggles from the queued mode while offline', async () => {
+      const queueCommand = vi.fn(async () => true);
+      const { result } = await renderSettings({
+        isOnline: false,
+        queuedCommands: [{ id: 'q1', type: 'mode', automatic_mode: false }],
+        queueCommand,
+      });
+
+      expect(result.current.plannedAutomaticMode).toBe(false);
+      await confirmAction(() => result.current.toggleMode(), 'Switch to automatic');
+
+      expect(queueCommand).toHaveBeenCalledWith({ type: 'mode', automatic_mode: true, reason: null }, true);
+    });
+
+    it('does nothing for viewers', async () => {
+      const { result } = await renderSettings({ canControl: false });
+
+      await act(() => result.current.toggleMode());
+
+      expect(supabase.callsTo('system_settings', 'update')).toEqual([]);
+      expect(result.current.automaticMode).toBe(true);
+    });
+  });
+
+  describe('realtime', () => {
+    it('applies system_settings updates', async () => {
+      const { result } = await renderSettings();
+
+      act(() => supabase.emit('system_settings', {
+        eventType: 'UPDATE',
+        new: {
+          ...SETTINGS,
+          automatic_mode: false,
+          relay_thresholds: { 1: { min: 3, max: 7, hysteresis: 1 } },
+          offline_after_seconds: 600,
+        },
+      }));
+
+      expect(result.current.automaticMode).toBe(false);
+      expect(result.current.thresholds).toEqual({ 1: { min: 3, max: 7, hysteresis: 1 } });
+      expect(result.current.connectivitySettings.offline_after_seconds).toBe(600);
+      expect(screen.getByRole('status')).toHaveTextContent('The system was switched to manual mode');
+    });
+
+    it('keeps the thresholds when an update does not carry them', async () => {
+      const { result } = await renderSettings();
+
+      act(() => supabase.emit('system_settings', {
+        eventType: 'UPDATE',
+        new: { device_id: 'esp32-1', automatic_mode: false },
+      }));
+
+      expect(result.current.automaticMode).toBe(false);
+      expect(result.current.thresholds).toEqual({ 1: { min: 2, max: 6, hysteresis: 0.5 } });
+    });
+
+    it('replaces the device row on devices updates', async () => {
+      const { result } = await renderSettings();
+      const updated = { ...DEVICE, name: 'Freezer', last_seen_at: '2025-01-01T00:00:00Z' };
+
+      act(() => supabase.emit('devices', { eventType: 'UPDATE', new: updated }));
+
+      expect(result.current.device).toEqual(updated);
+    });
+  });
+});
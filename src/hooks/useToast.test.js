@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, act, screen } from '@testing-library/react';
+import ToastProvider from '../toast/ToastProvider';
+import useToast from './useToast';
+
+describe('useToast', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('hides a toast once its time is up', () => {
+    vi.useFakeTimers();
+    const { result } = renderHook(() => useToast(), { wrapper: ToastProvider });
+
+    act(() => {
+      result.current.success('Saved');
+    });
+    expect(screen.getByRole('status')).toHaveTextContent('Saved');
+
+    act(() => vi.advanceTimersByTime(5000));
+    expect(screen.queryByRole('status')).toBeNull();
+  });
+
+  it('drops the oldest toasts past the limit along with their timers', () => {
+    vi.useFakeTimers();
+    const { result } = renderHook(() => useToast(), { wrapper: ToastProvider });
+
+    act(() => {
+      ['One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven'].forEach(message => result.current.info(message));
+    });
+
+    expect(screen.getAllByRole('status').map(toast => toast.textContent)).toEqual(['Three', 'Four', 'Five', 'Six', 'Seven']);
+    expect(vi.getTimerCount()).toBe(5);
+  });
+});
@@ -0,0 +1,10 @@
+import { useContext } from 'react';
+import { UnitContext } from '../units/UnitContext';
+
+const useUnits = () => {
+  const context = useContext(UnitContext);
+  if (!context) throw new Error('useUnits must be used inside a UnitProvider');
+  return context;
+};
+
+export default useUnits;
@@ -0,0 +1,33 @@
+import { useEffect } from 'react';
+
+// Keeps the screen on while `enabled`, using the Screen Wake Lock API where
+// the browser supports it. The browser drops the lock whenever the page is
+// hidden, so it is requested again each time the page becomes visible.
+const useWakeLock = (enabled) => {
+  useEffect(() => {
+    if (!enabled || !('wakeLock' in navigator)) return undefined;
+    let lock = null;
+    let released = false;
+
+    const requestLock = async () => {
+      if (document.visibilityState !== 'visible') return;
+      try {
+        const next = await navigator.wakeLock.request('screen');
+        if (released) next.release();
+        else lock = next;
+      } catch (err) {
+        console.error('Wake lock error:', err);
+      }
+    };
+
+    requestLock();
+    document.addEventListener('visibilitychange', requestLock);
+    return () => {
+      released = true;
+      document.removeEventListener('visibilitychange', requestLock);
+      if (lock) lock.release().catch(() => {});
+    };
+  }, [enabled]);
+};
+
+export default useWakeLock;
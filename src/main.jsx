@@ -1,14 +1,54 @@
 // File: src/main.jsx
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import App from './App';
+import FleetOverview from './components/FleetOverview';
+import KioskView from './components/KioskView';
+import AuthProvider from './auth/AuthProvider';
+import ThemeProvider from './theme/ThemeProvider';
+import UnitProvider from './units/UnitProvider';
+import ToastProvider from './toast/ToastProvider';
+import ConfirmProvider from './confirm/ConfirmProvider';
+import RequireAuth from './components/RequireAuth';
+import ConfigErrorScreen from './components/ConfigErrorScreen';
+import { loadConfig } from './config';
+import { initSupabase } from './supabaseClient';
+import { registerServiceWorker } from './offline/registerServiceWorker';
 import './index.css';
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
-
+const root = ReactDOM.createRoot(document.getElementById('root'));
 
+registerServiceWorker();
 
+loadConfig()
+  .then(initSupabase)
+  .then(() => {
+    root.render(
+      <React.StrictMode>
+        <ThemeProvider>
+          <UnitProvider>
+            <ToastProvider>
+              <ConfirmProvider>
+                <AuthProvider>
+                  <RequireAuth>
+                    <BrowserRouter>
+                      <Routes>
+                        <Route path="/" element={<FleetOverview />} />
+                        <Route path="/devices/:deviceId" element={<App />} />
+                        <Route path="/kiosk" element={<KioskView />} />
+                      </Routes>
+                    </BrowserRouter>
+                  </RequireAuth>
+                </AuthProvider>
+              </ConfirmProvider>
+            </ToastProvider>
+          </UnitProvider>
+        </ThemeProvider>
+      </React.StrictMode>
+    );
+  })
+  .catch(error => {
+    console.error('Startup error:', error);
+    root.render(<ConfigErrorScreen error={error} />);
+  });
@@ -0,0 +1,53 @@
+// IndexedDB storage that lets the dashboard render and take commands without
+// a connection: `snapshots` holds the last known state per device (readings
+// window, relays, settings) and `commands` the relay/mode changes made while
+// offline, waiting to be confirmed and replayed.
+
+const DB_NAME = 'esp32-dashboard';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('snapshots', { keyPath: 'key' });
+      db.createObjectStore('commands', { keyPath: 'id' }).createIndex('device_id', 'device_id');
+    };
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (name, mode, action) => {
+  const db = await openDb();
+  return promisify(action(db.transaction(name, mode).objectStore(name)));
+};
+
+// The last saved value under `key` with its `saved_at` time, or null
+export const loadSnapshot = async (key) => (await withStore('snapshots', 'readonly', store => store.get(key))) ?? null;
+
+export const saveSnapshot = (key, value) => withStore('snapshots', 'readwrite', store => (
+  store.put({ key, value, saved_at: new Date().toISOString() })
+));
+
+// Queued commands for a device, oldest first
+export const listCommands = async (deviceId) => {
+  const commands = await withStore('commands', 'readonly', store => store.index('device_id').getAll(deviceId));
+  return commands.sort((a, b) => new Date(a.queued_at) - new Date(b.queued_at));
+};
+
+export const putCommand = (command) => withStore('commands', 'readwrite', store => store.put(command));
+
+export const deleteCommand = (id) => withStore('commands', 'readwrite', store => store.delete(id));
@@ -0,0 +1,11 @@
+// Installs public/sw.js, which caches the app shell for offline use. Only in
+// production builds: in dev the cache would serve stale modules.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.error('Service worker registration failed:', err);
+    });
+  });
+};
@@ -0,0 +1,247 @@
+import { resolveSchedule } from '../utils/schedules';
+
+// Simulated ESP32 fleet: seeds history and then behaves like the firmware,
+// posting readings, heartbeats and relay changes, following schedules and
+// acknowledging commands.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const HISTORY_DAYS = 30;
+const TICK_MS = 10 * 1000;
+const ACK_DELAY_MS = 1500;
+
+export const SIMULATOR_USER = { id: '00000000-0000-0000-0000-000000000000', email: 'simulator@localhost' };
+
+// Each probe follows a daily cycle plus slow drift (AR(1)) and sensor noise
+const DEVICES = [
+  {
+    device_id: 'esp32-1',
+    name: 'Cold Room A',
+    location: 'Warehouse 1',
+    relays: [{ id: 1 }, { id: 2 }],
+    thresholds: {
+      1: { min: 0, max: 10, hysteresis: 0.5 },
+      2: { min: 11, max: 20, hysteresis: 0.5 },
+    },
+    // A loose probe connection and a network outage earlier today
+    sensors: [{
+      sensor_id: null,
+      base: 9,
+      amplitude: 5,
+      phase: 0,
+      spikes: [{ hoursAgo: 3, value: -242.02 }, { hoursAgo: 14, value: 24.6 }],
+      outages: [{ hoursAgo: 7, minutes: 45 }],
+    }],
+    schedules: [
+      { name: 'Morning boost', kind: 'weekly', target: 'relay', relay_id: 2, state: true, days: [1, 2, 3, 4, 5], start_time: '06:00:00', end_time: '08:00:00' },
+      { name: 'Night manual', kind: 'weekly', target: 'mode', relay_id: null, state: false, days: [0, 1, 2, 3, 4, 5, 6], start_time: '22:00:00', end_time: '06:00:00' },
+    ],
+  },
+  {
+    device_id: 'esp32-2',
+    name: 'Cold Room B',
+    location: 'Warehouse 2',
+    relays: [
+      { id: 3, name: 'Compressor 1', sensor_id: 'probe-1' },
+      { id: 4, name: 'Compressor 2', sensor_id: 'probe-1' },
+      { id: 5, name: 'Evaporator fan', sensor_id: 'probe-2' },
+      { id: 6, name: 'Defrost heater', sensor_id: 'probe-2' },
+    ],
+    thresholds: {
+      3: { min: 4, max: 8, hysteresis: 0.3 },
+      4: { min: 6, max: 10, hysteresis: 0.3 },
+      5: { min: 2, max: 9, hysteresis: 0.5 },
+      6: { min: -5, max: 0, hysteresis: 0.5 },
+    },
+    sensors: [
+      { sensor_id: 'probe-1', base: 5, amplitude: 2, phase: 1 },
+      { sensor_id: 'probe-2', base: 3, amplitude: 2.5, phase: 1.4 },
+    ],
+    schedules: [
+      { name: 'Defrost', kind: 'weekly', target: 'relay', relay_id: 6, state: true, days: [0, 1, 2, 3, 4, 5, 6], start_time: '02:00:00', end_time: '02:30:00' },
+    ],
+    // probe-2 was swapped ten days ago; the new one reads slightly high
+    calibrations: [
+      { sensor_id: 'probe-2', kind: 'offset', offset_value: 0.2, daysAgo: 30, note: 'Commissioning check' },
+      { sensor_id: 'probe-2', kind: 'offset', offset_value: -0.6, daysAgo: 10, note: 'Probe replaced' },
+    ],
+  },
+  {
+    // Went silent a few hours ago, to show offline handling
+    device_id: 'esp32-3',
+    name: 'Freezer Dock',
+    location: 'Loading bay',
+    silentSinceMs: 3 * 60 * MINUTE_MS,
+    relays: [{ id: 7 }, { id: 8 }],
+    thresholds: {
+      7: { min: -22, max: -16, hysteresis: 1 },
+      8: { min: -15, max: -10, hysteresis: 1 },
+    },
+    sensors: [{ sensor_id: null, base: -18, amplitude: 1.5, phase: 2 }],
+  },
+];
+
+const gaussian = () => {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const createProbe = (sensor) => {
+  let drift = 0;
+  return (time) => {
+    drift = 0.98 * drift + 0.08 * gaussian();
+    const cycle = Math.sin((2 * Math.PI * (time % DAY_MS)) / DAY_MS + sensor.phase);
+    const value = sensor.base + sensor.amplitude * cycle + drift + 0.05 * gaussian();
+    return Math.round(value * 100) / 100;
+  };
+};
+
+// Relay follows its band with hysteresis, like the firmware's automatic mode
+const automaticState = (current, temperature, band) => {
+  if (!band || temperature === undefined) return current;
+  if (temperature >= band.min && temperature <= band.max) return true;
+  if (temperature < band.min - band.hysteresis || temperature > band.max + band.hysteresis) return false;
+  return current;
+};
+
+export const startSimulator = (store) => {
+  const now = Date.now();
+  const probes = {};
+
+  store.insert('user_roles', [{ user_id: SIMULATOR_USER.id, role: 'admin' }], { silent: true });
+
+  DEVICES.forEach(device => {
+    const lastReading = now - (device.silentSinceMs || 0);
+    store.insert('devices', [{
+      device_id: device.device_id,
+      name: device.name,
+      location: device.location,
+      timezone: 'UTC',
+      last_seen_at: new Date(lastReading).toISOString(),
+    }], { silent: true });
+    store.insert('system_settings', [{
+      device_id: device.device_id,
+      automatic_mode: true,
+      relay_thresholds: device.thresholds,
+      degraded_after_seconds: 120,
+      offline_after_seconds: 600,
+    }], { silent: true });
+    store.insert('relay_schedules', (device.schedules || []).map(schedule => ({
+      ...schedule,
+      device_id: device.device_id,
+      starts_at: null,
+      expires_at: null,
+      enabled: true,
+    })), { silent: true });
+    store.insert('sensor_calibrations', (device.calibrations || []).map(({ daysAgo, ...calibration }) => ({
+      ...calibration,
+      device_id: device.device_id,
+      effective_from: new Date(now - daysAgo * DAY_MS).toISOString(),
+    })), { silent: true });
+
+    // History: 5-minute samples, then 1-minute samples for the last day
+    const history = {};
+    device.sensors.forEach(sensor => {
+      const probe = createProbe(sensor);
+      probes[`${device.device_id}/${sensor.sensor_id}`] = probe;
+      const rows = [];
+      for (let time = now - HISTORY_DAYS * DAY_MS; time <= lastReading;) {
+        const temperature = probe(time);
+        const spike = (sensor.spikes || []).find(item => Math.abs(time - (now - item.hoursAgo * HOUR_MS)) < MINUTE_MS / 2);
+        const isOutage = (sensor.outages || []).some(item => {
+          const start = now - item.hoursAgo * HOUR_MS;
+          return time >= start && time < start + item.minutes * MINUTE_MS;
+        });
+        if (!isOutage) {
+          rows.push({
+            device_id: device.device_id,
+            sensor_id: sensor.sensor_id,
+            temperature: spike ? spike.value : temperature,
+            inserted_at: new Date(time).toISOString(),
+          });
+        }
+        time += now - time > DAY_MS ? 5 * MINUTE_MS : MINUTE_MS;
+      }
+      history[sensor.sensor_id] = rows;
+      store.insert('sensor_data', rows, { silent: true });
+    });
+
+    // Replay automatic mode over the history so the relays have past switches too
+    const relays = device.relays.map(relay => {
+      const readings = history[relay.sensor_id ?? device.sensors[0].sensor_id];
+      let state = false;
+      const events = [];
+      readings.forEach(reading => {
+        const next = automaticState(state, reading.temperature, device.thresholds[relay.id]);
+        if (next === state && events.length > 0) return;
+        state = next;
+        events.push({ relay_id: relay.id, device_id: device.device_id, state, changed_at: reading.inserted_at });
+      });
+      store.insert('relay_events', events, { silent: true });
+      return { name: null, sensor_id: null, ...relay, state, actual_state: state };
+    });
+    store.insert('relay_control', relays.map(relay => ({ ...relay, device_id: device.device_id })), { silent: true });
+  });
+
+  // Acknowledge relay commands after a short delay
+  store.subscribe(payload => {
+    if (payload.table !== 'relay_control' || payload.eventType !== 'UPDATE') return;
+    const relay = payload.new;
+    if (!relay.command_id || relay.command_id === payload.old.command_id) return;
+
+    const device = DEVICES.find(item => item.device_id === relay.device_id);
+    if (device?.silentSinceMs) return;
+
+    setTimeout(() => {
+      store.update('relay_control', row => row.id === relay.id, {
+        actual_state: relay.desired_state,
+        acked_command_id: relay.command_id,
+        acked_at: new Date().toISOString(),
+      });
+    }, ACK_DELAY_MS);
+  });
+
+  const tick = () => {
+    const time = Date.now();
+
+    DEVICES.filter(device => !device.silentSinceMs).forEach(device => {
+      const latest = {};
+      device.sensors.forEach(sensor => {
+        const [reading] = store.insert('sensor_data', [{
+          device_id: device.device_id,
+          sensor_id: sensor.sensor_id,
+          temperature: probes[`${device.device_id}/${sensor.sensor_id}`](time),
+        }]);
+        latest[sensor.sensor_id ?? 'default'] = reading.temperature;
+      });
+
+      store.update('devices', row => row.device_id === device.device_id, {
+        last_seen_at: new Date(time).toISOString(),
+      });
+
+      // Schedules win over the mode setting and the thresholds
+      const schedules = store.rows('relay_schedules').filter(row => row.device_id === device.device_id);
+      const settings = store.rows('system_settings').find(row => row.device_id === device.device_id);
+      const timeZone = store.rows('devices').find(row => row.device_id === device.device_id)?.timezone;
+      const modeProgram = resolveSchedule(schedules, 'mode', null, time, timeZone);
+      const automaticMode = modeProgram ? modeProgram.state : settings?.automatic_mode;
+
+      store.rows('relay_control')
+        .filter(relay => relay.device_id === device.device_id)
+        .forEach(relay => {
+          const program = resolveSchedule(schedules, 'relay', relay.id, time, timeZone);
+          const temperature = latest[relay.sensor_id ?? device.sensors[0].sensor_id ?? 'default'];
+          let next = relay.state;
+          if (program) next = program.state;
+          else if (automaticMode) next = automaticState(relay.state, temperature, settings.relay_thresholds?.[relay.id]);
+          if (next !== relay.state) {
+            store.update('relay_control', row => row.id === relay.id, { actual_state: next });
+          }
+        });
+    });
+  };
+
+  return setInterval(tick, TICK_MS);
+};
@@ -0,0 +1,132 @@
+// Offline stand-in for the supabase-js client, selected with
+// `backend: 'simulator'` in the config. It covers the parts of the client the
+// dashboard uses: from(), rpc(), realtime channels and auth.
+
+import { createStore } from './store';
+import { createQuery } from './query';
+import { startSimulator, SIMULATOR_USER } from './devices';
+
+// Mirrors public.sensor_data_buckets() from 0005_sensor_data_buckets.sql
+const sensorDataBuckets = (store, { p_device_id, p_start, p_end, p_bucket_seconds }) => {
+  const bucketMs = p_bucket_seconds * 1000;
+  const buckets = new Map();
+
+  store.rows('sensor_data')
+    .filter(row => row.device_id === p_device_id && row.inserted_at >= p_start && row.inserted_at <= p_end)
+    .forEach(row => {
+      const bucketStart = Math.floor(new Date(row.inserted_at).getTime() / bucketMs) * bucketMs;
+      const key = `${bucketStart}/${row.sensor_id}`;
+      const bucket = buckets.get(key) || {
+        bucket_start: new Date(bucketStart).toISOString(),
+        sensor_id: row.sensor_id,
+        min_temperature: row.temperature,
+        max_temperature: row.temperature,
+        sum: 0,
+        sample_count: 0,
+      };
+      bucket.min_temperature = Math.min(bucket.min_temperature, row.temperature);
+      bucket.max_temperature = Math.max(bucket.max_temperature, row.temperature);
+      bucket.sum += row.temperature;
+      bucket.sample_count += 1;
+      buckets.set(key, bucket);
+    });
+
+  return [...buckets.values()]
+    .map(({ sum, ...bucket }) => ({ ...bucket, avg_temperature: sum / bucket.sample_count }))
+    .sort((a, b) => a.bucket_start.localeCompare(b.bucket_start) || String(a.sensor_id).localeCompare(String(b.sensor_id)));
+};
+
+const RPCS = {
+  sensor_data_buckets: sensorDataBuckets,
+};
+
+// Supports the `column=eq.value` filters the dashboard subscribes with
+const matchesBinding = (binding, payload) => {
+  if (binding.event !== '*' && binding.event !== payload.eventType) return false;
+  if (binding.table && binding.table !== payload.table) return false;
+  if (!binding.filter) return true;
+
+  const [column, condition] = binding.filter.split('=');
+  const value = condition.replace(/^eq\./, '');
+  const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+  return String(row[column]) === value;
+};
+
+const createChannel = (store, name) => {
+  const bindings = [];
+  let unsubscribe = null;
+
+  const channel = {
+    topic: `realtime:${name}`,
+    on(type, binding, callback) {
+      if (type === 'postgres_changes') bindings.push({ ...binding, callback });
+      return channel;
+    },
+    subscribe(callback) {
+      unsubscribe = store.subscribe(payload => {
+        bindings
+          .filter(binding => matchesBinding(binding, payload))
+          .forEach(binding => binding.callback(payload));
+      });
+      setTimeout(() => callback?.('SUBSCRIBED'), 0);
+      return channel;
+    },
+    unsubscribe() {
+      unsubscribe?.();
+      unsubscribe = null;
+      return Promise.resolve('ok');
+    },
+  };
+
+  return channel;
+};
+
+// Any credentials sign in as the simulator user, who is seeded as an admin
+const createAuth = () => {
+  const listeners = new Set();
+  let session = {
+    access_token: 'simulator',
+    user: SIMULATOR_USER,
+  };
+
+  const setSession = (event, next) => {
+    session = next;
+    listeners.forEach(listener => listener(event, session));
+  };
+
+  return {
+    getSession: async () => ({ data: { session }, error: null }),
+    onAuthStateChange(callback) {
+      listeners.add(callback);
+      return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } };
+    },
+    signInWithPassword: async () => {
+      setSession('SIGNED_IN', { access_token: 'simulator', user: SIMULATOR_USER });
+      return { data: { session }, error: null };
+    },
+    signInWithOtp: async () => {
+      setSession('SIGNED_IN', { access_token: 'simulator', user: SIMULATOR_USER });
+      return { data: {}, error: null };
+    },
+    signOut: async () => {
+      setSession('SIGNED_OUT', null);
+      return { error: null };
+    },
+  };
+};
+
+export const createSimulatorClient = () => {
+  const store = createStore();
+  startSimulator(store);
+
+  return {
+    from: (table) => createQuery(store, table),
+    rpc: async (name, params) => {
+      if (!RPCS[name]) return { data: null, error: { message: `function public.${name} does not exist` } };
+      return { data: RPCS[name](store, params), error: null };
+    },
+    channel: (name) => createChannel(store, name),
+    removeChannel: (channel) => channel.unsubscribe(),
+    auth: createAuth(),
+  };
+};
@@ -0,0 +1,188 @@
+// Thenable query builder implementing the subset of the PostgREST builder
+// from supabase-js that the dashboard uses.
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+// Filters written as PostgREST strings, e.g. `temperature.lt.0` inside .or()
+const OPERATORS = {
+  eq: (a, b) => compare(a, b) === 0,
+  neq: (a, b) => compare(a, b) !== 0,
+  gt: (a, b) => compare(a, b) > 0,
+  gte: (a, b) => compare(a, b) >= 0,
+  lt: (a, b) => compare(a, b) < 0,
+  lte: (a, b) => compare(a, b) <= 0,
+};
+
+const parseFilter = (expression) => {
+  const [column, operator, ...rest] = expression.split('.');
+  const raw = rest.join('.');
+  const value = raw !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+  if (!OPERATORS[operator]) throw new Error(`unsupported operator "${operator}" in simulator`);
+  return row => OPERATORS[operator](row[column], value);
+};
+
+const pickColumns = (row, columns) => {
+  if (!columns || columns.trim() === '*') return { ...row };
+  return Object.fromEntries(
+    columns.split(',').map(column => column.trim()).filter(Boolean).map(column => [column, row[column]])
+  );
+};
+
+export const createQuery = (store, table) => {
+  const filters = [];
+  const orders = [];
+  let columns = '*';
+  let operation = { type: 'select' };
+  let returning = false;
+  let limitCount = null;
+  let rangeBounds = null;
+  let cardinality = null;
+  let countRows = false;
+  let headOnly = false;
+
+  const run = () => {
+    try {
+      const matches = (row) => filters.every(filter => filter(row));
+      let rows;
+
+      switch (operation.type) {
+        case 'insert':
+          rows = store.insert(table, operation.rows);
+          break;
+        case 'upsert':
+          rows = store.upsert(table, operation.rows);
+          break;
+        case 'update':
+          rows = store.update(table, matches, operation.patch);
+          break;
+        case 'delete':
+          rows = store.remove(table, matches);
+          break;
+        default:
+          rows = store.rows(table).filter(matches);
+      }
+
+      if (operation.type !== 'select' && !returning) return { data: null, error: null };
+
+      rows = [...rows];
+      rows.sort((a, b) => {
+        for (const { column, ascending } of orders) {
+          const result = compare(a[column], b[column]);
+          if (result !== 0) return ascending ? result : -result;
+        }
+        return 0;
+      });
+      const count = countRows ? rows.length : null;
+      if (headOnly) return { data: null, count, error: null };
+      if (rangeBounds) rows = rows.slice(rangeBounds[0], rangeBounds[1] + 1);
+      if (limitCount !== null) rows = rows.slice(0, limitCount);
+      rows = rows.map(row => pickColumns(row, columns));
+
+      if (cardinality) {
+        if (rows.length > 1 || (rows.length === 0 && cardinality === 'single')) {
+          return {
+            data: null,
+            error: { code: 'PGRST116', message: `JSON object requested, ${rows.length} rows returned` },
+          };
+        }
+        return { data: rows[0] ?? null, error: null };
+      }
+      return { data: rows, count, error: null };
+    } catch (err) {
+      return { data: null, error: { message: err.message } };
+    }
+  };
+
+  const builder = {
+    select(selected = '*', { count, head = false } = {}) {
+      columns = selected;
+      countRows = Boolean(count);
+      headOnly = head;
+      if (operation.type !== 'select') returning = true;
+      return builder;
+    },
+    insert(rows) {
+      operation = { type: 'insert', rows: Array.isArray(rows) ? rows : [rows] };
+      return builder;
+    },
+    upsert(rows) {
+      operation = { type: 'upsert', rows: Array.isArray(rows) ? rows : [rows] };
+      return builder;
+    },
+    update(patch) {
+      operation = { type: 'update', patch };
+      return builder;
+    },
+    delete() {
+      operation = { type: 'delete' };
+      return builder;
+    },
+    eq(column, value) {
+      filters.push(row => row[column] === value);
+      return builder;
+    },
+    neq(column, value) {
+      filters.push(row => row[column] !== value);
+      return builder;
+    },
+    gt(column, value) {
+      filters.push(row => compare(row[column], value) > 0);
+      return builder;
+    },
+    gte(column, value) {
+      filters.push(row => compare(row[column], value) >= 0);
+      return builder;
+    },
+    lt(column, value) {
+      filters.push(row => compare(row[column], value) < 0);
+      return builder;
+    },
+    lte(column, value) {
+      filters.push(row => compare(row[column], value) <= 0);
+      return builder;
+    },
+    in(column, values) {
+      filters.push(row => values.includes(row[column]));
+      return builder;
+    },
+    or(expressions) {
+      const alternatives = expressions.split(',').map(parseFilter);
+      filters.push(row => alternatives.some(filter => filter(row)));
+      return builder;
+    },
+    is(column, value) {
+      filters.push(row => (row[column] ?? null) === value);
+      return builder;
+    },
+    order(column, { ascending = true } = {}) {
+      orders.push({ column, ascending });
+      return builder;
+    },
+    limit(count) {
+      limitCount = count;
+      return builder;
+    },
+    range(from, to) {
+      rangeBounds = [from, to];
+      return builder;
+    },
+    single() {
+      cardinality = 'single';
+      return builder;
+    },
+    maybeSingle() {
+      cardinality = 'maybeSingle';
+      return builder;
+    },
+    then(resolve, reject) {
+      return Promise.resolve().then(run).then(resolve, reject);
+    },
+  };
+
+  return builder;
+};
@@ -0,0 +1,165 @@
+import { alarmEventApplies, restoreAlarmStates } from '../utils/alarms';
+import { SIMULATOR_USER } from './devices';
+
+// In-memory tables for the simulator backend. Mirrors the columns and the
+// database triggers from supabase/migrations so the dashboard cannot tell it
+// apart from the real project.
+
+const TABLES = [
+  'devices',
+  'sensor_data',
+  'relay_control',
+  'relay_events',
+  'relay_commands',
+  'mode_changes',
+  'system_settings',
+  'alarm_rules',
+  'alarms',
+  'relay_schedules',
+  'sensor_calibrations',
+  'user_roles',
+];
+
+// Primary key column per table; tables not listed use an auto-increment `id`
+const PRIMARY_KEYS = {
+  devices: 'device_id',
+  user_roles: 'user_id',
+};
+
+// Timestamp columns filled in on insert, like the `default now()` columns
+const TIMESTAMP_DEFAULTS = {
+  devices: 'created_at',
+  sensor_data: 'inserted_at',
+  relay_events: 'changed_at',
+  relay_commands: 'issued_at',
+  mode_changes: 'changed_at',
+  alarms: 'created_at',
+  relay_schedules: 'created_at',
+  sensor_calibrations: 'created_at',
+};
+
+// Columns set_command_issuer() and set_mode_change_issuer() fill in from the signed-in user
+const ISSUER_COLUMNS = {
+  relay_commands: 'issued_by',
+  mode_changes: 'changed_by',
+};
+
+export const primaryKey = (table) => PRIMARY_KEYS[table] || 'id';
+
+export const createStore = () => {
+  const tables = Object.fromEntries(TABLES.map(table => [table, []]));
+  const nextIds = Object.fromEntries(TABLES.map(table => [table, 1]));
+  const listeners = new Set();
+
+  const emit = (table, eventType, newRow, oldRow) => {
+    const payload = {
+      schema: 'public',
+      table,
+      eventType,
+      commit_timestamp: new Date().toISOString(),
+      new: newRow ? { ...newRow } : {},
+      old: oldRow ? { ...oldRow } : {},
+    };
+    listeners.forEach(listener => listener(payload));
+  };
+
+  const withDefaults = (table, row) => {
+    const complete = { ...row };
+    const key = primaryKey(table);
+    if (complete[key] === undefined) complete[key] = nextIds[table]++;
+    else if (typeof complete[key] === 'number') nextIds[table] = Math.max(nextIds[table], complete[key] + 1);
+
+    const timestampColumn = TIMESTAMP_DEFAULTS[table];
+    if (timestampColumn && !complete[timestampColumn]) complete[timestampColumn] = new Date().toISOString();
+    if (table === 'relay_commands' && !complete.outcome) complete.outcome = 'pending';
+    if (ISSUER_COLUMNS[table]) complete[ISSUER_COLUMNS[table]] = SIMULATOR_USER.email;
+    return complete;
+  };
+
+  // Emulates record_relay_event() and apply_relay_ack()
+  const relayTriggers = (oldRow, newRow) => {
+    if (oldRow && newRow.actual_state !== null && newRow.actual_state !== undefined &&
+        newRow.actual_state !== oldRow.actual_state) {
+      newRow.state = newRow.actual_state;
+    }
+
+    if (oldRow && newRow.acked_command_id && newRow.acked_command_id !== oldRow.acked_command_id) {
+      tables.relay_commands
+        .filter(command => command.id === newRow.acked_command_id && command.outcome === 'pending')
+        .forEach(command => {
+          update('relay_commands', row => row === command, {
+            outcome: newRow.actual_state === command.desired_state ? 'confirmed' : 'failed',
+            resolved_at: newRow.acked_at || new Date().toISOString(),
+          });
+        });
+    }
+
+    if (!oldRow || newRow.state !== oldRow.state) {
+      insert('relay_events', [{ relay_id: newRow.id, device_id: newRow.device_id, state: newRow.state }]);
+    }
+  };
+
+  // Emulates skip_duplicate_alarm_event()
+  const isDuplicateAlarmEvent = (event) => {
+    if (event.rule_id === null || event.rule_id === undefined) return false;
+    const logged = tables.alarms.filter(row => row.rule_id === event.rule_id);
+    return !alarmEventApplies(restoreAlarmStates(logged)[event.rule_id], event);
+  };
+
+  const insert = (table, rows, { silent = false } = {}) => {
+    const inserted = [];
+    rows.forEach(row => {
+      if (table === 'alarms' && isDuplicateAlarmEvent(row)) return;
+      const complete = withDefaults(table, row);
+      tables[table].push(complete);
+      inserted.push(complete);
+    });
+    inserted.forEach(row => {
+      if (table === 'relay_control') relayTriggers(null, row);
+      if (!silent) emit(table, 'INSERT', row, null);
+    });
+    return inserted;
+  };
+
+  const update = (table, predicate, patch) => {
+    const updated = [];
+    tables[table] = tables[table].map(row => {
+      if (!predicate(row)) return row;
+      const next = { ...row, ...patch };
+      if (table === 'relay_control') relayTriggers(row, next);
+      updated.push([row, next]);
+      return next;
+    });
+    updated.forEach(([oldRow, newRow]) => emit(table, 'UPDATE', newRow, oldRow));
+    return updated.map(([, newRow]) => newRow);
+  };
+
+  const upsert = (table, rows) => {
+    const key = primaryKey(table);
+    return rows.flatMap(row => {
+      const exists = row[key] !== undefined && tables[table].some(item => item[key] === row[key]);
+      return exists
+        ? update(table, item => item[key] === row[key], row)
+        : insert(table, [row]);
+    });
+  };
+
+  const remove = (table, predicate) => {
+    const removed = tables[table].filter(predicate);
+    tables[table] = tables[table].filter(row => !predicate(row));
+    removed.forEach(row => emit(table, 'DELETE', null, row));
+    return removed;
+  };
+
+  const rows = (table) => {
+    if (!tables[table]) throw new Error(`relation "public.${table}" does not exist`);
+    return tables[table];
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { rows, insert, update, upsert, remove, subscribe };
+};
@@ -0,0 +1,15 @@
+import { act, fireEvent, screen } from '@testing-library/react';
+
+// Start an action that asks for confirmation, answer the dialog by typing
+// `reason` (when given) and pressing `confirmLabel`, then wait for the action
+export const confirmAction = async (action, confirmLabel, reason) => {
+  let pending;
+  act(() => {
+    pending = action();
+  });
+  if (reason !== undefined) {
+    fireEvent.change(screen.getByLabelText(/Reason/), { target: { value: reason } });
+  }
+  fireEvent.click(screen.getByRole('button', { name: confirmLabel }));
+  await act(() => pending);
+};
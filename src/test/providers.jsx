@@ -0,0 +1,10 @@
+import React from 'react';
+import ToastProvider from '../toast/ToastProvider';
+import ConfirmProvider from '../confirm/ConfirmProvider';
+
+// The providers the control hooks need; pass as the `wrapper` of renderHook
+export const ControlProviders = ({ children }) => (
+  <ToastProvider>
+    <ConfirmProvider>{children}</ConfirmProvider>
+  </ToastProvider>
+);
@@ -0,0 +1,87 @@
+import { vi } from 'vitest';
+
+const QUERY_METHODS = ['select', 'insert', 'update', 'upsert', 'delete', 'eq', 'gte', 'lte', 'order', 'limit', 'single', 'maybeSingle'];
+
+// Stand-in for the supabase-js client. Queries resolve with the response set
+// per table through `respond`, and every query records its calls so tests can
+// check what was written. Channels report SUBSCRIBED straight away and keep
+// their postgres_changes handlers, so tests can push payloads with `emit` and
+// cut the connection with `drop`.
+export const createSupabaseMock = () => {
+  const responses = {};
+  const queries = [];
+  let channels = [];
+
+  const from = vi.fn((table) => {
+    const query = { table, calls: [] };
+    queries.push(query);
+    const builder = {
+      then: (resolve, reject) => Promise.resolve(responses[table] ?? { data: null, error: null }).then(resolve, reject),
+    };
+    QUERY_METHODS.forEach(method => {
+      builder[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return builder;
+      };
+    });
+    return builder;
+  });
+
+  const channel = vi.fn((name) => {
+    const current = {
+      name,
+      bindings: [],
+      onStatus: null,
+      on: (type, filter, handler) => {
+        current.bindings.push({ filter, handler });
+        return current;
+      },
+      subscribe: (callback) => {
+        current.onStatus = callback;
+        callback('SUBSCRIBED');
+        return current;
+      },
+    };
+    channels.push(current);
+    return current;
+  });
+
+  return {
+    from,
+    channel,
+    removeChannel: vi.fn((removed) => {
+      channels = channels.filter(item => item !== removed);
+    }),
+    auth: {
+      getSession: vi.fn(async () => ({ data: { session: { user: { email: 'operator@example.com' } } } })),
+    },
+
+    // `response` is what the query resolves with: { data, error }
+    respond: (table, response) => {
+      responses[table] = response;
+    },
+
+    // Calls made by the queries on `table` that include `method`
+    callsTo: (table, method) => queries
+      .filter(query => query.table === table && query.calls.some(([name]) => name === method))
+      .map(query => query.calls),
+
+    // Deliver a postgres_changes payload to the subscribed channels listening for it
+    emit: (table, payload) => {
+      channels.forEach(item => item.bindings
+        .filter(({ filter }) => filter.table === table && (filter.event === '*' || filter.event === payload.eventType))
+        .forEach(({ handler }) => handler(payload)));
+    },
+
+    // Report the subscribed channels named `name` as dropped, like a lost websocket
+    drop: (name) => {
+      channels.filter(item => item.name === name).forEach(item => item.onStatus?.('CHANNEL_ERROR'));
+    },
+
+    reset: () => {
+      Object.keys(responses).forEach(table => delete responses[table]);
+      queries.length = 0;
+      channels = [];
+    },
+  };
+};
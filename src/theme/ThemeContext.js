@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// { theme, darkMode, setTheme, cycleTheme, setThemeOverride, chartColors }
+export const ThemeContext = createContext(null);
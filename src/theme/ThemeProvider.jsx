@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useLayoutEffect } from 'react';
+import { ThemeContext } from './ThemeContext';
+import { PALETTE_SIZE } from '../utils/colors';
+
+// 'system' follows prefers-color-scheme; the choice is kept per browser.
+// index.html applies the stored theme before the app loads to avoid a flash.
+const THEMES = ['light', 'dark', 'system'];
+const STORAGE_KEY = 'theme';
+
+const darkQuery = () => window.matchMedia('(prefers-color-scheme: dark)');
+
+const readStoredTheme = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return THEMES.includes(stored) ? stored : 'system';
+};
+
+// Colours for Recharts, read from the CSS variables in index.css (the ones
+// tailwind.config.js maps to colour names) so the charts match the page.
+// `series` and `relays` are cycled by sensor/relay position with pickColor.
+const readChartColors = () => {
+  const styles = getComputedStyle(document.documentElement);
+  const token = (name) => `hsl(${styles.getPropertyValue(`--${name}`).trim()})`;
+  const positions = Array.from({ length: PALETTE_SIZE }, (_, index) => index + 1);
+  return {
+    grid: token('chart-grid'),
+    axis: token('chart-axis'),
+    text: token('chart-text'),
+    surface: token('chart-surface'),
+    highlight: token('chart-highlight'),
+    selection: token('chart-selection'),
+    marker: token('chart-marker'),
+    flag: token('chart-flag'),
+    series: positions.map(n => token(`chart-series-${n}`)),
+    relays: positions.map(n => ({ stroke: token(`chart-relay-${n}`), label: token(`chart-relay-label-${n}`) })),
+  };
+};
+
+const ThemeProvider = ({ children }) => {
+  const [theme, setThemeState] = useState(readStoredTheme);
+  const [override, setThemeOverride] = useState(null);
+  const [systemDark, setSystemDark] = useState(() => darkQuery().matches);
+  const [chartColors, setChartColors] = useState(null);
+
+  useEffect(() => {
+    const query = darkQuery();
+    const handleChange = (event) => setSystemDark(event.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const activeTheme = override || theme;
+  const darkMode = activeTheme === 'system' ? systemDark : activeTheme === 'dark';
+
+  // Before paint, so the class and the chart colours change together
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    root.classList.toggle('dark', darkMode);
+    root.style.colorScheme = darkMode ? 'dark' : 'light';
+    setChartColors(readChartColors());
+  }, [darkMode]);
+
+  const setTheme = (next) => {
+    localStorage.setItem(STORAGE_KEY, next);
+    setThemeState(next);
+  };
+
+  // light -> dark -> system -> light
+  const cycleTheme = () => setTheme(THEMES[(THEMES.indexOf(theme) + 1) % THEMES.length]);
+
+  const value = {
+    theme,
+    darkMode,
+    setTheme,
+    cycleTheme,
+    // Temporarily force a theme without storing it (the kiosk's ?theme=)
+    setThemeOverride,
+    chartColors: chartColors || readChartColors(),
+  };
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export default ThemeProvider;
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// { success, error, info, dismiss }
+export const ToastContext = createContext(null);
@@ -0,0 +1,81 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { CheckCircle, AlertTriangle, Info, X } from 'lucide-react';
+import { ToastContext } from './ToastContext';
+
+// Errors stay up longer, since they usually need acting on
+const DURATIONS = { success: 5000, info: 5000, error: 10000 };
+const MAX_TOASTS = 5;
+
+const STYLES = {
+  success: 'bg-green-50 border-green-200 text-green-800 dark:bg-green-900/80 dark:border-green-800 dark:text-green-200',
+  info: 'bg-white border-gray-200 text-gray-800 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100',
+  error: 'bg-red-50 border-red-200 text-red-800 dark:bg-red-900/80 dark:border-red-800 dark:text-red-200',
+};
+
+const ICONS = { success: CheckCircle, info: Info, error: AlertTriangle };
+
+// Non-blocking notifications in the corner of the page. Unlike alert() they
+// leave realtime updates and the rest of the page running. Errors are
+// announced assertively to screen readers, the rest politely.
+const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef(new Map());
+  const nextId = useRef(1);
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  const show = useCallback((type, message) => {
+    const id = nextId.current++;
+    setToasts(prev => [...prev, { id, type, message }]);
+    timers.current.set(id, setTimeout(() => dismiss(id), DURATIONS[type]));
+    // Past the limit the oldest go, timers included; `timers` is in display order
+    [...timers.current.keys()].slice(0, -MAX_TOASTS).forEach(dismiss);
+    return id;
+  }, [dismiss]);
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(timer => clearTimeout(timer));
+  }, []);
+
+  const value = useMemo(() => ({
+    success: (message) => show('success', message),
+    info: (message) => show('info', message),
+    error: (message) => show('error', message),
+    dismiss,
+  }), [show, dismiss]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <div className="fixed bottom-4 right-4 z-50 w-80 space-y-2">
+        {toasts.map(({ id, type, message }) => {
+          const Icon = ICONS[type];
+          return (
+            <div
+              key={id}
+              role={type === 'error' ? 'alert' : 'status'}
+              className={`flex items-start p-3 rounded-lg border shadow-md text-sm ${STYLES[type]}`}
+            >
+              <Icon size={18} className="mt-0.5 flex-shrink-0" />
+              <p className="ml-2 flex-1">{message}</p>
+              <button
+                onClick={() => dismiss(id)}
+                aria-label="Dismiss notification"
+                className="ml-2 p-0.5 rounded opacity-70 hover:opacity-100"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </ToastContext.Provider>
+  );
+};
+
+export default ToastProvider;
@@ -0,0 +1,5 @@
+import { createContext } from 'react';
+
+// { unit, setUnit, symbol, toDisplay, fromDisplay, deltaToDisplay, deltaFromDisplay,
+//   formatTemperature, formatDelta }
+export const UnitContext = createContext(null);
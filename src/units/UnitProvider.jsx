@@ -0,0 +1,44 @@
+import React, { useState, useMemo } from 'react';
+import { UnitContext } from './UnitContext';
+import {
+  UNITS,
+  DEFAULT_UNIT,
+  unitSymbol,
+  convertTemperature,
+  toCelsius,
+  convertDelta,
+  deltaToCelsius,
+  formatTemperature,
+  formatDelta,
+} from '../utils/units';
+
+// The display unit is kept per browser, like the theme
+const STORAGE_KEY = 'temperature-unit';
+
+const readStoredUnit = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return UNITS[stored] ? stored : DEFAULT_UNIT;
+};
+
+const UnitProvider = ({ children }) => {
+  const [unit, setUnitState] = useState(readStoredUnit);
+
+  const value = useMemo(() => ({
+    unit,
+    setUnit: (next) => {
+      localStorage.setItem(STORAGE_KEY, next);
+      setUnitState(next);
+    },
+    symbol: unitSymbol(unit),
+    toDisplay: (celsius) => convertTemperature(celsius, unit),
+    fromDisplay: (value) => toCelsius(value, unit),
+    deltaToDisplay: (celsius) => convertDelta(celsius, unit),
+    deltaFromDisplay: (value) => deltaToCelsius(value, unit),
+    formatTemperature: (celsius, digits) => formatTemperature(celsius, unit, digits),
+    formatDelta: (celsius, digits) => formatDelta(celsius, unit, digits),
+  }), [unit]);
+
+  return <UnitContext.Provider value={value}>{children}</UnitContext.Provider>;
+};
+
+export default UnitProvider;
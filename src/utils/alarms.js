@@ -0,0 +1,196 @@
+import { getSensorId, sensorLabel } from './sensors';
+import {
+  DEFAULT_UNIT,
+  unitSymbol,
+  convertTemperature,
+  toCelsius,
+  convertDelta,
+  deltaToCelsius,
+  roundConverted,
+  formatTemperature,
+  formatDelta,
+} from './units';
+
+// `limit` is what the threshold measures: a temperature, a temperature change
+// per minute or minutes. Thresholds are stored in °C (°C/min).
+export const ALARM_TYPES = {
+  high: { label: 'High limit', limit: 'temperature' },
+  low: { label: 'Low limit', limit: 'temperature' },
+  rate: { label: 'Rate of change', limit: 'rate' },
+  silent: { label: 'Sensor silent', limit: 'minutes' },
+};
+
+export const limitUnit = (type, unit) => {
+  const { limit } = ALARM_TYPES[type];
+  if (limit === 'minutes') return 'min';
+  return limit === 'rate' ? `${unitSymbol(unit)}/min` : unitSymbol(unit);
+};
+
+// A stored threshold in the display unit, and back
+export const limitToDisplay = (type, threshold, unit) => {
+  const { limit } = ALARM_TYPES[type];
+  if (limit === 'minutes') return threshold;
+  return roundConverted(limit === 'rate' ? convertDelta(threshold, unit) : convertTemperature(threshold, unit));
+};
+
+export const limitFromDisplay = (type, value, unit) => {
+  const { limit } = ALARM_TYPES[type];
+  if (limit === 'minutes') return value;
+  return roundConverted(limit === 'rate' ? deltaToCelsius(value, unit) : toCelsius(value, unit));
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const rowsForRule = (rule, rows) =>
+  rule.sensor_id ? rows.filter(row => getSensorId(row) === rule.sensor_id) : rows;
+
+const describeSensor = (rule) => (rule.sensor_id ? sensorLabel(rule.sensor_id) : 'Temperature');
+
+// What a rule's reading `value` means, with temperatures in `unit`. Messages
+// are logged in °C; screens build them again in the display unit.
+export const describeAlarm = (rule, value, unit = DEFAULT_UNIT) => {
+  const sensor = describeSensor(rule);
+  const hasValue = value !== null && value !== undefined;
+  switch (rule.type) {
+    case 'high':
+    case 'low':
+      return hasValue
+        ? `${sensor} ${formatTemperature(value, unit)} is ${rule.type === 'high' ? 'above' : 'below'} ${formatTemperature(rule.threshold, unit)}`
+        : null;
+    case 'rate':
+      return hasValue
+        ? `${sensor} changing at ${formatDelta(value, unit, 2)}/min (limit ${formatDelta(rule.threshold, unit, 2)}/min)`
+        : null;
+    case 'silent':
+      return hasValue ? `${sensor} silent for ${Math.floor(value)} min` : `${sensor} has no readings`;
+    default:
+      return null;
+  }
+};
+
+// Check a rule against readings sorted by inserted_at ascending.
+// Returns { violating, value, message }.
+export const evaluateRule = (rule, rows, now = Date.now()) => {
+  const readings = rowsForRule(rule, rows);
+  const latest = readings[readings.length - 1];
+
+  switch (rule.type) {
+    case 'high':
+    case 'low': {
+      if (!latest) return { violating: false, value: null, message: null };
+      const value = latest.temperature;
+      const violating = rule.type === 'high' ? value > rule.threshold : value < rule.threshold;
+      return { violating, value, message: describeAlarm(rule, value) };
+    }
+    case 'rate': {
+      if (!latest) return { violating: false, value: null, message: null };
+      const latestTime = new Date(latest.inserted_at).getTime();
+      // Compare against the newest reading at least a minute older than the latest
+      const reference = [...readings].reverse().find(row =>
+        latestTime - new Date(row.inserted_at).getTime() >= MINUTE_MS
+      );
+      if (!reference) return { violating: false, value: null, message: null };
+
+      const minutes = (latestTime - new Date(reference.inserted_at).getTime()) / MINUTE_MS;
+      const value = (latest.temperature - reference.temperature) / minutes;
+      return { violating: Math.abs(value) > rule.threshold, value, message: describeAlarm(rule, value) };
+    }
+    case 'silent': {
+      const value = latest ? (now - new Date(latest.inserted_at).getTime()) / MINUTE_MS : null;
+      return {
+        violating: value === null || value > rule.threshold,
+        value,
+        message: describeAlarm(rule, value),
+      };
+    }
+    default:
+      return { violating: false, value: null, message: null };
+  }
+};
+
+// Alarm lifecycle per rule:
+//   normal -> pending (violating, waiting out delay_seconds) -> active (raised)
+//   active -> acknowledged (operator ack) -> normal once the condition clears
+//   active -> cleared (condition gone but not yet acknowledged) -> normal on ack
+// Returns the next state and the event to log ('raised' | 'cleared' | null).
+export const stepAlarm = (state, evaluation, rule, now = Date.now()) => {
+  const current = state || { status: 'normal' };
+
+  if (evaluation.violating) {
+    switch (current.status) {
+      case 'normal':
+        if ((rule.delay_seconds || 0) > 0) {
+          return { state: { status: 'pending', since: now }, event: null };
+        }
+        return { state: { status: 'active', since: now, ...evaluation }, event: 'raised' };
+      case 'pending':
+        if (now - current.since >= rule.delay_seconds * 1000) {
+          return { state: { status: 'active', since: now, ...evaluation }, event: 'raised' };
+        }
+        return { state: current, event: null };
+      case 'cleared':
+        // Came back before anyone acknowledged it
+        return { state: { ...current, status: 'active', ...evaluation }, event: 'raised' };
+      default:
+        return { state: { ...current, ...evaluation }, event: null };
+    }
+  }
+
+  switch (current.status) {
+    case 'pending':
+      return { state: { status: 'normal' }, event: null };
+    case 'active':
+      return { state: { ...current, status: 'cleared' }, event: 'cleared' };
+    case 'acknowledged':
+      return { state: { status: 'normal' }, event: 'cleared' };
+    default:
+      return { state: current, event: null };
+  }
+};
+
+// Operator acknowledgement. Returns the next state.
+export const acknowledgeAlarm = (state) => {
+  if (!state) return state;
+  if (state.status === 'active') return { ...state, status: 'acknowledged' };
+  if (state.status === 'cleared') return { status: 'normal' };
+  return state;
+};
+
+export const isAlarmVisible = (state) =>
+  Boolean(state) && ['active', 'acknowledged', 'cleared'].includes(state.status);
+
+// Which states a logged event applies to. Every open dashboard logs the
+// transitions it sees, so the same event can arrive more than once; one that
+// does not fit the current state is a repeat. The skip_duplicate_alarm_event()
+// trigger (0015_alarm_event_dedup.sql) applies the same table in the database.
+const EVENT_APPLIES_TO = {
+  raised: ['normal', 'pending', 'cleared'],
+  acknowledged: ['active', 'cleared'],
+  cleared: ['active', 'acknowledged'],
+};
+
+export const alarmEventApplies = (state, event) =>
+  Boolean(EVENT_APPLIES_TO[event.event]?.includes((state || { status: 'normal' }).status));
+
+// Apply one logged event to a rule's state. Returns the next state.
+export const applyAlarmEvent = (state, event) => {
+  if (!alarmEventApplies(state, event)) return state;
+  switch (event.event) {
+    case 'raised':
+      return { status: 'active', since: new Date(event.created_at).getTime(), value: event.value, message: event.message };
+    case 'acknowledged':
+      return acknowledgeAlarm(state);
+    default:
+      return state.status === 'acknowledged' ? { status: 'normal' } : { ...state, status: 'cleared' };
+  }
+};
+
+// Rebuild alarm states from the logged events, oldest first
+export const restoreAlarmStates = (events) => {
+  const states = {};
+  events.forEach(event => {
+    if (event.rule_id === null || event.rule_id === undefined) return;
+    states[event.rule_id] = applyAlarmEvent(states[event.rule_id], event);
+  });
+  return states;
+};
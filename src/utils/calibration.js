@@ -0,0 +1,59 @@
+import { DEFAULT_SENSOR_ID, getSensorId } from './sensors';
+
+export const CALIBRATION_KINDS = {
+  offset: 'Offset',
+  two_point: 'Two-point',
+};
+
+const calibrationSensorId = (calibration) => calibration.sensor_id ?? DEFAULT_SENSOR_ID;
+
+// Newest first per sensor, so the first match for a time is the one in effect
+const sortCalibrations = (calibrations) => [...calibrations].sort(
+  (a, b) => new Date(b.effective_from) - new Date(a.effective_from)
+);
+
+export const applyCalibration = (raw, calibration) => {
+  if (!calibration || raw === null || raw === undefined) return raw;
+  if (calibration.kind === 'offset') return raw + calibration.offset_value;
+  const gain = (calibration.reference_high - calibration.reference_low) / (calibration.raw_high - calibration.raw_low);
+  return calibration.reference_low + (raw - calibration.raw_low) * gain;
+};
+
+// Rows with `temperature` (and a bucket's min/max) corrected, keeping the
+// stored value in `raw_temperature`. Rows are returned as-is when no
+// calibration applies, so callers can compare by identity.
+export const calibrateRows = (rows, calibrations) => {
+  if (calibrations.length === 0) return rows;
+  const sorted = sortCalibrations(calibrations);
+
+  return rows.map(row => {
+    const sensorId = getSensorId(row);
+    const at = new Date(row.inserted_at).getTime();
+    const calibration = sorted.find(item => (
+      calibrationSensorId(item) === sensorId && new Date(item.effective_from).getTime() <= at
+    ));
+    if (!calibration) return row;
+
+    return {
+      ...row,
+      raw_temperature: row.temperature,
+      temperature: applyCalibration(row.temperature, calibration),
+      ...(row.min_temperature !== undefined && {
+        min_temperature: applyCalibration(row.min_temperature, calibration),
+        max_temperature: applyCalibration(row.max_temperature, calibration),
+      }),
+    };
+  });
+};
+
+// Returns an error message, or null when the calibration can be saved
+export const validateCalibration = (calibration) => {
+  if (!calibration.effective_from) return 'Choose when the calibration takes effect';
+  if (calibration.kind === 'offset') {
+    return Number.isFinite(calibration.offset_value) ? null : 'Enter the offset';
+  }
+  const points = ['raw_low', 'reference_low', 'raw_high', 'reference_high'].map(key => calibration[key]);
+  if (!points.every(Number.isFinite)) return 'Enter both raw and reference values for the two points';
+  if (calibration.raw_low === calibration.raw_high) return 'The two raw values must differ';
+  return null;
+};
@@ -0,0 +1,40 @@
+// Colour sets cycled by relay/sensor position. Class names are written out in
+// full so Tailwind picks them up when scanning the source. Charts take the
+// same colours as values from ThemeProvider's chartColors (the --chart-series-N
+// and --chart-relay-N variables in index.css).
+export const PALETTE_SIZE = 6;
+
+export const RELAY_COLORS = [
+  {
+    swatch: 'bg-chart-relay-1',
+    text: 'text-green-600 dark:text-green-400',
+    badge: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  },
+  {
+    swatch: 'bg-chart-relay-2',
+    text: 'text-blue-600 dark:text-blue-400',
+    badge: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+  },
+  {
+    swatch: 'bg-chart-relay-3',
+    text: 'text-amber-600 dark:text-amber-400',
+    badge: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300',
+  },
+  {
+    swatch: 'bg-chart-relay-4',
+    text: 'text-violet-600 dark:text-violet-400',
+    badge: 'bg-violet-100 text-violet-800 dark:bg-violet-900 dark:text-violet-300',
+  },
+  {
+    swatch: 'bg-chart-relay-5',
+    text: 'text-red-600 dark:text-red-400',
+    badge: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  },
+  {
+    swatch: 'bg-chart-relay-6',
+    text: 'text-cyan-600 dark:text-cyan-400',
+    badge: 'bg-cyan-100 text-cyan-800 dark:bg-cyan-900 dark:text-cyan-300',
+  },
+];
+
+export const pickColor = (palette, index) => palette[index % palette.length];
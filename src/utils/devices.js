@@ -0,0 +1,39 @@
+// Seconds since the device was last heard from before it is shown as degraded/offline.
+// Overridden per device by system_settings.degraded_after_seconds/offline_after_seconds.
+export const DEFAULT_CONNECTIVITY = {
+  degraded_after_seconds: 120,
+  offline_after_seconds: 600,
+};
+
+export const deviceLabel = (device) => device.name || device.device_id;
+
+export const devicePath = (deviceId) => `/devices/${encodeURIComponent(deviceId)}`;
+
+export const normalizeConnectivity = (settings) => ({
+  degraded_after_seconds: settings?.degraded_after_seconds ?? DEFAULT_CONNECTIVITY.degraded_after_seconds,
+  offline_after_seconds: settings?.offline_after_seconds ?? DEFAULT_CONNECTIVITY.offline_after_seconds,
+});
+
+// Newest of the given timestamps (newest reading, heartbeat), or null
+export const getLastSeen = (...timestamps) => {
+  const times = timestamps.filter(Boolean).map(timestamp => new Date(timestamp).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+// 'online' | 'degraded' | 'offline'
+export const getConnectivity = (lastSeen, thresholds = DEFAULT_CONNECTIVITY, now = Date.now()) => {
+  if (!lastSeen) return 'offline';
+  const ageSeconds = (now - new Date(lastSeen).getTime()) / 1000;
+  if (ageSeconds > thresholds.offline_after_seconds) return 'offline';
+  if (ageSeconds > thresholds.degraded_after_seconds) return 'degraded';
+  return 'online';
+};
+
+export const formatAge = (lastSeen, now = Date.now()) => {
+  if (!lastSeen) return 'never';
+  const seconds = Math.max(0, Math.round((now - new Date(lastSeen).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+};
@@ -0,0 +1,30 @@
+// Wall-display settings come from the URL so each room's screen can be
+// bookmarked, e.g. /kiosk?devices=esp32-1,esp32-2&rotate=20&by=sensor
+//   devices  comma-separated device ids, in display order (default: every device)
+//   rotate   seconds per slide, 0 to stay on the first one (default 15)
+//   by       'device' shows all of a device's sensors per slide, 'sensor' one sensor per slide
+//   theme    'dark' (default), 'light' or 'system'
+//   wake     0 to let the screen sleep
+export const DEFAULT_ROTATE_SECONDS = 15;
+
+export const parseKioskParams = (searchParams) => {
+  const rotate = Number(searchParams.get('rotate'));
+
+  return {
+    deviceIds: (searchParams.get('devices') || '').split(',').map(id => id.trim()).filter(Boolean),
+    rotateSeconds: searchParams.has('rotate') && Number.isFinite(rotate) && rotate >= 0
+      ? rotate
+      : DEFAULT_ROTATE_SECONDS,
+    rotateBy: searchParams.get('by') === 'sensor' ? 'sensor' : 'device',
+    theme: ['light', 'system'].includes(searchParams.get('theme')) ? searchParams.get('theme') : 'dark',
+    keepAwake: searchParams.get('wake') !== '0',
+  };
+};
+
+// The slides to rotate through: one per device, or one per sensor of each
+// device (a device with no readings yet still gets a slide)
+export const kioskSlides = (deviceIds, sensorIdsByDevice, rotateBy) => deviceIds.flatMap(deviceId => {
+  const sensorIds = sensorIdsByDevice[deviceId] || [];
+  if (rotateBy !== 'sensor' || sensorIds.length === 0) return [{ deviceId, sensorId: null }];
+  return sensorIds.map(sensorId => ({ deviceId, sensorId }));
+});
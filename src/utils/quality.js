@@ -0,0 +1,137 @@
+import { getSensorId } from './sensors';
+import { median, typicalInterval } from './statistics';
+
+// Data-quality settings, kept per device in system_settings.data_quality.
+// Values are in °C and apply to calibrated readings. A disconnected PT100
+// reads far outside any real temperature (about -242°C open, 850°C shorted).
+//   min, max       plausibility limits; readings outside are flagged
+//   spike_delta    a reading this far from the median of its neighbours is a spike
+//   gap_intervals  gaps longer than this many sampling intervals break the chart line
+export const DEFAULT_DATA_QUALITY = {
+  min: -50,
+  max: 150,
+  spike_delta: 5,
+  gap_intervals: 5,
+};
+
+// Readings on each side compared against when looking for spikes
+const SPIKE_NEIGHBOURS = 2;
+// Readings averaged by the moving-average overlay
+export const SMOOTHING_WINDOW = 10;
+
+export const QUALITY_FLAGS = {
+  implausible: 'Implausible',
+  spike: 'Spike',
+};
+
+const toNumber = (value, fallback) => {
+  const parsed = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Parse a data_quality value from Supabase; missing fields use the defaults
+export const normalizeDataQuality = (raw) => {
+  if (!raw || typeof raw !== 'object') return DEFAULT_DATA_QUALITY;
+  return Object.fromEntries(
+    Object.entries(DEFAULT_DATA_QUALITY).map(([key, fallback]) => [key, toNumber(raw[key], fallback)])
+  );
+};
+
+export const validateDataQuality = (quality) => {
+  if (!Object.values(quality).every(Number.isFinite)) return 'Data quality settings must be numbers';
+  if (quality.min >= quality.max) return 'Plausible minimum must be lower than the maximum';
+  if (quality.spike_delta <= 0) return 'Spike threshold must be positive';
+  if (quality.gap_intervals < 2) return 'Gaps must span at least 2 sampling intervals';
+  return null;
+};
+
+// Row indexes per sensor, in the order of `rows`
+const indexesBySensor = (rows) => {
+  const groups = {};
+  rows.forEach((row, index) => {
+    const sensorId = getSensorId(row);
+    (groups[sensorId] = groups[sensorId] || []).push(index);
+  });
+  return Object.values(groups);
+};
+
+// A down-sampled bucket is implausible if any reading in it was
+export const isPlausible = (row, quality) => [row.temperature, row.min_temperature, row.max_temperature]
+  .every(value => value === undefined || (value >= quality.min && value <= quality.max));
+
+// Rows (sorted ascending) with bad readings marked in `quality_flag` rather
+// than removed. Unflagged rows are returned as-is.
+export const flagReadings = (rows, quality) => {
+  const flags = new Array(rows.length).fill(null);
+
+  indexesBySensor(rows).forEach(indexes => {
+    const plausible = indexes.filter(index => {
+      if (isPlausible(rows[index], quality)) return true;
+      flags[index] = 'implausible';
+      return false;
+    });
+
+    plausible.forEach((index, position) => {
+      const neighbours = [
+        ...plausible.slice(Math.max(position - SPIKE_NEIGHBOURS, 0), position),
+        ...plausible.slice(position + 1, position + 1 + SPIKE_NEIGHBOURS),
+      ].map(neighbour => rows[neighbour].temperature);
+      if (neighbours.length < 2) return;
+      if (Math.abs(rows[index].temperature - median(neighbours)) > quality.spike_delta) flags[index] = 'spike';
+    });
+  });
+
+  return rows.map((row, index) => (flags[index] ? { ...row, quality_flag: flags[index] } : row));
+};
+
+// Rows (sorted ascending) numbered into `segment`s per sensor: a new segment
+// starts after a gap of more than `gapIntervals` typical sampling intervals,
+// so the chart draws a break instead of a slope across it
+export const splitAtGaps = (rows, gapIntervals) => {
+  const segments = new Array(rows.length).fill(0);
+
+  indexesBySensor(rows).forEach(indexes => {
+    const times = indexes.map(index => new Date(rows[index].inserted_at).getTime());
+    const maxGap = typicalInterval(times) * gapIntervals;
+    let segment = 0;
+    indexes.forEach((index, position) => {
+      if (position > 0 && times[position] - times[position - 1] > maxGap) segment += 1;
+      segments[index] = segment;
+    });
+  });
+
+  return rows.map((row, index) => (segments[index] ? { ...row, segment: segments[index] } : row));
+};
+
+// Number of segments per sensor id in rows from splitAtGaps
+export const countSegments = (rows) => {
+  const counts = {};
+  rows.forEach(row => {
+    const sensorId = getSensorId(row);
+    counts[sensorId] = Math.max(counts[sensorId] || 0, (row.segment || 0) + 1);
+  });
+  return counts;
+};
+
+// Trailing average of the last `window` unflagged readings of the same sensor
+// and segment, in `moving_average`; flagged readings get none
+export const movingAverage = (rows, window = SMOOTHING_WINDOW) => {
+  const result = [...rows];
+
+  indexesBySensor(rows).forEach(indexes => {
+    let recent = [];
+    let segment = 0;
+    indexes.forEach(index => {
+      const row = rows[index];
+      if ((row.segment || 0) !== segment) {
+        segment = row.segment || 0;
+        recent = [];
+      }
+      if (row.quality_flag) return;
+      recent = [...recent.slice(-(window - 1)), row.temperature];
+      result[index] = { ...row, moving_average: recent.reduce((sum, value) => sum + value, 0) / recent.length };
+    });
+  });
+
+  return result;
+};
@@ -0,0 +1,61 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Window of sensor_data kept in memory and updated by realtime/polling
+export const LIVE_WINDOW_MS = 24 * HOUR_MS;
+
+// Target number of points per series when a range is down-sampled
+const TARGET_BUCKETS = 500;
+const BUCKET_STEPS_SECONDS = [60, 300, 600, 900, 1800, 3600, 7200, 10800, 21600, 43200, 86400];
+
+export const RANGE_PRESETS = [
+  { key: '1h', label: '1h', ms: HOUR_MS },
+  { key: '6h', label: '6h', ms: 6 * HOUR_MS },
+  { key: '24h', label: '24h', ms: 24 * HOUR_MS },
+  { key: '7d', label: '7d', ms: 7 * 24 * HOUR_MS },
+  { key: '30d', label: '30d', ms: 30 * 24 * HOUR_MS },
+];
+
+export const liveWindowStart = (now = Date.now()) => new Date(now - LIVE_WINDOW_MS);
+
+// A range that ends now and starts inside the live window is served from memory
+export const isLiveRange = (startDate, endDate, now = Date.now()) =>
+  !endDate && (!startDate || startDate >= liveWindowStart(now));
+
+// Ranges longer than the live window are fetched as min/avg/max buckets.
+// Returns null when raw rows should be fetched instead.
+export const chooseBucketSeconds = (startDate, endDate, now = Date.now()) => {
+  const end = endDate ? endDate.getTime() : now;
+  const spanMs = end - startDate.getTime();
+  if (spanMs <= LIVE_WINDOW_MS) return null;
+
+  const ideal = spanMs / 1000 / TARGET_BUCKETS;
+  return BUCKET_STEPS_SECONDS.find(step => step >= ideal) || BUCKET_STEPS_SECONDS[BUCKET_STEPS_SECONDS.length - 1];
+};
+
+export const formatBucket = (seconds) =>
+  seconds >= 3600 ? `${seconds / 3600}h` : `${seconds / 60}min`;
+
+// The same time span immediately before [start, end]
+export const previousPeriod = (start, end) => {
+  const spanMs = end.getTime() - start.getTime();
+  return { start: new Date(start.getTime() - spanMs), end: new Date(start.getTime()), offsetMs: spanMs };
+};
+
+// Axis labels: times within a day, dates once the range spans several days
+export const formatAxisTick = (time, spanMs) => {
+  const date = new Date(time);
+  if (spanMs > 3 * LIVE_WINDOW_MS) return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  if (spanMs > LIVE_WINDOW_MS) {
+    return date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// datetime-local inputs work in the browser's local time without a zone suffix
+export const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+};
+
+export const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
@@ -0,0 +1,19 @@
+// Connection states for a realtime channel, from healthiest to worst.
+// `reconnecting` is a resubscribe in progress; after a few failed attempts the
+// dashboard is effectively running on its polling fallback, shown as `polling`.
+export const REALTIME_STATUSES = ['live', 'connecting', 'reconnecting', 'polling', 'offline'];
+
+const FIRST_RETRY_MS = 1000;
+const MAX_RETRY_MS = 60 * 1000;
+export const POLLING_AFTER_ATTEMPTS = 3;
+
+// Delay before resubscribe attempt `attempt` (1-based): 1s, 2s, 4s, ... up to a minute
+export const resubscribeDelay = (attempt) => Math.min(FIRST_RETRY_MS * 2 ** (attempt - 1), MAX_RETRY_MS);
+
+// States the subscribe callback reports when the channel is no longer receiving changes
+export const isChannelDown = (state) => ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'].includes(state);
+
+// The worst of several channels' statuses, for a single indicator
+export const combineRealtimeStatus = (...statuses) => statuses.reduce((worst, status) => (
+  REALTIME_STATUSES.indexOf(status) > REALTIME_STATUSES.indexOf(worst) ? status : worst
+), 'live');
@@ -0,0 +1,70 @@
+// Relay on/off history from relay_events rows ({ relay_id, state, changed_at }).
+
+// Split [start, end] into intervals of constant state for one relay. Events
+// must be sorted ascending and may include one change before start (see
+// fetchRelayEvents). Time before the first known state has state null.
+export const buildRelayIntervals = (events, relayId, start, end) => {
+  const rangeStart = start.getTime();
+  const rangeEnd = end.getTime();
+  const intervals = [];
+  let state = null;
+  let from = rangeStart;
+
+  events
+    .filter(event => Number(event.relay_id) === Number(relayId))
+    .forEach(event => {
+      const time = new Date(event.changed_at).getTime();
+      if (time <= rangeStart) {
+        state = event.state;
+        return;
+      }
+      if (time > rangeEnd || event.state === state) return;
+      intervals.push({ start: from, end: time, state });
+      state = event.state;
+      from = time;
+    });
+
+  intervals.push({ start: from, end: rangeEnd, state });
+  return intervals.filter(interval => interval.end > interval.start);
+};
+
+// Drop events before `since`, keeping each relay's last change before it,
+// which gives its state at `since`. Events must be sorted ascending.
+export const trimRelayEvents = (events, since) => {
+  const start = since.getTime();
+  const lastBefore = new Map();
+  events.forEach(event => {
+    if (new Date(event.changed_at).getTime() < start) lastBefore.set(Number(event.relay_id), event);
+  });
+  const kept = new Set(lastBefore.values());
+  return events.filter(event => kept.has(event) || new Date(event.changed_at).getTime() >= start);
+};
+
+// Total on-time, duty cycle (share of the time with a known state) and
+// number of switches within the range
+export const relayStats = (intervals) => {
+  let onMs = 0;
+  let knownMs = 0;
+  let switches = 0;
+
+  intervals.forEach((interval, index) => {
+    const length = interval.end - interval.start;
+    if (interval.state !== null) knownMs += length;
+    if (interval.state) onMs += length;
+    if (index > 0 && intervals[index - 1].state !== null) switches += 1;
+  });
+
+  return {
+    onMs,
+    dutyCycle: knownMs > 0 ? onMs / knownMs : null,
+    switches,
+  };
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
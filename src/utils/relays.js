@@ -0,0 +1,52 @@
+// Helpers for the relay_control rows. Each row is { id, state, name?, sensor_id? }
+// plus the command/ack columns: desired_state, command_id, commanded_at,
+// actual_state, acked_command_id, acked_at. `state` mirrors actual_state.
+
+// How long the device has to acknowledge a command before it counts as failed
+export const COMMAND_TIMEOUT_MS = 30 * 1000;
+
+export const relayLabel = (relay) => relay.name || `Relay ${relay.id}`;
+
+export const sortRelays = (relays) => [...relays].sort((a, b) => a.id - b.id);
+
+// Insert or update a relay row, e.g. from a realtime payload
+export const mergeRelay = (relays, row) => {
+  const exists = relays.some(relay => relay.id === row.id);
+  const merged = exists
+    ? relays.map(relay => (relay.id === row.id ? { ...relay, ...row } : relay))
+    : [...relays, row];
+  return sortRelays(merged);
+};
+
+// null (no command issued) | 'pending' | 'confirmed' | 'failed'
+export const getCommandStatus = (relay, now = Date.now()) => {
+  if (!relay.command_id) return null;
+  if (relay.acked_command_id === relay.command_id) {
+    return relay.actual_state === relay.desired_state ? 'confirmed' : 'failed';
+  }
+  const age = now - new Date(relay.commanded_at).getTime();
+  return age > COMMAND_TIMEOUT_MS ? 'failed' : 'pending';
+};
+
+export const relayStateKey = (relayId) => `relay_${relayId}`;
+
+// Annotate each reading with the state every relay was in at that moment.
+// Both rows and events must be sorted ascending; unknown states are null.
+export const attachRelayStates = (rows, events, relays) => {
+  const states = Object.fromEntries(relays.map(relay => [relay.id, null]));
+  let next = 0;
+
+  return rows.map(row => {
+    const time = new Date(row.inserted_at).getTime();
+    while (next < events.length && new Date(events[next].changed_at).getTime() <= time) {
+      states[events[next].relay_id] = events[next].state;
+      next += 1;
+    }
+
+    const annotated = { ...row };
+    relays.forEach(relay => {
+      annotated[relayStateKey(relay.id)] = states[relay.id];
+    });
+    return annotated;
+  });
+};
@@ -0,0 +1,12 @@
+// Roles are stored in public.user_roles and enforced by row-level security;
+// the UI only hides what the database would reject anyway.
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const PERMISSIONS = {
+  // Switch relays and mode, acknowledge alarms
+  control: ['operator', 'admin'],
+  // Edit thresholds, alarm rules and the device registry
+  configure: ['admin'],
+};
+
+export const can = (role, action) => Boolean(role) && (PERMISSIONS[action] || []).includes(role);
@@ -0,0 +1,144 @@
+import { relayLabel } from './relays';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+
+// Postgres returns `time` columns as "HH:MM:SS"; inputs give "HH:MM"
+export const parseTime = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const formatTime = (value) => String(value).slice(0, 5);
+
+// Weekday (0 = Sunday) and minute of the day at `time` in the device's timezone
+export const zonedClock = (time, timeZone = DEFAULT_TIMEZONE) => {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+  } catch {
+    return zonedClock(time, DEFAULT_TIMEZONE);
+  }
+
+  const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+// Weekly windows as [start, end) minute-of-week pairs; end may pass the end of the week
+const weeklyWindows = (schedule) => {
+  const start = parseTime(schedule.start_time);
+  const end = parseTime(schedule.end_time);
+  const length = end > start ? end - start : end + DAY_MINUTES - start;
+  return (schedule.days || []).map(day => [day * DAY_MINUTES + start, day * DAY_MINUTES + start + length]);
+};
+
+export const isScheduleActive = (schedule, now = Date.now(), timeZone = DEFAULT_TIMEZONE) => {
+  if (!schedule.enabled) return false;
+
+  if (schedule.kind === 'override') {
+    return new Date(schedule.starts_at).getTime() <= now && now < new Date(schedule.expires_at).getTime();
+  }
+
+  const { day, minutes } = zonedClock(now, timeZone);
+  const minuteOfWeek = day * DAY_MINUTES + minutes;
+  return weeklyWindows(schedule).some(([start, end]) =>
+    (minuteOfWeek - start + WEEK_MINUTES) % WEEK_MINUTES < end - start
+  );
+};
+
+const appliesTo = (schedule, target, relayId) =>
+  schedule.target === target && (target === 'mode' || Number(schedule.relay_id) === Number(relayId));
+
+// The program in control of a relay (target 'relay') or of the mode (target 'mode'), or null.
+// Overrides win over weekly programs, and newer programs over older ones.
+export const resolveSchedule = (schedules, target, relayId, now = Date.now(), timeZone = DEFAULT_TIMEZONE) =>
+  schedules
+    .filter(schedule => appliesTo(schedule, target, relayId) && isScheduleActive(schedule, now, timeZone))
+    .sort((a, b) => (a.kind === b.kind ? b.id - a.id : a.kind === 'override' ? -1 : 1))[0] || null;
+
+// Instants within the next week at which a program starts or ends
+const boundaries = (schedule, now, timeZone) => {
+  if (schedule.kind === 'override') {
+    return [schedule.starts_at, schedule.expires_at]
+      .map(value => new Date(value).getTime())
+      .filter(time => time > now);
+  }
+
+  // Count whole minutes from the start of the current minute, in device-local time
+  const { day, minutes } = zonedClock(now, timeZone);
+  const minuteOfWeek = day * DAY_MINUTES + minutes;
+  const minuteStart = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  return weeklyWindows(schedule).flat().map(boundary => {
+    const delta = (boundary - minuteOfWeek + WEEK_MINUTES) % WEEK_MINUTES || WEEK_MINUTES;
+    return minuteStart + delta * MINUTE_MS;
+  });
+};
+
+// Next time the controlling program changes: { at: Date, schedule } where
+// schedule is the program taking over, or null when control returns to the mode.
+export const nextScheduleChange = (schedules, target, relayId, now = Date.now(), timeZone = DEFAULT_TIMEZONE) => {
+  const relevant = schedules.filter(schedule => schedule.enabled && appliesTo(schedule, target, relayId));
+  const current = resolveSchedule(relevant, target, relayId, now, timeZone);
+  const candidates = [...new Set(relevant.flatMap(schedule => boundaries(schedule, now, timeZone)))]
+    .sort((a, b) => a - b);
+
+  for (const time of candidates) {
+    const next = resolveSchedule(relevant, target, relayId, time, timeZone);
+    if (next?.id !== current?.id || next?.state !== current?.state) {
+      return { at: new Date(time), schedule: next };
+    }
+  }
+  return null;
+};
+
+const formatDays = (days = []) => {
+  const sorted = [...days].sort((a, b) => a - b);
+  if (sorted.length === 7) return 'Every day';
+  if (sorted.join() === '1,2,3,4,5') return 'Mon–Fri';
+  if (sorted.join() === '0,6') return 'Weekends';
+  return sorted.map(day => WEEKDAYS[day]).join(', ');
+};
+
+export const describeWhen = (schedule) => (
+  schedule.kind === 'override'
+    ? `${new Date(schedule.starts_at).toLocaleString()} until ${new Date(schedule.expires_at).toLocaleString()}`
+    : `${formatDays(schedule.days)} ${formatTime(schedule.start_time)}–${formatTime(schedule.end_time)}`
+);
+
+export const describeAction = (schedule, relays = []) => {
+  if (schedule.target === 'mode') return `${schedule.state ? 'Automatic' : 'Manual'} mode`;
+  const relay = relays.find(item => item.id === Number(schedule.relay_id)) || { id: schedule.relay_id };
+  return `${relayLabel(relay)} forced ${schedule.state ? 'ON' : 'OFF'}`;
+};
+
+// Returns an error message, or null when the program can be saved
+export const validateSchedule = (schedule) => {
+  if (!schedule.name?.trim()) return 'Name is required';
+  if (schedule.target === 'relay' && (schedule.relay_id === null || schedule.relay_id === undefined)) {
+    return 'Pick a relay';
+  }
+
+  if (schedule.kind === 'override') {
+    const startsAt = new Date(schedule.starts_at).getTime();
+    const expiresAt = new Date(schedule.expires_at).getTime();
+    if (!Number.isFinite(startsAt) || !Number.isFinite(expiresAt)) return 'Start and expiry are required';
+    if (expiresAt <= startsAt) return 'Expiry must be after the start';
+    return null;
+  }
+
+  if (!schedule.days?.length) return 'Pick at least one day';
+  if (!/^\d{2}:\d{2}/.test(schedule.start_time || '') || !/^\d{2}:\d{2}/.test(schedule.end_time || '')) {
+    return 'Start and end times are required';
+  }
+  return null;
+};
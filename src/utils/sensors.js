@@ -0,0 +1,83 @@
+// Readings from boards without a sensor_id column are grouped under this id
+export const DEFAULT_SENSOR_ID = 'default';
+
+export const getSensorId = (row) => row.sensor_id ?? DEFAULT_SENSOR_ID;
+
+export const sensorLabel = (sensorId) =>
+  sensorId === DEFAULT_SENSOR_ID ? 'Temperature' : `Sensor ${sensorId}`;
+
+// Recharts dataKey for a sensor's column in pivoted chart data
+export const seriesKey = (sensorId) => `sensor_${sensorId}`;
+
+export const getSensorIds = (rows) =>
+  [...new Set(rows.map(getSensorId))].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+
+// Latest row per sensor, assuming rows are sorted by inserted_at ascending
+export const getLatestBySensor = (rows) => {
+  const latest = {};
+  rows.forEach(row => {
+    latest[getSensorId(row)] = row;
+  });
+  return latest;
+};
+
+// Recharts dataKey for the [min, max] envelope of a down-sampled series
+export const rangeKey = (sensorId) => `sensor_${sensorId}_range`;
+
+// Recharts dataKey for a sensor's moving-average overlay
+export const smoothKey = (sensorId) => `sensor_${sensorId}_average`;
+
+// A series split at data gaps (see utils/quality) is drawn as one Area per
+// segment, each under its own key
+export const segmentKey = (key, segment) => (segment ? `${key}_${segment}` : key);
+
+// One chart point per reading with the temperature under the sensor's series
+// key; `convert` maps °C to the display unit. Flagged readings are left out
+// of the series so they neither draw nor stretch the axis.
+export const pivotBySensor = (rows, convert = value => value) =>
+  rows.map(row => {
+    const sensorId = getSensorId(row);
+    const point = { inserted_at: row.inserted_at };
+    if (row.quality_flag) return point;
+
+    point[segmentKey(seriesKey(sensorId), row.segment)] = convert(row.temperature);
+    if (row.min_temperature !== undefined) {
+      point[segmentKey(rangeKey(sensorId), row.segment)] = [convert(row.min_temperature), convert(row.max_temperature)];
+    }
+    if (row.moving_average !== undefined) {
+      point[segmentKey(smoothKey(sensorId), row.segment)] = convert(row.moving_average);
+    }
+    return point;
+  });
+
+// Recharts dataKey for a sensor's series in the previous-period overlay
+export const compareKey = (sensorId) => `sensor_${sensorId}_previous`;
+
+// Previous-period points to merge into pivoted chart data
+export const pivotComparison = (rows, convert = value => value) =>
+  rows.map(row => ({
+    inserted_at: row.inserted_at,
+    ...(!row.quality_flag && { [compareKey(getSensorId(row))]: convert(row.temperature) }),
+  }));
+
+const readingTime = (row) => new Date(row.inserted_at).getTime();
+const byTime = (a, b) => readingTime(a) - readingTime(b);
+
+// Merge new readings into rows sorted by inserted_at ascending: skips ids that
+// are already present and drops rows older than windowStart. Readings normally
+// arrive in order, so they are appended without re-sorting the whole list.
+export const mergeReadings = (rows, incoming, windowStart) => {
+  const cutoff = windowStart.getTime();
+  const known = new Set(rows.map(row => row.id));
+  const fresh = incoming
+    .filter(row => !known.has(row.id) && readingTime(row) >= cutoff)
+    .sort(byTime);
+  const kept = rows.length > 0 && readingTime(rows[0]) < cutoff
+    ? rows.filter(row => readingTime(row) >= cutoff)
+    : rows;
+  if (fresh.length === 0) return kept;
+
+  const last = kept[kept.length - 1];
+  if (!last || readingTime(fresh[0]) >= readingTime(last)) return [...kept, ...fresh];
+  return [...kept, ...fresh].sort(byTime);
+};
@@ -0,0 +1,145 @@
+import { getSensorId } from './sensors';
+import { isInBand } from './thresholds';
+
+// A gap longer than this many typical sampling intervals, and longer than the
+// default offline threshold, is an outage rather than the previous value
+// holding steady, so it is not counted
+const GAP_FACTOR = 3;
+const MIN_GAP_MS = 10 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Median spacing of one sensor's readings (sorted ascending), in ms
+export const typicalInterval = (times) => {
+  const intervals = times.slice(1).map((time, index) => time - times[index]).filter(interval => interval > 0);
+  return median(intervals) || DEFAULT_INTERVAL_MS;
+};
+
+// Weight each reading of one sensor (sorted ascending) by how long it stood:
+// the time until the next reading, capped at the outage gap. The newest
+// reading counts for one typical interval.
+export const readingWeights = (rows) => {
+  const times = rows.map(row => new Date(row.inserted_at).getTime());
+  const typical = typicalInterval(times);
+  const cap = Math.max(typical * GAP_FACTOR, MIN_GAP_MS);
+
+  return times.map((time, index) => (
+    index < times.length - 1 ? Math.min(times[index + 1] - time, cap) : typical
+  ));
+};
+
+const weightedPercentile = (sorted, totalWeight, fraction) => {
+  const target = totalWeight * fraction;
+  let cumulative = 0;
+  for (const { value, weight } of sorted) {
+    cumulative += weight;
+    if (cumulative >= target) return value;
+  }
+  return sorted[sorted.length - 1].value;
+};
+
+// Time-weighted statistics for one sensor's readings, sorted ascending.
+// Down-sampled rows carry their bucket's min/max, which are used for the extremes.
+export const computeStatistics = (rows) => {
+  if (rows.length === 0) return null;
+
+  const weights = readingWeights(rows);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const mean = rows.reduce((sum, row, index) => sum + row.temperature * weights[index], 0) / totalWeight;
+  const variance = rows.reduce(
+    (sum, row, index) => sum + weights[index] * (row.temperature - mean) ** 2,
+    0
+  ) / totalWeight;
+
+  let min = null;
+  let max = null;
+  rows.forEach(row => {
+    const low = row.min_temperature ?? row.temperature;
+    const high = row.max_temperature ?? row.temperature;
+    if (!min || low < min.value) min = { value: low, time: row.inserted_at };
+    if (!max || high > max.value) max = { value: high, time: row.inserted_at };
+  });
+
+  const sorted = rows
+    .map((row, index) => ({ value: row.temperature, weight: weights[index] }))
+    .sort((a, b) => a.value - b.value);
+
+  return {
+    count: rows.length,
+    durationMs: totalWeight,
+    mean,
+    stddev: Math.sqrt(variance),
+    min,
+    max,
+    p5: weightedPercentile(sorted, totalWeight, 0.05),
+    p50: weightedPercentile(sorted, totalWeight, 0.5),
+    p95: weightedPercentile(sorted, totalWeight, 0.95),
+  };
+};
+
+// Share of time (0-1) the readings spent inside each relay's band, keyed by
+// relay id, plus `outside` for time in no band at all
+export const timeInBands = (rows, thresholds) => {
+  const weights = readingWeights(rows);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = Object.fromEntries(Object.keys(thresholds).map(relayId => [relayId, 0]));
+  let outside = 0;
+
+  rows.forEach((row, index) => {
+    let inAny = false;
+    Object.entries(thresholds).forEach(([relayId, band]) => {
+      if (!isInBand(row.temperature, band)) return;
+      shares[relayId] += weights[index];
+      inAny = true;
+    });
+    if (!inAny) outside += weights[index];
+  });
+
+  if (totalWeight === 0) return { ...shares, outside: 0 };
+  Object.keys(shares).forEach(relayId => {
+    shares[relayId] /= totalWeight;
+  });
+  return { ...shares, outside: outside / totalWeight };
+};
+
+// Time-weighted histogram: `binCount` equal-width bins between the lowest and
+// highest reading, each with the share of time (0-1) spent in it
+export const histogram = (rows, binCount = 12) => {
+  if (rows.length === 0) return [];
+
+  const weights = readingWeights(rows);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const values = rows.map(row => row.temperature);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const width = (high - low) / binCount || 1;
+
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: low + index * width,
+    to: low + (index + 1) * width,
+    share: 0,
+  }));
+  values.forEach((value, index) => {
+    const bin = Math.min(Math.floor((value - low) / width), binCount - 1);
+    bins[bin].share += weights[index] / totalWeight;
+  });
+  return bins;
+};
+
+// Mean over every sensor: each sensor's time-weighted mean, averaged
+export const rangeMean = (rows) => {
+  const bySensor = {};
+  rows.forEach(row => {
+    const sensorId = getSensorId(row);
+    (bySensor[sensorId] = bySensor[sensorId] || []).push(row);
+  });
+
+  const means = Object.values(bySensor).map(sensorRows => computeStatistics(sensorRows).mean);
+  return means.length > 0 ? means.reduce((sum, mean) => sum + mean, 0) / means.length : null;
+};
@@ -0,0 +1,61 @@
+import { DEFAULT_UNIT, convertTemperature, unitSymbol } from './units';
+
+// Relay control bands, keyed by relay id. The ESP32 reads the same values
+// from system_settings.relay_thresholds. Relay ids are global, so there are no
+// default bands here: the database seeds each device's relays by their position
+// on the device (0017_relay_thresholds_per_device.sql).
+export const DEFAULT_THRESHOLDS = {};
+
+const toNumber = (value, fallback) => {
+  const parsed = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Parse a relay_thresholds value from Supabase. A missing column means no bands.
+// A band without a usable min or max is left out, so the relay shows as having
+// no band until an admin sets one; a missing hysteresis counts as none.
+export const normalizeThresholds = (raw) => {
+  if (!raw || typeof raw !== 'object') return DEFAULT_THRESHOLDS;
+
+  const result = {};
+  Object.entries(raw).forEach(([id, band]) => {
+    const min = toNumber(band?.min, null);
+    const max = toNumber(band?.max, null);
+    if (min === null || max === null) return;
+    result[id] = { min, max, hysteresis: toNumber(band?.hysteresis, 0) };
+  });
+
+  return result;
+};
+
+export const validateThresholds = (thresholds) => {
+  for (const [id, band] of Object.entries(thresholds)) {
+    if (![band.min, band.max, band.hysteresis].every(Number.isFinite)) {
+      return `Relay ${id}: all values must be numbers`;
+    }
+    if (band.min >= band.max) {
+      return `Relay ${id}: minimum must be lower than maximum`;
+    }
+    if (band.hysteresis < 0) {
+      return `Relay ${id}: hysteresis cannot be negative`;
+    }
+  }
+  return null;
+};
+
+export const isInBand = (temperature, band) =>
+  temperature !== null && temperature !== undefined && band !== undefined &&
+  temperature >= band.min && temperature <= band.max;
+
+// Returns the id of the first relay whose band contains the temperature
+export const findRelayForTemperature = (temperature, thresholds) => {
+  const match = Object.entries(thresholds).find(([, band]) => isInBand(temperature, band));
+  return match ? Number(match[0]) : null;
+};
+
+// Bands are stored in °C; `unit` is the display unit from utils/units
+export const formatBand = (band, separator = ' to ', unit = DEFAULT_UNIT) => {
+  if (!band) return 'no band set';
+  const format = (value) => `${Number(convertTemperature(value, unit).toFixed(2))}${unitSymbol(unit)}`;
+  return `${format(band.min)}${separator}${format(band.max)}`;
+};
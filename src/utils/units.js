@@ -0,0 +1,43 @@
+// Readings, thresholds and calibrations are stored in °C; other units are
+// applied only when a value is shown, plotted or exported
+export const UNITS = {
+  C: { label: 'Celsius', symbol: '°C' },
+  F: { label: 'Fahrenheit', symbol: '°F' },
+  K: { label: 'Kelvin', symbol: 'K' },
+};
+
+export const DEFAULT_UNIT = 'C';
+
+export const unitSymbol = (unit) => UNITS[unit]?.symbol || UNITS[DEFAULT_UNIT].symbol;
+
+export const convertTemperature = (celsius, unit) => {
+  if (celsius === null || celsius === undefined) return celsius;
+  if (unit === 'F') return celsius * 9 / 5 + 32;
+  if (unit === 'K') return celsius + 273.15;
+  return celsius;
+};
+
+// Back to °C, for values typed in the display unit
+export const toCelsius = (value, unit) => {
+  if (value === null || value === undefined) return value;
+  if (unit === 'F') return (value - 32) * 5 / 9;
+  if (unit === 'K') return value - 273.15;
+  return value;
+};
+
+// Differences (spreads, deviations, offsets) scale but do not shift
+export const convertDelta = (celsius, unit) => (unit === 'F' ? celsius * 9 / 5 : celsius);
+
+export const deltaToCelsius = (value, unit) => (unit === 'F' ? value * 5 / 9 : value);
+
+// Editors show stored values in the display unit and store what is typed back
+// in °C; rounding keeps the conversion from adding float noise either way
+export const roundConverted = (value) => Math.round(value * 1000) / 1000;
+
+export const formatTemperature = (celsius, unit, digits = 1) => (
+  celsius === null || celsius === undefined || Number.isNaN(celsius)
+    ? '--'
+    : `${convertTemperature(celsius, unit).toFixed(digits)}${unitSymbol(unit)}`
+);
+
+export const formatDelta = (celsius, unit, digits = 1) => `${convertDelta(celsius, unit).toFixed(digits)}${unitSymbol(unit)}`;
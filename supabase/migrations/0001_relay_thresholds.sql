@@ -0,0 +1,7 @@
+-- Per-relay control bands, keyed by relay_control.id.
+-- The dashboard edits this column and the ESP32 reads it alongside automatic_mode.
+alter table public.system_settings
+  add column if not exists relay_thresholds jsonb not null default '{
+    "1": { "min": 0, "max": 10, "hysteresis": 0.5 },
+    "2": { "min": 11, "max": 20, "hysteresis": 0.5 }
+  }'::jsonb;
@@ -0,0 +1,12 @@
+-- Boards with several PT100 probes tag each reading with the probe it came from.
+-- Existing rows keep a null sensor_id and are shown as a single default sensor.
+alter table public.sensor_data
+  add column if not exists sensor_id text;
+
+create index if not exists sensor_data_sensor_id_inserted_at_idx
+  on public.sensor_data (sensor_id, inserted_at);
+
+-- Optional display name and controlling probe per relay. One row per relay output.
+alter table public.relay_control
+  add column if not exists name text,
+  add column if not exists sensor_id text;
@@ -0,0 +1,28 @@
+-- Device registry. Every ESP32 unit gets one row and tags its data with device_id.
+create table if not exists public.devices (
+  device_id text primary key,
+  name text,
+  location text,
+  created_at timestamptz not null default now()
+);
+
+-- Rows written before the registry existed belong to the original unit
+insert into public.devices (device_id, name)
+values ('esp32-1', 'ESP32 #1')
+on conflict (device_id) do nothing;
+
+alter table public.sensor_data
+  add column if not exists device_id text not null default 'esp32-1' references public.devices (device_id);
+alter table public.relay_control
+  add column if not exists device_id text not null default 'esp32-1' references public.devices (device_id);
+alter table public.system_settings
+  add column if not exists device_id text not null default 'esp32-1' references public.devices (device_id);
+
+alter table public.sensor_data alter column device_id drop default;
+alter table public.relay_control alter column device_id drop default;
+alter table public.system_settings alter column device_id drop default;
+
+create index if not exists sensor_data_device_id_inserted_at_idx
+  on public.sensor_data (device_id, inserted_at);
+create unique index if not exists system_settings_device_id_idx
+  on public.system_settings (device_id);
@@ -0,0 +1,32 @@
+-- History of relay state changes. relay_control only holds the current state,
+-- so every change is copied here by a trigger.
+create table if not exists public.relay_events (
+  id bigint generated always as identity primary key,
+  relay_id bigint not null references public.relay_control (id) on delete cascade,
+  device_id text not null references public.devices (device_id),
+  state boolean not null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists relay_events_device_id_changed_at_idx
+  on public.relay_events (device_id, changed_at);
+create index if not exists relay_events_relay_id_changed_at_idx
+  on public.relay_events (relay_id, changed_at);
+
+create or replace function public.record_relay_event()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' or new.state is distinct from old.state then
+    insert into public.relay_events (relay_id, device_id, state)
+    values (new.id, new.device_id, new.state);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists relay_control_record_event on public.relay_control;
+create trigger relay_control_record_event
+  after insert or update of state on public.relay_control
+  for each row execute function public.record_relay_event();
@@ -0,0 +1,32 @@
+-- Down-sampled history for long chart ranges: one row per sensor and bucket.
+create or replace function public.sensor_data_buckets(
+  p_device_id text,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_bucket_seconds integer
+)
+returns table (
+  bucket_start timestamptz,
+  sensor_id text,
+  min_temperature double precision,
+  avg_temperature double precision,
+  max_temperature double precision,
+  sample_count bigint
+)
+language sql
+stable
+as $$
+  select
+    to_timestamp(floor(extract(epoch from inserted_at) / p_bucket_seconds) * p_bucket_seconds) as bucket_start,
+    sensor_id,
+    min(temperature)::double precision,
+    avg(temperature)::double precision,
+    max(temperature)::double precision,
+    count(*)
+  from public.sensor_data
+  where device_id = p_device_id
+    and inserted_at >= p_start
+    and inserted_at <= p_end
+  group by 1, 2
+  order by 1, 2;
+$$;
@@ -0,0 +1,28 @@
+-- Configurable alarm rules per device.
+--   high/low: threshold in °C
+--   rate:     threshold in °C per minute (absolute)
+--   silent:   threshold in minutes without a reading
+create table if not exists public.alarm_rules (
+  id bigint generated by default as identity primary key,
+  device_id text not null references public.devices (device_id),
+  name text not null,
+  type text not null check (type in ('high', 'low', 'rate', 'silent')),
+  sensor_id text,
+  threshold double precision not null,
+  delay_seconds integer not null default 0 check (delay_seconds >= 0),
+  enabled boolean not null default true
+);
+
+-- Alarm history: one row per raise, acknowledgement and clear
+create table if not exists public.alarms (
+  id bigint generated always as identity primary key,
+  device_id text not null references public.devices (device_id),
+  rule_id bigint references public.alarm_rules (id) on delete set null,
+  event text not null check (event in ('raised', 'acknowledged', 'cleared')),
+  value double precision,
+  message text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists alarms_device_id_created_at_idx
+  on public.alarms (device_id, created_at);
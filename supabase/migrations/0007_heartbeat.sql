@@ -0,0 +1,9 @@
+-- Optional heartbeat: the ESP32 can bump last_seen_at even when it has no new
+-- reading to send. The dashboard uses the newer of this and the newest reading.
+alter table public.devices
+  add column if not exists last_seen_at timestamptz;
+
+-- Age of the last heartbeat/reading before a device shows as degraded/offline
+alter table public.system_settings
+  add column if not exists degraded_after_seconds integer not null default 120,
+  add column if not exists offline_after_seconds integer not null default 600;
@@ -0,0 +1,53 @@
+-- Command/acknowledge protocol for relays.
+--   Dashboard writes: desired_state, command_id, commanded_at
+--   Device writes:    actual_state, acked_command_id, acked_at
+-- `state` keeps mirroring the actual relay state for existing readers.
+alter table public.relay_control
+  add column if not exists desired_state boolean,
+  add column if not exists command_id uuid,
+  add column if not exists commanded_at timestamptz,
+  add column if not exists actual_state boolean,
+  add column if not exists acked_command_id uuid,
+  add column if not exists acked_at timestamptz;
+
+-- Audit trail: one row per command issued from the dashboard
+create table if not exists public.relay_commands (
+  id uuid primary key,
+  relay_id bigint not null references public.relay_control (id) on delete cascade,
+  device_id text not null references public.devices (device_id),
+  desired_state boolean not null,
+  issued_by text not null,
+  issued_at timestamptz not null default now(),
+  outcome text not null default 'pending' check (outcome in ('pending', 'confirmed', 'failed')),
+  resolved_at timestamptz
+);
+
+create index if not exists relay_commands_device_id_issued_at_idx
+  on public.relay_commands (device_id, issued_at);
+
+-- Mirror the reported state and resolve the audit row when the device acknowledges
+create or replace function public.apply_relay_ack()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.actual_state is not null and new.actual_state is distinct from old.actual_state then
+    new.state := new.actual_state;
+  end if;
+
+  if new.acked_command_id is not null and new.acked_command_id is distinct from old.acked_command_id then
+    update public.relay_commands
+    set outcome = case when new.actual_state = desired_state then 'confirmed' else 'failed' end,
+        resolved_at = coalesce(new.acked_at, now())
+    where id = new.acked_command_id
+      and outcome = 'pending';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists relay_control_apply_ack on public.relay_control;
+create trigger relay_control_apply_ack
+  before update on public.relay_control
+  for each row execute function public.apply_relay_ack();
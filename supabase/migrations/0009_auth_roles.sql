@@ -0,0 +1,91 @@
+-- Roles for dashboard users. Users without a row are treated as viewers.
+create table if not exists public.user_roles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null check (role in ('viewer', 'operator', 'admin'))
+);
+
+create or replace function public.current_app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select role from public.user_roles where user_id = auth.uid()), 'viewer');
+$$;
+
+create or replace function public.has_app_role(required text)
+returns boolean
+language sql
+stable
+as $$
+  select case required
+    when 'viewer' then auth.uid() is not null
+    when 'operator' then public.current_app_role() in ('operator', 'admin')
+    when 'admin' then public.current_app_role() = 'admin'
+    else false
+  end;
+$$;
+
+-- History rows are written by triggers on behalf of whoever changed relay_control
+alter function public.record_relay_event() security definer set search_path = public;
+alter function public.apply_relay_ack() security definer set search_path = public;
+
+-- Operators may switch the mode; only admins may change thresholds
+create or replace function public.guard_system_settings()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null and not public.has_app_role('admin') and (
+    new.relay_thresholds is distinct from old.relay_thresholds
+    or new.degraded_after_seconds is distinct from old.degraded_after_seconds
+    or new.offline_after_seconds is distinct from old.offline_after_seconds
+  ) then
+    raise exception 'Only admins can change thresholds';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists system_settings_guard on public.system_settings;
+create trigger system_settings_guard
+  before update on public.system_settings
+  for each row execute function public.guard_system_settings();
+
+alter table public.user_roles enable row level security;
+alter table public.devices enable row level security;
+alter table public.sensor_data enable row level security;
+alter table public.relay_control enable row level security;
+alter table public.relay_events enable row level security;
+alter table public.relay_commands enable row level security;
+alter table public.system_settings enable row level security;
+alter table public.alarm_rules enable row level security;
+alter table public.alarms enable row level security;
+
+-- Every signed-in user can read everything
+create policy "viewers read devices" on public.devices for select using (public.has_app_role('viewer'));
+create policy "viewers read sensor_data" on public.sensor_data for select using (public.has_app_role('viewer'));
+create policy "viewers read relay_control" on public.relay_control for select using (public.has_app_role('viewer'));
+create policy "viewers read relay_events" on public.relay_events for select using (public.has_app_role('viewer'));
+create policy "viewers read relay_commands" on public.relay_commands for select using (public.has_app_role('viewer'));
+create policy "viewers read system_settings" on public.system_settings for select using (public.has_app_role('viewer'));
+create policy "viewers read alarm_rules" on public.alarm_rules for select using (public.has_app_role('viewer'));
+create policy "viewers read alarms" on public.alarms for select using (public.has_app_role('viewer'));
+create policy "users read own role" on public.user_roles for select using (user_id = auth.uid() or public.has_app_role('admin'));
+
+-- Operators switch relays and mode and acknowledge alarms
+create policy "operators command relays" on public.relay_control for update using (public.has_app_role('operator'));
+create policy "operators record commands" on public.relay_commands for insert with check (public.has_app_role('operator'));
+create policy "operators resolve commands" on public.relay_commands for update using (public.has_app_role('operator'));
+create policy "operators change settings" on public.system_settings for update using (public.has_app_role('operator'));
+
+-- Any signed-in dashboard logs raise/clear events; acknowledgements need an operator
+create policy "viewers log alarm events" on public.alarms for insert with check (
+  public.has_app_role('viewer') and (event <> 'acknowledged' or public.has_app_role('operator'))
+);
+
+-- Admins manage the device registry, alarm rules and roles
+create policy "admins manage devices" on public.devices for all using (public.has_app_role('admin')) with check (public.has_app_role('admin'));
+create policy "admins manage alarm rules" on public.alarm_rules for all using (public.has_app_role('admin')) with check (public.has_app_role('admin'));
+create policy "admins manage roles" on public.user_roles for all using (public.has_app_role('admin')) with check (public.has_app_role('admin'));
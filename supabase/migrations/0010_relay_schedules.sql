@@ -0,0 +1,38 @@
+-- Time-based programs the firmware follows on top of automatic/manual mode.
+--   target 'relay': hold relay_id on (state true) or off while the program is active
+--   target 'mode':  run in automatic (state true) or manual mode while active
+-- Weekly programs repeat on `days` (0 = Sunday) from start_time to end_time in
+-- the device's timezone; an end_time at or before start_time runs past midnight.
+-- Overrides apply once, from starts_at until expires_at, and win over weekly
+-- programs. Among programs of the same kind the newest one wins.
+create table if not exists public.relay_schedules (
+  id bigint generated by default as identity primary key,
+  device_id text not null references public.devices (device_id),
+  name text not null,
+  kind text not null check (kind in ('weekly', 'override')),
+  target text not null check (target in ('relay', 'mode')),
+  relay_id bigint references public.relay_control (id) on delete cascade,
+  state boolean not null,
+  days smallint[],
+  start_time time,
+  end_time time,
+  starts_at timestamptz,
+  expires_at timestamptz,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  check ((target = 'relay') = (relay_id is not null)),
+  check (kind <> 'weekly' or (days is not null and start_time is not null and end_time is not null)),
+  check (kind <> 'override' or (starts_at is not null and expires_at > starts_at))
+);
+
+create index if not exists relay_schedules_device_id_idx
+  on public.relay_schedules (device_id);
+
+-- IANA zone the weekly programs are written in, e.g. 'Europe/Berlin'
+alter table public.devices
+  add column if not exists timezone text not null default 'UTC';
+
+alter table public.relay_schedules enable row level security;
+
+create policy "viewers read relay_schedules" on public.relay_schedules for select using (public.has_app_role('viewer'));
+create policy "operators manage schedules" on public.relay_schedules for all using (public.has_app_role('operator')) with check (public.has_app_role('operator'));
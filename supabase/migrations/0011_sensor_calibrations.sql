@@ -0,0 +1,35 @@
+-- Per-probe corrections the dashboard applies when showing readings. sensor_data
+-- keeps the raw value; each reading uses the newest calibration of its probe
+-- whose effective_from is at or before the reading, so a probe swap starts a
+-- new calibration without changing how older readings are shown.
+--   offset:    calibrated = raw + offset_value
+--   two_point: raw_low/raw_high map linearly onto reference_low/reference_high
+-- All values are in °C.
+create table if not exists public.sensor_calibrations (
+  id bigint generated by default as identity primary key,
+  device_id text not null references public.devices (device_id),
+  sensor_id text, -- null: the single probe of boards that do not tag readings
+  kind text not null check (kind in ('offset', 'two_point')),
+  offset_value double precision,
+  raw_low double precision,
+  reference_low double precision,
+  raw_high double precision,
+  reference_high double precision,
+  effective_from timestamptz not null default now(),
+  note text,
+  created_at timestamptz not null default now(),
+  check (kind <> 'offset' or offset_value is not null),
+  check (kind <> 'two_point' or (
+    raw_low is not null and reference_low is not null
+    and raw_high is not null and reference_high is not null
+    and raw_high <> raw_low
+  ))
+);
+
+create index if not exists sensor_calibrations_device_id_idx
+  on public.sensor_calibrations (device_id, effective_from);
+
+alter table public.sensor_calibrations enable row level security;
+
+create policy "viewers read sensor_calibrations" on public.sensor_calibrations for select using (public.has_app_role('viewer'));
+create policy "admins manage calibrations" on public.sensor_calibrations for all using (public.has_app_role('admin')) with check (public.has_app_role('admin'));
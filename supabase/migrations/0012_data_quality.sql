@@ -0,0 +1,24 @@
+-- Per-device data-quality settings for the dashboard (see src/utils/quality.js):
+--   {"min": -50, "max": 150, "spike_delta": 5, "gap_intervals": 5}
+-- Readings are never changed or deleted; the dashboard only flags them.
+-- Null means the defaults.
+alter table public.system_settings
+  add column if not exists data_quality jsonb;
+
+-- Like the thresholds, only admins may change it
+create or replace function public.guard_system_settings()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null and not public.has_app_role('admin') and (
+    new.relay_thresholds is distinct from old.relay_thresholds
+    or new.degraded_after_seconds is distinct from old.degraded_after_seconds
+    or new.offline_after_seconds is distinct from old.offline_after_seconds
+    or new.data_quality is distinct from old.data_quality
+  ) then
+    raise exception 'Only admins can change thresholds';
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,23 @@
+-- Reasons operators type when confirming safety-relevant changes in the
+-- dashboard (switching relays, switching to manual mode).
+alter table public.relay_commands
+  add column if not exists reason text;
+
+-- Audit trail for mode switches, like relay_commands for relays. The dashboard
+-- inserts the row, then updates system_settings.automatic_mode.
+create table if not exists public.mode_changes (
+  id bigint generated by default as identity primary key,
+  device_id text not null references public.devices (device_id),
+  automatic_mode boolean not null,
+  changed_by text not null,
+  changed_at timestamptz not null default now(),
+  reason text
+);
+
+create index if not exists mode_changes_device_id_changed_at_idx
+  on public.mode_changes (device_id, changed_at);
+
+alter table public.mode_changes enable row level security;
+
+create policy "viewers read mode_changes" on public.mode_changes for select using (public.has_app_role('viewer'));
+create policy "operators record mode changes" on public.mode_changes for insert with check (public.has_app_role('operator'));
@@ -0,0 +1,9 @@
+-- Since 0008 the device reports relay switches in actual_state, and `state`
+-- is only set by the apply_relay_ack() BEFORE trigger. A column-specific
+-- `update of state` trigger fires on the UPDATE's SET list, which no longer
+-- names `state`, so acknowledged switches never reached relay_events. Fire
+-- on every update; record_relay_event() still only logs real state changes.
+drop trigger if exists relay_control_record_event on public.relay_control;
+create trigger relay_control_record_event
+  after insert or update on public.relay_control
+  for each row execute function public.record_relay_event();
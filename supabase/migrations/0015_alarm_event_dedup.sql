@@ -0,0 +1,59 @@
+-- Every open dashboard evaluates the alarm rules and logs the raise/clear
+-- events it sees, so with several dashboards open each transition arrived
+-- once per dashboard. Keep only the first: an event is stored only when it
+-- moves the rule's alarm on from the state its logged events leave it in
+--   raised:       from normal or cleared
+--   acknowledged: from active or cleared
+--   cleared:      from active or acknowledged
+-- (the same table as alarmEventApplies() in src/utils/alarms.js). Repeats are
+-- dropped without an error, so inserting an event is idempotent.
+create index if not exists alarms_rule_id_id_idx
+  on public.alarms (rule_id, id);
+
+create or replace function public.skip_duplicate_alarm_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  recent text[];
+  status text;
+begin
+  if new.rule_id is null then
+    return new;
+  end if;
+
+  -- Dashboards logging the same transition at once wait for each other
+  perform pg_advisory_xact_lock(new.rule_id);
+
+  -- The last two events are enough to tell which state the alarm is in
+  select array_agg(event order by id desc) into recent
+  from (
+    select id, event from public.alarms
+    where rule_id = new.rule_id
+    order by id desc
+    limit 2
+  ) latest;
+
+  status := case
+    when recent is null then 'normal'
+    when recent[1] = 'raised' then 'active'
+    when recent[1] = 'acknowledged' and recent[2] is distinct from 'cleared' then 'acknowledged'
+    when recent[1] = 'cleared' and recent[2] is distinct from 'acknowledged' then 'cleared'
+    else 'normal'
+  end;
+
+  if (new.event = 'raised' and status in ('normal', 'cleared'))
+    or (new.event = 'acknowledged' and status in ('active', 'cleared'))
+    or (new.event = 'cleared' and status in ('active', 'acknowledged')) then
+    return new;
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists alarms_skip_duplicate on public.alarms;
+create trigger alarms_skip_duplicate
+  before insert on public.alarms
+  for each row execute function public.skip_duplicate_alarm_event();
@@ -0,0 +1,24 @@
+-- The "operators command relays" policy from 0009 let dashboard users update
+-- every column of relay_control, including the ones only the device may write
+-- (state, actual_state, acked_command_id, acked_at). Writing those forged an
+-- acknowledgement, and apply_relay_ack() then resolved the audit row as
+-- confirmed. Dashboard users may now only issue commands; the firmware writes
+-- the rest with the service role key, which these grants do not affect.
+revoke update on public.relay_control from anon, authenticated;
+grant update (desired_state, command_id, commanded_at) on public.relay_control to authenticated;
+
+-- Audit rows start out pending, and the only outcome a dashboard may record
+-- is the timeout of a command the device never acknowledged. Confirming is
+-- left to apply_relay_ack().
+drop policy if exists "operators record commands" on public.relay_commands;
+create policy "operators record commands" on public.relay_commands for insert with check (
+  public.has_app_role('operator') and outcome = 'pending' and resolved_at is null
+);
+
+drop policy if exists "operators resolve commands" on public.relay_commands;
+create policy "operators resolve commands" on public.relay_commands for update
+  using (public.has_app_role('operator') and outcome = 'pending')
+  with check (outcome = 'failed');
+
+revoke update on public.relay_commands from anon, authenticated;
+grant update (outcome, resolved_at) on public.relay_commands to authenticated;
@@ -0,0 +1,77 @@
+-- relay_thresholds defaulted to bands for relay ids 1 and 2 (0001). Relay ids
+-- are global across devices, so only the first device's relays matched; every
+-- other device got bands for relays it does not have and none for its own.
+-- Default bands now go by the relay's position on its device: the first relay
+-- gets 0–10 °C, the second 11–20 °C, further relays none until an admin sets them.
+create or replace function public.default_relay_thresholds(target_device text)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(jsonb_object_agg(relay.id::text, defaults.band), '{}'::jsonb)
+  from (
+    select id, row_number() over (order by id) as position
+    from public.relay_control
+    where device_id = target_device
+  ) relay
+  join (values
+    (1, '{ "min": 0, "max": 10, "hysteresis": 0.5 }'::jsonb),
+    (2, '{ "min": 11, "max": 20, "hysteresis": 0.5 }'::jsonb)
+  ) as defaults (position, band) on defaults.position = relay.position;
+$$;
+
+-- Devices still on the old default get the bands for their own relays
+update public.system_settings
+set relay_thresholds = public.default_relay_thresholds(device_id)
+where relay_thresholds = '{
+  "1": { "min": 0, "max": 10, "hysteresis": 0.5 },
+  "2": { "min": 11, "max": 20, "hysteresis": 0.5 }
+}'::jsonb;
+
+alter table public.system_settings
+  alter column relay_thresholds set default '{}'::jsonb;
+
+-- New settings rows start from the device's default bands
+create or replace function public.seed_relay_thresholds()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.relay_thresholds = '{}'::jsonb then
+    new.relay_thresholds := public.default_relay_thresholds(new.device_id);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists system_settings_seed_thresholds on public.system_settings;
+create trigger system_settings_seed_thresholds
+  before insert on public.system_settings
+  for each row execute function public.seed_relay_thresholds();
+
+-- A relay added later gets the default band for its position, unless it already has one
+create or replace function public.seed_relay_threshold()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  band jsonb := public.default_relay_thresholds(new.device_id) -> new.id::text;
+begin
+  if band is not null then
+    update public.system_settings
+    set relay_thresholds = relay_thresholds || jsonb_build_object(new.id::text, band)
+    where device_id = new.device_id
+      and not relay_thresholds ? new.id::text;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists relay_control_seed_threshold on public.relay_control;
+create trigger relay_control_seed_threshold
+  after insert on public.relay_control
+  for each row execute function public.seed_relay_threshold();
@@ -0,0 +1,18 @@
+-- relay_commands.issued_by was sent by the dashboard and never checked, so
+-- an operator could log a command under someone else's name. Take it from
+-- the caller's JWT instead. Callers without a user (the service role) keep
+-- the value they insert.
+create or replace function public.set_command_issuer()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.issued_by := coalesce(auth.jwt() ->> 'email', auth.uid()::text, new.issued_by);
+  return new;
+end;
+$$;
+
+drop trigger if exists relay_commands_set_issuer on public.relay_commands;
+create trigger relay_commands_set_issuer
+  before insert on public.relay_commands
+  for each row execute function public.set_command_issuer();
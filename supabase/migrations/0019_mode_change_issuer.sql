@@ -0,0 +1,17 @@
+-- Like relay_commands.issued_by (0018): mode_changes.changed_by came from the
+-- dashboard unchecked. Take it from the caller's JWT; callers without a user
+-- (the service role) keep the value they insert.
+create or replace function public.set_mode_change_issuer()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.changed_by := coalesce(auth.jwt() ->> 'email', auth.uid()::text, new.changed_by);
+  return new;
+end;
+$$;
+
+drop trigger if exists mode_changes_set_issuer on public.mode_changes;
+create trigger mode_changes_set_issuer
+  before insert on public.mode_changes
+  for each row execute function public.set_mode_change_issuer();
@@ -36,6 +36,34 @@ module.exports = {
           DEFAULT: "hsl(var(--card))",
           foreground: "hsl(var(--card-foreground))",
         },
+        chart: {
+          grid: "hsl(var(--chart-grid))",
+          axis: "hsl(var(--chart-axis))",
+          text: "hsl(var(--chart-text))",
+          surface: "hsl(var(--chart-surface))",
+          highlight: "hsl(var(--chart-highlight))",
+          selection: "hsl(var(--chart-selection))",
+          marker: "hsl(var(--chart-marker))",
+          flag: "hsl(var(--chart-flag))",
+          "series-1": "hsl(var(--chart-series-1))",
+          "series-2": "hsl(var(--chart-series-2))",
+          "series-3": "hsl(var(--chart-series-3))",
+          "series-4": "hsl(var(--chart-series-4))",
+          "series-5": "hsl(var(--chart-series-5))",
+          "series-6": "hsl(var(--chart-series-6))",
+          "relay-1": "hsl(var(--chart-relay-1))",
+          "relay-2": "hsl(var(--chart-relay-2))",
+          "relay-3": "hsl(var(--chart-relay-3))",
+          "relay-4": "hsl(var(--chart-relay-4))",
+          "relay-5": "hsl(var(--chart-relay-5))",
+          "relay-6": "hsl(var(--chart-relay-6))",
+          "relay-label-1": "hsl(var(--chart-relay-label-1))",
+          "relay-label-2": "hsl(var(--chart-relay-label-2))",
+          "relay-label-3": "hsl(var(--chart-relay-label-3))",
+          "relay-label-4": "hsl(var(--chart-relay-label-4))",
+          "relay-label-5": "hsl(var(--chart-relay-label-5))",
+          "relay-label-6": "hsl(var(--chart-relay-label-6))",
+        },
       },
       borderRadius: {
         lg: "var(--radius)",
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react';
 export default defineConfig({
   plugins: [react()],
   base: '/', // Ensures assets are loaded correctly
-});
\ No newline at end of file
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js',
+  },
+});